@@ -1,4 +1,18 @@
 // background.js - 修正版（設定保存対応）
+
+// 詳細設定の検証にスキーマ（MRA_CONFIG）を使うため共通モジュールを読み込む
+// 分析履歴はIndexedDB（HistoryDatabase）に保存する
+try {
+    importScripts(
+        "shared/constants.js",
+        "shared/config.js",
+        "shared/place-identity.js",
+        "background/history-database.js",
+        "background/retention-manager.js"
+    );
+} catch (error) {
+    console.warn("Failed to load shared modules:", error);
+}
 /**
  * メイン背景処理クラス
  */
@@ -29,6 +43,13 @@ class BackgroundService {
             // 初期設定を行う
             await this.storageManager.initializeSettings();
 
+            // 旧形式（chrome.storage.local の配列）の履歴をIndexedDBへ移行
+            await this.storageManager.migrateLegacyHistory();
+
+            // 保持期間を過ぎたデータの定期削除を登録し、起動時にも一度実行
+            await this.storageManager.retention.schedule();
+            await this.storageManager.retention.purgeExpiredData();
+
             console.log("BackgroundService initialized successfully");
         } catch (error) {
             console.error("Failed to initialize BackgroundService:", error);
@@ -91,11 +112,12 @@ class BackgroundService {
      * タブ更新時の処理
      */
     handleTabUpdate(tabId, changeInfo, tab) {
-        if (
-            changeInfo.status === "complete" &&
-            tab.url &&
-            tab.url.includes("google.com/maps")
-        ) {
+        // Google Mapsから離れたら前の分析結果のバッジを消す
+        if (changeInfo.url && !this.isGoogleMapsUrl(changeInfo.url)) {
+            chrome.action.setBadgeText({ tabId, text: "" }).catch(() => {});
+        }
+
+        if (changeInfo.status === "complete" && this.isGoogleMapsUrl(tab.url)) {
             console.log("Google Maps page loaded:", tab.url);
 
             // Content scriptに分析開始を通知
@@ -114,11 +136,18 @@ class BackgroundService {
         }
     }
 
+    /**
+     * Google MapsのURLか判定（google.co.jp などの各国ドメインも含む）
+     */
+    isGoogleMapsUrl(url) {
+        return Boolean(self.MRA_CONFIG?.URL_PATTERNS.isGoogleMapsUrl(url));
+    }
+
     /**
      * アクションクリック時の処理
      */
     async handleActionClick(tab) {
-        if (tab.url && tab.url.includes("google.com/maps")) {
+        if (this.isGoogleMapsUrl(tab.url)) {
             try {
                 // Content scriptに手動分析を指示
                 await chrome.tabs.sendMessage(tab.id, {
@@ -143,10 +172,27 @@ class StorageManager {
                 showDetailedAnalysis: true,
                 minimumReviewsForAnalysis: 5,
                 suspicionThreshold: 40,
+                scaleTrustLevels: true,
                 autoAnalysis: true,
                 debugMode: false,
+                reviewSampleSize: 50,
+                dataRetentionDays: 30,
+                advanced: { detectors: {} },
             },
         };
+        this.historyDb = new HistoryDatabase(
+            self.MRA_CONFIG?.HISTORY_DB_CONFIG
+        );
+        this.maxHistoryItems =
+            self.MRA_CONSTANTS?.ANALYSIS_CONSTANTS?.MAX_HISTORY_ITEMS || 5000;
+        this.resultCacheKey =
+            self.MRA_CONFIG?.PERFORMANCE_CONFIG.RESULT_CACHE_STORAGE_KEY ||
+            "resultCache";
+        this.maxCachedResults =
+            self.MRA_CONFIG?.PERFORMANCE_CONFIG.MAX_CACHED_RESULTS || 50;
+
+        // 保存データの保持期間と匿名化
+        this.retention = new RetentionManager(this);
     }
 
     /**
@@ -209,6 +255,11 @@ class StorageManager {
             await chrome.storage.sync.set(mergedSettings);
             console.log("Settings saved successfully");
 
+            await this.retention.handleRetentionChange(
+                currentSettings.settings?.dataRetentionDays,
+                mergedSettings.settings?.dataRetentionDays
+            );
+
             // 保存後に検証
             const savedSettings = await chrome.storage.sync.get(null);
             console.log("Verified saved settings:", savedSettings);
@@ -273,8 +324,24 @@ class StorageManager {
                               )
                           )
                         : 40,
+                scaleTrustLevels: settings.settings?.scaleTrustLevels !== false,
                 autoAnalysis: settings.settings?.autoAnalysis !== false,
                 debugMode: settings.settings?.debugMode === true,
+                reviewSampleSize: [20, 50, 100, 200].includes(
+                    settings.settings?.reviewSampleSize
+                )
+                    ? settings.settings.reviewSampleSize
+                    : 50,
+                dataRetentionDays: [7, 30, 90, 365].includes(
+                    settings.settings?.dataRetentionDays
+                )
+                    ? settings.settings.dataRetentionDays
+                    : 30,
+                advanced: self.MRA_CONFIG
+                    ? self.MRA_CONFIG.CONFIG_VALIDATORS.validateAdvancedSettings(
+                          settings.settings?.advanced
+                      )
+                    : { detectors: {} },
             },
         };
 
@@ -282,42 +349,95 @@ class StorageManager {
     }
 
     /**
-     * 分析結果を保存
+     * 詳細設定の1項目を既定値に戻す
+     * @param {string} detectorKey - 検出器のキー
+     * @param {string} field - 項目名（enabled / weight / maxScore / threshold）
      */
-    async saveAnalysisResult(analysisData) {
+    async resetAdvancedSetting(detectorKey, field) {
+        try {
+            const currentSettings = await this.getSettings();
+            const advanced = self.MRA_CONFIG
+                ? self.MRA_CONFIG.CONFIG_UTILS.resetAdvancedField(
+                      currentSettings.settings.advanced,
+                      detectorKey,
+                      field
+                  )
+                : { detectors: {} };
+
+            return await this.updateSettings({ settings: { advanced } });
+        } catch (error) {
+            console.error("Failed to reset advanced setting:", error);
+            throw new Error(
+                "詳細設定のリセットに失敗しました: " + error.message
+            );
+        }
+    }
+
+    /**
+     * 旧形式（chrome.storage.local の配列）の分析履歴をIndexedDBへ移行
+     * @returns {Promise<number>} - 移行した件数
+     */
+    async migrateLegacyHistory() {
+        const key =
+            self.MRA_CONFIG?.HISTORY_DB_CONFIG?.LEGACY_STORAGE_KEY ||
+            "analysisHistory";
+
         try {
-            const { analysisHistory = [] } = await chrome.storage.local.get([
-                "analysisHistory",
+            const { [key]: legacyHistory } = await chrome.storage.local.get([
+                key,
             ]);
+            if (!Array.isArray(legacyHistory)) return 0;
+
+            const records = legacyHistory
+                .filter((item) => item && item.url && item.timestamp)
+                .map((item) => ({
+                    ...item,
+                    id: item.id ?? new Date(item.timestamp).getTime(),
+                    placeKey: item.placeKey || this.historyDb.getPlaceKey(item),
+                }));
+
+            await this.historyDb.putAll(records);
+            await chrome.storage.local.remove([key]);
+            console.log(`Migrated ${records.length} history items`);
+            return records.length;
+        } catch (error) {
+            // 移行に失敗した場合は旧データを残し、次回起動時に再試行する
+            console.error("Failed to migrate analysis history:", error);
+            return 0;
+        }
+    }
 
+    /**
+     * 分析結果を保存（分析のたびに場所ごとのスナップショットとして追加）
+     */
+    async saveAnalysisResult(analysisData) {
+        try {
             const newResult = {
                 id: Date.now(),
                 timestamp: new Date().toISOString(),
+                placeKey:
+                    analysisData.placeKey ||
+                    this.historyDb.getPlaceKey(analysisData),
+                placeId: analysisData.placeId ?? null,
+                coordinates: analysisData.coordinates ?? null,
                 url: analysisData.url,
                 placeName: analysisData.placeName,
                 trustScore: analysisData.trustScore,
+                verdict: analysisData.verdict ?? null,
+                displayedRating: analysisData.displayedRating ?? null,
+                adjustedRating: analysisData.adjustedRating ?? null,
                 totalReviews: analysisData.totalReviews,
                 suspiciousPatterns: analysisData.suspiciousPatterns,
+                breakdown: analysisData.breakdown ?? null,
                 analysisMode: analysisData.analysisMode || "standard",
                 version: "1.0.0",
             };
 
-            // 重複チェック（同じURLの結果は更新）
-            const existingIndex = analysisHistory.findIndex(
-                (item) => item.url === newResult.url
-            );
-            if (existingIndex !== -1) {
-                analysisHistory[existingIndex] = newResult;
-            } else {
-                analysisHistory.unshift(newResult);
-            }
+            await this.historyDb.put(await this.retention.anonymize(newResult));
 
             // 最大保持件数の制限
-            if (analysisHistory.length > 20) {
-                analysisHistory.splice(20);
-            }
+            await this.historyDb.trim(this.maxHistoryItems);
 
-            await chrome.storage.local.set({ analysisHistory });
             console.log("Analysis result saved:", newResult.placeName);
         } catch (error) {
             console.error("Failed to save analysis result:", error);
@@ -325,15 +445,172 @@ class StorageManager {
         }
     }
 
+    /**
+     * 分析履歴を新しい順にページ単位で取得
+     * @param {Object} options - { offset, limit, placeKey, placeName, url }
+     * @returns {Promise<Object>} - { items, total, offset, limit, hasMore }
+     */
+    async getAnalysisHistoryPage({
+        offset = 0,
+        limit = null,
+        placeKey = null,
+        placeName = null,
+        url = null,
+    } = {}) {
+        // URLで検索した場合は表示位置などの違いを無視して同じ場所の履歴を返す
+        const filter = placeKey
+            ? { index: "placeKey", value: placeKey }
+            : url
+            ? {
+                  index: "placeKey",
+                  value: this.historyDb.getPlaceKey({ url, placeName }),
+              }
+            : placeName
+            ? { index: "placeName", value: placeName }
+            : null;
+
+        return this.historyDb.getPage({
+            offset: Math.max(0, offset),
+            limit: limit || this.maxHistoryItems,
+            filter,
+        });
+    }
+
+    /**
+     * 場所ごとの最新のスナップショットを新しい順にページ単位で取得
+     * @param {Object} options - { offset, limit }
+     * @returns {Promise<Object>} - { items, total, offset, limit, hasMore }（itemsにsnapshotCountを付与）
+     */
+    async getPlaceListPage({ offset = 0, limit = null } = {}) {
+        const page = await this.historyDb.getLatestPerKey("placeKey", {
+            offset: Math.max(0, offset),
+            limit: limit || this.maxHistoryItems,
+        });
+
+        const items = await Promise.all(
+            page.items.map(async (item) => ({
+                ...item,
+                snapshotCount: await this.historyDb.count({
+                    index: "placeKey",
+                    value: item.placeKey,
+                }),
+            }))
+        );
+
+        return { ...page, items };
+    }
+
+    /**
+     * 場所のスナップショットを古い順に取得（推移グラフ用）
+     * @param {string} placeKey - 場所のキー
+     * @returns {Promise<Array>} - スナップショット（最新MAX_TREND_POINTS件）
+     */
+    async getPlaceSnapshots(placeKey) {
+        const page = await this.getAnalysisHistoryPage({
+            placeKey,
+            limit:
+                self.MRA_CONSTANTS?.ANALYSIS_CONSTANTS?.MAX_TREND_POINTS || 50,
+        });
+        return page.items.reverse();
+    }
+
+    /**
+     * 場所の分析結果キャッシュを取得
+     * @param {string} placeKey - 場所のキー
+     * @returns {Promise<Object|null>} - { placeKey, placeName, totalReviews, settingsSignature, result, cachedAt }
+     */
+    async getCachedResult(placeKey) {
+        const { [this.resultCacheKey]: cache = {} } =
+            await chrome.storage.local.get([this.resultCacheKey]);
+        return cache[placeKey] || null;
+    }
+
+    /**
+     * 場所の分析結果をキャッシュ（上限を超えたら古いものから削除）
+     * @param {Object} entry - { placeKey, placeName, totalReviews, settingsSignature, result }
+     */
+    async saveCachedResult(entry) {
+        const { [this.resultCacheKey]: cache = {} } =
+            await chrome.storage.local.get([this.resultCacheKey]);
+
+        cache[entry.placeKey] = await this.retention.anonymize({
+            ...entry,
+            cachedAt: Date.now(),
+        });
+
+        const keys = Object.keys(cache).sort(
+            (a, b) => cache[b].cachedAt - cache[a].cachedAt
+        );
+        keys.slice(this.maxCachedResults).forEach((key) => delete cache[key]);
+
+        await chrome.storage.local.set({ [this.resultCacheKey]: cache });
+    }
+
+    /**
+     * 指定日時より古い分析履歴を削除
+     * @param {number} cutoff - 基準日時（ミリ秒）
+     * @returns {Promise<number>} - 削除した件数
+     */
+    async deleteHistoryOlderThan(cutoff) {
+        return this.historyDb.deleteOlderThan(new Date(cutoff).toISOString());
+    }
+
+    /**
+     * 指定日時より古い分析結果キャッシュを削除
+     * @param {number} cutoff - 基準日時（ミリ秒）
+     * @returns {Promise<number>} - 削除した件数
+     */
+    async deleteCachedResultsOlderThan(cutoff) {
+        const { [this.resultCacheKey]: cache = {} } =
+            await chrome.storage.local.get([this.resultCacheKey]);
+
+        const expiredKeys = Object.keys(cache).filter(
+            (key) => !(cache[key].cachedAt >= cutoff)
+        );
+        if (expiredKeys.length === 0) return 0;
+
+        expiredKeys.forEach((key) => delete cache[key]);
+        await chrome.storage.local.set({ [this.resultCacheKey]: cache });
+        return expiredKeys.length;
+    }
+
+    /**
+     * 保存しているデータの概要を取得（ポップアップの「保存データ」表示用）
+     * @returns {Promise<Object>} - 件数・保持期間・匿名化の有無・前回の削除処理の結果など
+     */
+    async getStorageSummary() {
+        const { [this.resultCacheKey]: cache = {} } =
+            await chrome.storage.local.get([this.resultCacheKey]);
+        const estimate = navigator.storage?.estimate
+            ? await navigator.storage.estimate()
+            : null;
+
+        return {
+            historyCount: await this.historyDb.count(),
+            placeCount: await this.historyDb.countUnique("placeKey"),
+            oldestTimestamp: await this.historyDb.getOldestTimestamp(),
+            cachedResultCount: Object.keys(cache).length,
+            retentionDays: await this.retention.getRetentionDays(),
+            anonymized: this.retention.isAnonymizationEnabled(),
+            lastCleanup: await this.retention.getStatus(),
+            bytesInUse: estimate?.usage ?? null,
+        };
+    }
+
+    /**
+     * 分析結果キャッシュをクリア
+     */
+    async clearCachedResults() {
+        await chrome.storage.local.remove([this.resultCacheKey]);
+    }
+
     /**
      * 分析履歴を取得
      */
     async getAnalysisHistory(limit = null) {
         try {
-            const { analysisHistory = [] } = await chrome.storage.local.get([
-                "analysisHistory",
-            ]);
-            return limit ? analysisHistory.slice(0, limit) : analysisHistory;
+            const page = await this.getAnalysisHistoryPage({ limit });
+            return page.items;
         } catch (error) {
             console.error("Failed to get analysis history:", error);
             return [];
@@ -352,6 +629,12 @@ class MessageHandler {
             SET_STORAGE_DATA: this.handleSetStorageData.bind(this),
             SAVE_ANALYSIS_RESULT: this.handleSaveAnalysisResult.bind(this),
             GET_ANALYSIS_HISTORY: this.handleGetAnalysisHistory.bind(this),
+            RESET_ADVANCED_SETTING: this.handleResetAdvancedSetting.bind(this),
+            GET_PLACE_LIST: this.handleGetPlaceList.bind(this),
+            GET_PLACE_SNAPSHOTS: this.handleGetPlaceSnapshots.bind(this),
+            GET_CACHED_RESULT: this.handleGetCachedResult.bind(this),
+            SAVE_CACHED_RESULT: this.handleSaveCachedResult.bind(this),
+            GET_STORAGE_SUMMARY: this.handleGetStorageSummary.bind(this),
         };
     }
 
@@ -448,6 +731,33 @@ class MessageHandler {
         }
     }
 
+    /**
+     * 詳細設定の項目リセット処理
+     */
+    async handleResetAdvancedSetting(message, sender) {
+        try {
+            if (!message.detector || !message.field) {
+                throw new Error("No detector or field provided for reset");
+            }
+
+            const updatedData = await this.storageManager.resetAdvancedSetting(
+                message.detector,
+                message.field
+            );
+
+            return {
+                success: true,
+                data: updatedData,
+            };
+        } catch (error) {
+            console.error("Failed to reset advanced setting:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
     /**
      * 分析結果保存処理
      */
@@ -459,6 +769,10 @@ class MessageHandler {
 
             await this.storageManager.saveAnalysisResult(message.data);
 
+            if (sender.tab?.id !== undefined) {
+                await this.updateActionBadge(sender.tab.id, message.data);
+            }
+
             return {
                 success: true,
             };
@@ -471,17 +785,57 @@ class MessageHandler {
         }
     }
 
+    /**
+     * ツールバーのバッジに分析結果を表示
+     * スコアを表示し、疑念閾値による判定に応じて色を変える
+     * @param {number} tabId - タブID
+     * @param {Object} analysisData - 分析結果
+     */
+    async updateActionBadge(tabId, analysisData) {
+        const verdicts = self.MRA_CONFIG?.VERDICT_CONFIG.verdicts || {};
+        const verdict = verdicts[analysisData.verdict];
+
+        try {
+            await chrome.action.setBadgeText({
+                tabId,
+                text: String(analysisData.trustScore ?? ""),
+            });
+            await chrome.action.setBadgeBackgroundColor({
+                tabId,
+                color: verdict?.color || "#1976d2",
+            });
+            await chrome.action.setTitle({
+                tabId,
+                title: verdict
+                    ? `レビュー信頼度: ${analysisData.trustScore}（${verdict.label}）`
+                    : `レビュー信頼度: ${analysisData.trustScore}`,
+            });
+        } catch (error) {
+            console.error("Failed to update action badge:", error);
+        }
+    }
+
     /**
      * 分析履歴取得処理
      */
     async handleGetAnalysisHistory(message, sender) {
         try {
-            const limit = message.limit || null;
-            const data = await this.storageManager.getAnalysisHistory(limit);
+            const page = await this.storageManager.getAnalysisHistoryPage({
+                offset: message.offset || 0,
+                limit: message.limit || null,
+                placeName: message.placeName || null,
+                url: message.url || null,
+            });
 
             return {
                 success: true,
-                data,
+                data: page.items,
+                page: {
+                    offset: page.offset,
+                    limit: page.limit,
+                    total: page.total,
+                    hasMore: page.hasMore,
+                },
             };
         } catch (error) {
             console.error("Failed to get analysis history:", error);
@@ -491,6 +845,134 @@ class MessageHandler {
             };
         }
     }
+
+    /**
+     * 場所ごとの履歴一覧取得処理（各場所の最新スナップショット）
+     */
+    async handleGetPlaceList(message, sender) {
+        try {
+            const page = await this.storageManager.getPlaceListPage({
+                offset: message.offset || 0,
+                limit: message.limit || null,
+            });
+
+            return {
+                success: true,
+                data: page.items,
+                page: {
+                    offset: page.offset,
+                    limit: page.limit,
+                    total: page.total,
+                    hasMore: page.hasMore,
+                },
+            };
+        } catch (error) {
+            console.error("Failed to get place list:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * 場所のスナップショット取得処理（推移グラフ用）
+     */
+    async handleGetPlaceSnapshots(message, sender) {
+        try {
+            if (!message.placeKey) {
+                throw new Error("placeKey is required");
+            }
+
+            const data = await this.storageManager.getPlaceSnapshots(
+                message.placeKey
+            );
+
+            return {
+                success: true,
+                data,
+            };
+        } catch (error) {
+            console.error("Failed to get place snapshots:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * 分析結果キャッシュ取得処理
+     */
+    async handleGetCachedResult(message, sender) {
+        try {
+            const data = message.placeKey
+                ? await this.storageManager.getCachedResult(message.placeKey)
+                : null;
+
+            // キャッシュを表示する場合も、再分析を待たずにツールバーのバッジを更新する
+            if (data?.result && sender.tab?.id !== undefined) {
+                await this.updateActionBadge(sender.tab.id, {
+                    trustScore: data.result.score,
+                    verdict: data.result.verdict?.key,
+                });
+            }
+
+            return {
+                success: true,
+                data,
+            };
+        } catch (error) {
+            console.error("Failed to get cached result:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * 分析結果キャッシュ保存処理
+     */
+    async handleSaveCachedResult(message, sender) {
+        try {
+            if (!message.data?.placeKey) {
+                throw new Error("placeKey is required");
+            }
+
+            await this.storageManager.saveCachedResult(message.data);
+
+            return {
+                success: true,
+            };
+        } catch (error) {
+            console.error("Failed to save cached result:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * 保存データの概要取得処理
+     */
+    async handleGetStorageSummary(message, sender) {
+        try {
+            const data = await this.storageManager.getStorageSummary();
+
+            return {
+                success: true,
+                data,
+            };
+        } catch (error) {
+            console.error("Failed to get storage summary:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
 }
 
 // Service Worker環境でクラスを公開
@@ -537,3 +1019,12 @@ chrome.action.onClicked.addListener((tab) => {
         backgroundService.handleActionClick(tab);
     }
 });
+
+// 保持期間を過ぎたデータの定期削除
+// 停止していたService Workerがアラームで起動した場合は activate が発火せず
+// backgroundService が未作成のため、StorageManager をその場で作成して実行する
+chrome.alarms.onAlarm.addListener((alarm) => {
+    const storageManager =
+        backgroundService?.storageManager || new StorageManager();
+    storageManager.retention.handleAlarm(alarm);
+});
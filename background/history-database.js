@@ -0,0 +1,372 @@
+// src/background/history-database.js - Service Worker用
+
+/**
+ * 分析履歴を保存するIndexedDBのラッパークラス
+ * 履歴は場所（店舗名・場所のキー）・URL・日時のインデックスを持つ1つのオブジェクトストアに保存する
+ * 分析のたびに1件のスナップショットを追加し、場所のキー（MRA_PLACE_IDENTITY）で時系列をまとめる
+ */
+class HistoryDatabase {
+    /**
+     * @param {Object} options - { name, version, store }（MRA_CONFIG.HISTORY_DB_CONFIG）
+     */
+    constructor(options = {}) {
+        this.name = options.NAME || "mra-history";
+        this.version = options.VERSION || 1;
+        this.storeName = options.STORE || "analyses";
+        this.dbPromise = null;
+    }
+
+    /**
+     * データベースを開く（初回はスキーマを作成・更新）
+     * @returns {Promise<IDBDatabase>} - データベース
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = (event) => {
+                this.upgrade(request.result, request.transaction, event);
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // 別のコンテキストでバージョンが上がった場合は閉じて開き直す
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * スキーマを作成・更新
+     * @param {IDBDatabase} db - データベース
+     * @param {IDBTransaction} transaction - バージョン変更トランザクション
+     * @param {IDBVersionChangeEvent} event - イベント
+     */
+    upgrade(db, transaction, event) {
+        if (event.oldVersion < 1) {
+            const store = db.createObjectStore(this.storeName, {
+                keyPath: "id",
+                autoIncrement: true,
+            });
+            store.createIndex("placeName", "placeName", { unique: false });
+            store.createIndex("url", "url", { unique: false });
+            store.createIndex("timestamp", "timestamp", { unique: false });
+        }
+
+        if (event.oldVersion < 2) {
+            const store = transaction.objectStore(this.storeName);
+            store.createIndex("placeKey", "placeKey", { unique: false });
+        }
+
+        if (event.oldVersion < 3) {
+            // 既存の履歴の場所のキーを場所IDで付け直す
+            const store = transaction.objectStore(this.storeName);
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.update({
+                    ...cursor.value,
+                    placeKey: this.getPlaceKey(cursor.value),
+                });
+                cursor.continue();
+            };
+        }
+    }
+
+    /**
+     * 履歴の場所のキーを取得
+     * @param {Object} record - 履歴
+     * @returns {string} - 場所のキー
+     */
+    getPlaceKey(record) {
+        const key = self.MRA_PLACE_IDENTITY?.getKey(
+            record.url,
+            record.placeName
+        );
+        return key || `url:${record.url}`;
+    }
+
+    /**
+     * トランザクション内で処理を実行
+     * @param {string} mode - "readonly" | "readwrite"
+     * @param {Function} callback - (store) => IDBRequest | void
+     * @returns {Promise<*>} - リクエストの結果（トランザクション完了後）
+     */
+    async run(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const store = transaction.objectStore(this.storeName);
+            const request = callback(store);
+
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 履歴を追加・更新（idがあれば上書き）
+     * @param {Object} record - 履歴
+     * @returns {Promise<number>} - 保存したid
+     */
+    put(record) {
+        return this.run("readwrite", (store) => store.put(record));
+    }
+
+    /**
+     * 複数の履歴をまとめて追加・更新
+     * @param {Array<Object>} records - 履歴
+     * @returns {Promise<void>}
+     */
+    putAll(records) {
+        return this.run("readwrite", (store) => {
+            records.forEach((record) => store.put(record));
+        });
+    }
+
+    /**
+     * 履歴を削除
+     * @param {number} id - 履歴のid
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this.run("readwrite", (store) => store.delete(id));
+    }
+
+    /**
+     * すべての履歴を削除
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.run("readwrite", (store) => store.clear());
+    }
+
+    /**
+     * 履歴の件数を取得
+     * @param {Object} filter - { index, value }（省略時は全件）
+     * @returns {Promise<number>} - 件数
+     */
+    count(filter = null) {
+        return this.run("readonly", (store) =>
+            filter
+                ? store
+                      .index(filter.index)
+                      .count(IDBKeyRange.only(filter.value))
+                : store.count()
+        );
+    }
+
+    /**
+     * すべての履歴を取得
+     * @returns {Promise<Array<Object>>} - 履歴
+     */
+    getAll() {
+        return this.run("readonly", (store) => store.getAll());
+    }
+
+    /**
+     * 最も古い履歴の日時を取得
+     * @returns {Promise<string|null>} - ISO形式の日時（履歴がなければnull）
+     */
+    async getOldestTimestamp() {
+        let oldest = null;
+        await this.run("readonly", (store) => {
+            const request = store.index("timestamp").openKeyCursor();
+            request.onsuccess = () => {
+                oldest = request.result ? request.result.key : null;
+            };
+        });
+        return oldest;
+    }
+
+    /**
+     * 指定日時より古い履歴を削除
+     * @param {string} cutoff - ISO形式の日時（これより前の履歴を削除）
+     * @returns {Promise<number>} - 削除した件数
+     */
+    async deleteOlderThan(cutoff) {
+        let deleted = 0;
+        await this.run("readwrite", (store) => {
+            const request = store
+                .index("timestamp")
+                .openCursor(IDBKeyRange.upperBound(cutoff, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.delete();
+                deleted++;
+                cursor.continue();
+            };
+        });
+
+        return deleted;
+    }
+
+    /**
+     * 指定したインデックスの値に一致する履歴をすべて取得
+     * @param {string} index - インデックス名
+     * @param {*} value - 値
+     * @returns {Promise<Array<Object>>} - 履歴
+     */
+    getAllByIndex(index, value) {
+        return this.run("readonly", (store) =>
+            store.index(index).getAll(IDBKeyRange.only(value))
+        );
+    }
+
+    /**
+     * 履歴を新しい順にページ単位で取得
+     * @param {Object} options - { offset, limit, filter: { index, value } }
+     * @returns {Promise<Object>} - { items, total, offset, limit, hasMore }
+     */
+    async getPage({ offset = 0, limit = 20, filter = null } = {}) {
+        const total = await this.count(filter);
+        const items = [];
+
+        await this.run("readonly", (store) => {
+            // 絞り込みがなければ日時のインデックスを新しい順に走査する
+            const source = filter
+                ? store.index(filter.index)
+                : store.index("timestamp");
+            const range = filter ? IDBKeyRange.only(filter.value) : null;
+            const request = source.openCursor(range, "prev");
+            let skipped = false;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                if (!skipped && offset > 0) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+
+                items.push(cursor.value);
+                if (items.length < limit) {
+                    cursor.continue();
+                }
+            };
+        });
+
+        // 絞り込み時はインデックス内の順序がid順のため日時で並べ直す
+        if (filter) {
+            items.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        }
+
+        return {
+            items,
+            total,
+            offset,
+            limit,
+            hasMore: offset + items.length < total,
+        };
+    }
+
+    /**
+     * インデックスの値の種類数を取得（placeKeyなら場所の数）
+     * @param {string} index - インデックス名
+     * @returns {Promise<number>} - 種類数
+     */
+    async countUnique(index) {
+        let total = 0;
+        await this.run("readonly", (store) => {
+            const request = store
+                .index(index)
+                .openKeyCursor(null, "nextunique");
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                total++;
+                cursor.continue();
+            };
+        });
+        return total;
+    }
+
+    /**
+     * インデックスの値ごとに最新の1件を新しい順にページ単位で取得
+     * @param {string} index - まとめる単位のインデックス名（placeKeyなど）
+     * @param {Object} options - { offset, limit }
+     * @returns {Promise<Object>} - { items, total, offset, limit, hasMore }
+     */
+    async getLatestPerKey(index, { offset = 0, limit = 20 } = {}) {
+        const total = await this.countUnique(index);
+
+        const items = [];
+        await this.run("readonly", (store) => {
+            const keyPath = store.index(index).keyPath;
+            const seen = new Set();
+            const request = store.index("timestamp").openCursor(null, "prev");
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                const key = cursor.value[keyPath];
+                if (key !== undefined && !seen.has(key)) {
+                    seen.add(key);
+                    if (seen.size > offset) {
+                        items.push(cursor.value);
+                    }
+                }
+
+                if (items.length < limit) {
+                    cursor.continue();
+                }
+            };
+        });
+
+        return {
+            items,
+            total,
+            offset,
+            limit,
+            hasMore: offset + items.length < total,
+        };
+    }
+
+    /**
+     * 古い履歴を削除して件数を上限以内に保つ
+     * @param {number} maxItems - 上限件数
+     * @returns {Promise<number>} - 削除した件数
+     */
+    async trim(maxItems) {
+        const total = await this.count();
+        const excess = total - maxItems;
+        if (excess <= 0) return 0;
+
+        let deleted = 0;
+        await this.run("readwrite", (store) => {
+            const request = store.index("timestamp").openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || deleted >= excess) return;
+                cursor.delete();
+                deleted++;
+                cursor.continue();
+            };
+        });
+
+        return deleted;
+    }
+}
+
+// Service Worker環境で公開
+if (typeof self !== "undefined") {
+    self.HistoryDatabase = HistoryDatabase;
+}
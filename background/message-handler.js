@@ -24,6 +24,18 @@ class MessageHandler {
                 this.handleSaveAnalysisResult.bind(this),
             [this.constants.MESSAGE_TYPES.GET_ANALYSIS_HISTORY]:
                 this.handleGetAnalysisHistory.bind(this),
+            [this.constants.MESSAGE_TYPES.RESET_ADVANCED_SETTING]:
+                this.handleResetAdvancedSetting.bind(this),
+            [this.constants.MESSAGE_TYPES.GET_PLACE_LIST]:
+                this.handleGetPlaceList.bind(this),
+            [this.constants.MESSAGE_TYPES.GET_PLACE_SNAPSHOTS]:
+                this.handleGetPlaceSnapshots.bind(this),
+            [this.constants.MESSAGE_TYPES.GET_CACHED_RESULT]:
+                this.handleGetCachedResult.bind(this),
+            [this.constants.MESSAGE_TYPES.SAVE_CACHED_RESULT]:
+                this.handleSaveCachedResult.bind(this),
+            [this.constants.MESSAGE_TYPES.GET_STORAGE_SUMMARY]:
+                this.handleGetStorageSummary.bind(this),
 
             // 追加のメッセージタイプ
             CLEAR_ANALYSIS_HISTORY: this.handleClearAnalysisHistory.bind(this),
@@ -147,6 +159,39 @@ class MessageHandler {
         }
     }
 
+    /**
+     * 詳細設定の項目リセット処理
+     * @param {Object} message - メッセージ（detector, field）
+     * @param {Object} sender - 送信者
+     * @returns {Promise<Object>} - レスポンス
+     */
+    async handleResetAdvancedSetting(message, sender) {
+        try {
+            if (!message.detector || !message.field) {
+                throw new Error("No detector or field provided for reset");
+            }
+
+            const updatedData = await this.storageManager.resetAdvancedSetting(
+                message.detector,
+                message.field
+            );
+
+            // 他のタブに設定変更を通知
+            this.notifySettingsChange(sender, updatedData);
+
+            return {
+                success: true,
+                data: updatedData,
+            };
+        } catch (error) {
+            console.error("Failed to reset advanced setting:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
     /**
      * 分析結果保存処理
      * @param {Object} message - メッセージ
@@ -161,6 +206,10 @@ class MessageHandler {
 
             await this.storageManager.saveAnalysisResult(message.data);
 
+            if (sender.tab?.id !== undefined) {
+                await this.updateActionBadge(sender.tab.id, message.data);
+            }
+
             // 他のタブに新しい分析結果を通知
             this.notifyAnalysisResult(sender, message.data);
 
@@ -177,19 +226,59 @@ class MessageHandler {
     }
 
     /**
-     * 分析履歴取得処理
+     * ツールバーのバッジに分析結果を表示
+     * スコアを表示し、疑念閾値による判定に応じて色を変える
+     * @param {number} tabId - タブID
+     * @param {Object} analysisData - 分析結果
+     */
+    async updateActionBadge(tabId, analysisData) {
+        const verdicts = self.MRA_CONFIG?.VERDICT_CONFIG.verdicts || {};
+        const verdict = verdicts[analysisData.verdict];
+
+        try {
+            await chrome.action.setBadgeText({
+                tabId,
+                text: String(analysisData.trustScore ?? ""),
+            });
+            await chrome.action.setBadgeBackgroundColor({
+                tabId,
+                color: verdict?.color || "#1976d2",
+            });
+            await chrome.action.setTitle({
+                tabId,
+                title: verdict
+                    ? `レビュー信頼度: ${analysisData.trustScore}（${verdict.label}）`
+                    : `レビュー信頼度: ${analysisData.trustScore}`,
+            });
+        } catch (error) {
+            console.error("Failed to update action badge:", error);
+        }
+    }
+
+    /**
+     * 分析履歴取得処理（offset・limitでページ単位、placeName・urlで絞り込み）
      * @param {Object} message - メッセージ
      * @param {Object} sender - 送信者
      * @returns {Promise<Object>} - レスポンス
      */
     async handleGetAnalysisHistory(message, sender) {
         try {
-            const limit = message.limit || null;
-            const data = await this.storageManager.getAnalysisHistory(limit);
+            const page = await this.storageManager.getAnalysisHistoryPage({
+                offset: message.offset || 0,
+                limit: message.limit || null,
+                placeName: message.placeName || null,
+                url: message.url || null,
+            });
 
             return {
                 success: true,
-                data,
+                data: page.items,
+                page: {
+                    offset: page.offset,
+                    limit: page.limit,
+                    total: page.total,
+                    hasMore: page.hasMore,
+                },
             };
         } catch (error) {
             console.error("Failed to get analysis history:", error);
@@ -200,6 +289,149 @@ class MessageHandler {
         }
     }
 
+    /**
+     * 場所ごとの履歴一覧取得処理（各場所の最新スナップショット）
+     * @param {Object} message - メッセージ
+     * @param {Object} sender - 送信者
+     * @returns {Promise<Object>} - レスポンス
+     */
+    async handleGetPlaceList(message, sender) {
+        try {
+            const page = await this.storageManager.getPlaceListPage({
+                offset: message.offset || 0,
+                limit: message.limit || null,
+            });
+
+            return {
+                success: true,
+                data: page.items,
+                page: {
+                    offset: page.offset,
+                    limit: page.limit,
+                    total: page.total,
+                    hasMore: page.hasMore,
+                },
+            };
+        } catch (error) {
+            console.error("Failed to get place list:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * 場所のスナップショット取得処理（推移グラフ用）
+     * @param {Object} message - メッセージ（placeKey）
+     * @param {Object} sender - 送信者
+     * @returns {Promise<Object>} - レスポンス
+     */
+    async handleGetPlaceSnapshots(message, sender) {
+        try {
+            if (!message.placeKey) {
+                throw new Error("placeKey is required");
+            }
+
+            const data = await this.storageManager.getPlaceSnapshots(
+                message.placeKey
+            );
+
+            return {
+                success: true,
+                data,
+            };
+        } catch (error) {
+            console.error("Failed to get place snapshots:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * 分析結果キャッシュ取得処理
+     * @param {Object} message - メッセージ（placeKey）
+     * @param {Object} sender - 送信者
+     * @returns {Promise<Object>} - レスポンス（キャッシュがなければ data: null）
+     */
+    async handleGetCachedResult(message, sender) {
+        try {
+            const data = message.placeKey
+                ? await this.storageManager.getCachedResult(message.placeKey)
+                : null;
+
+            // キャッシュを表示する場合も、再分析を待たずにツールバーのバッジを更新する
+            if (data?.result && sender.tab?.id !== undefined) {
+                await this.updateActionBadge(sender.tab.id, {
+                    trustScore: data.result.score,
+                    verdict: data.result.verdict?.key,
+                });
+            }
+
+            return {
+                success: true,
+                data,
+            };
+        } catch (error) {
+            console.error("Failed to get cached result:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * 分析結果キャッシュ保存処理
+     * @param {Object} message - メッセージ（data: キャッシュするエントリ）
+     * @param {Object} sender - 送信者
+     * @returns {Promise<Object>} - レスポンス
+     */
+    async handleSaveCachedResult(message, sender) {
+        try {
+            if (!message.data?.placeKey) {
+                throw new Error("placeKey is required");
+            }
+
+            await this.storageManager.saveCachedResult(message.data);
+
+            return {
+                success: true,
+            };
+        } catch (error) {
+            console.error("Failed to save cached result:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * 保存データの概要取得処理
+     * @param {Object} message - メッセージ
+     * @param {Object} sender - 送信者
+     * @returns {Promise<Object>} - レスポンス
+     */
+    async handleGetStorageSummary(message, sender) {
+        try {
+            const data = await this.storageManager.getStorageSummary();
+
+            return {
+                success: true,
+                data,
+            };
+        } catch (error) {
+            console.error("Failed to get storage summary:", error);
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
     /**
      * 分析履歴クリア処理
      * @param {Object} message - メッセージ
@@ -354,10 +586,7 @@ class MessageHandler {
     async notifySettingsChange(sender, updatedData) {
         try {
             const tabs = await chrome.tabs.query({
-                url: [
-                    "https://www.google.com/maps/*",
-                    "https://maps.google.com/*",
-                ],
+                url: self.MRA_CONFIG.URL_PATTERNS.GOOGLE_MAPS,
             });
 
             tabs.forEach((tab) => {
@@ -428,10 +657,7 @@ class MessageHandler {
     async notifyDataImported(sender) {
         try {
             const tabs = await chrome.tabs.query({
-                url: [
-                    "https://www.google.com/maps/*",
-                    "https://maps.google.com/*",
-                ],
+                url: self.MRA_CONFIG.URL_PATTERNS.GOOGLE_MAPS,
             });
 
             tabs.forEach((tab) => {
@@ -495,10 +721,10 @@ class MessageHandler {
         if (sender.tab && sender.tab.url) {
             try {
                 const url = new URL(sender.tab.url);
-                const allowedDomains = ["google.com", "maps.google.com"];
-                const isAllowed = allowedDomains.some((domain) =>
-                    url.hostname.includes(domain)
-                );
+                const isAllowed =
+                    self.MRA_CONFIG.URL_PATTERNS.isGoogleMapsDomain(
+                        url.hostname
+                    );
 
                 if (!isAllowed) {
                     console.warn(
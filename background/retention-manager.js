@@ -0,0 +1,234 @@
+// src/background/retention-manager.js - Service Worker用
+
+/**
+ * 保存データの保持期間と匿名化を管理するクラス
+ * chrome.alarms で定期的に保持期間（settings.dataRetentionDays）を過ぎた履歴とキャッシュを削除し、
+ * SECURITY_CONFIG.ANONYMIZE_USER_DATA が有効な場合は保存前にURLとレビュー本文の抜粋を匿名化する
+ */
+class RetentionManager {
+    /**
+     * @param {StorageManager} storageManager - ストレージ管理
+     */
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.security = self.MRA_CONFIG?.SECURITY_CONFIG || {
+            ANONYMIZE_USER_DATA: true,
+            DATA_RETENTION_DAYS: 30,
+            RETENTION_ALARM_NAME: "mra-retention",
+            RETENTION_CHECK_INTERVAL_MINUTES: 60 * 24,
+            RETENTION_STATUS_STORAGE_KEY: "retentionStatus",
+        };
+    }
+
+    /**
+     * 匿名化が有効か判定
+     * @returns {boolean} - 匿名化する場合true
+     */
+    isAnonymizationEnabled() {
+        return this.security.ANONYMIZE_USER_DATA === true;
+    }
+
+    /**
+     * 定期削除のアラームを登録（登録済みの場合は何もしない）
+     */
+    async schedule() {
+        const name = this.security.RETENTION_ALARM_NAME;
+        const existing = await chrome.alarms.get(name);
+        if (existing) return;
+
+        await chrome.alarms.create(name, {
+            delayInMinutes: 1,
+            periodInMinutes: this.security.RETENTION_CHECK_INTERVAL_MINUTES,
+        });
+        console.log("Retention alarm scheduled");
+    }
+
+    /**
+     * アラーム発火時の処理
+     * @param {Object} alarm - chrome.alarms.Alarm
+     */
+    async handleAlarm(alarm) {
+        if (alarm?.name !== this.security.RETENTION_ALARM_NAME) return;
+        await this.purgeExpiredData();
+    }
+
+    /**
+     * 保持期間の変更時の処理（短くなった場合は定期実行を待たずに削除する）
+     * @param {number} previousDays - 変更前の日数
+     * @param {number} nextDays - 変更後の日数
+     */
+    async handleRetentionChange(previousDays, nextDays) {
+        const previous =
+            previousDays > 0 ? previousDays : this.security.DATA_RETENTION_DAYS;
+        if (nextDays > 0 && nextDays < previous) {
+            await this.purgeExpiredData();
+        }
+    }
+
+    /**
+     * 保持期間の日数を取得
+     * @returns {Promise<number>} - 日数
+     */
+    async getRetentionDays() {
+        const settings = await this.storageManager.getSettings();
+        const days = settings?.settings?.dataRetentionDays;
+        return typeof days === "number" && days > 0
+            ? days
+            : this.security.DATA_RETENTION_DAYS;
+    }
+
+    /**
+     * 保持期間を過ぎた履歴とキャッシュを削除し、残りの履歴を匿名化
+     * @returns {Promise<Object>} - 実行結果（retentionStatusとして保存）
+     */
+    async purgeExpiredData() {
+        try {
+            const retentionDays = await this.getRetentionDays();
+            const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+            const deletedHistory =
+                await this.storageManager.deleteHistoryOlderThan(cutoff);
+            const deletedCache =
+                await this.storageManager.deleteCachedResultsOlderThan(cutoff);
+            const anonymized = this.isAnonymizationEnabled()
+                ? await this.anonymizeStoredHistory()
+                : 0;
+
+            const status = {
+                lastRun: new Date().toISOString(),
+                retentionDays,
+                deletedHistory,
+                deletedCache,
+                anonymized,
+            };
+            await chrome.storage.local.set({
+                [this.security.RETENTION_STATUS_STORAGE_KEY]: status,
+            });
+
+            console.log("Retention cleanup completed:", status);
+            return status;
+        } catch (error) {
+            console.error("Retention cleanup failed:", error);
+            return null;
+        }
+    }
+
+    /**
+     * 前回の削除処理の結果を取得
+     * @returns {Promise<Object|null>} - retentionStatus
+     */
+    async getStatus() {
+        const key = this.security.RETENTION_STATUS_STORAGE_KEY;
+        const { [key]: status = null } = await chrome.storage.local.get([key]);
+        return status;
+    }
+
+    /**
+     * 匿名化前に保存された履歴を匿名化
+     * @returns {Promise<number>} - 匿名化した件数
+     */
+    async anonymizeStoredHistory() {
+        const historyDb = this.storageManager.historyDb;
+        const records = (await historyDb.getAll()).filter(
+            (record) => !record.anonymized
+        );
+        if (records.length === 0) return 0;
+
+        const anonymized = await Promise.all(
+            records.map((record) => this.anonymize(record))
+        );
+        await historyDb.putAll(anonymized);
+        return anonymized.length;
+    }
+
+    /**
+     * 保存するデータを匿名化（匿名化が無効な場合はそのまま返す）
+     * URLは場所のパスだけを残し、レビュー本文の抜粋はハッシュに置き換える
+     * @param {Object} record - 履歴またはキャッシュのエントリ
+     * @returns {Promise<Object>} - 匿名化したエントリ
+     */
+    async anonymize(record) {
+        if (!this.isAnonymizationEnabled() || !record) return record;
+
+        const anonymized = await this.hashSnippets(record);
+        if (typeof anonymized.url === "string") {
+            anonymized.url = this.stripUrl(anonymized.url);
+        }
+        anonymized.anonymized = true;
+        return anonymized;
+    }
+
+    /**
+     * URLから表示位置・検索語などを取り除き、場所のパスだけを残す
+     * @param {string} url - URL
+     * @returns {string|null} - 例: https://www.google.com/maps/place/店名
+     */
+    stripUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            const match = urlObj.pathname.match(/^\/maps\/place\/[^/]+/);
+            return urlObj.origin + (match ? match[0] : "/maps");
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * レビュー本文の抜粋（類似クラスタの代表文・食い違いの例文）をハッシュに置き換える
+     * @param {*} value - 対象の値（オブジェクトは再帰的に処理したコピーを返す）
+     * @returns {Promise<*>} - 置き換えた値
+     */
+    async hashSnippets(value) {
+        if (Array.isArray(value)) {
+            return Promise.all(value.map((item) => this.hashSnippets(item)));
+        }
+        if (!value || typeof value !== "object") {
+            return value;
+        }
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (key === "representativeText" && typeof item === "string") {
+                result[key] = await this.hashText(item);
+            } else if (key === "examples" && Array.isArray(item)) {
+                result[key] = await Promise.all(
+                    item.map(async (example) =>
+                        typeof example?.text === "string"
+                            ? {
+                                  ...example,
+                                  text: await this.hashText(example.text),
+                              }
+                            : example
+                    )
+                );
+            } else {
+                result[key] = await this.hashSnippets(item);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * テキストのハッシュ（SHA-256の先頭64bit）を作成
+     * 同じ本文は同じハッシュになるため、重複の確認には使える
+     * @param {string} text - テキスト
+     * @returns {Promise<string>} - "sha256:<16桁の16進数>"
+     */
+    async hashText(text) {
+        if (text.startsWith("sha256:")) return text;
+
+        const digest = await crypto.subtle.digest(
+            "SHA-256",
+            new TextEncoder().encode(text)
+        );
+        const hex = Array.from(new Uint8Array(digest).slice(0, 8))
+            .map((byte) => byte.toString(16).padStart(2, "0"))
+            .join("");
+        return `sha256:${hex}`;
+    }
+}
+
+// Service Worker環境で公開
+if (typeof self !== "undefined") {
+    self.RetentionManager = RetentionManager;
+}
@@ -14,6 +14,21 @@ class StorageManager {
             console.warn("Config or Constants not loaded, using fallback");
             this.initializeFallbackConfig();
         }
+
+        // 分析履歴はIndexedDBに保存する
+        this.historyDb = new HistoryDatabase(this.config.HISTORY_DB_CONFIG);
+        this.resultCacheKey =
+            this.config.PERFORMANCE_CONFIG.RESULT_CACHE_STORAGE_KEY;
+        this.maxCachedResults =
+            this.config.PERFORMANCE_CONFIG.MAX_CACHED_RESULTS;
+        this.maxHistoryItems =
+            (
+                this.constants.ANALYSIS_CONSTANTS ||
+                this.config.ANALYSIS_CONSTANTS
+            )?.MAX_HISTORY_ITEMS || 5000;
+
+        // 保存データの保持期間と匿名化
+        this.retention = new RetentionManager(this);
     }
 
     /**
@@ -28,8 +43,12 @@ class StorageManager {
                     showDetailedAnalysis: true,
                     minimumReviewsForAnalysis: 5,
                     suspicionThreshold: 40,
+                    scaleTrustLevels: true,
                     autoAnalysis: true,
                     debugMode: false,
+                    reviewSampleSize: 50,
+                    dataRetentionDays: 30,
+                    advanced: { detectors: {} },
                 },
             },
             CONFIG_UTILS: {
@@ -60,7 +79,17 @@ class StorageManager {
                 },
             },
             ANALYSIS_CONSTANTS: {
-                MAX_HISTORY_ITEMS: 20,
+                MAX_HISTORY_ITEMS: 5000,
+            },
+            PERFORMANCE_CONFIG: {
+                MAX_CACHED_RESULTS: 50,
+                RESULT_CACHE_STORAGE_KEY: "resultCache",
+            },
+            HISTORY_DB_CONFIG: {
+                NAME: "mra-history",
+                VERSION: 1,
+                STORE: "analyses",
+                LEGACY_STORAGE_KEY: "analysisHistory",
             },
         };
 
@@ -149,6 +178,11 @@ class StorageManager {
 
             await chrome.storage.sync.set(mergedSettings);
             console.log("Settings updated successfully:", mergedSettings);
+
+            await this.retention.handleRetentionChange(
+                currentSettings.settings?.dataRetentionDays,
+                mergedSettings.settings?.dataRetentionDays
+            );
             return mergedSettings;
         } catch (error) {
             console.error("Failed to update settings:", error);
@@ -157,46 +191,89 @@ class StorageManager {
     }
 
     /**
-     * 分析結果を保存
+     * 詳細設定の1項目を既定値に戻す
+     * @param {string} detectorKey - 検出器のキー
+     * @param {string} field - 項目名（enabled / weight / maxScore / threshold）
+     * @returns {Promise<Object>} - 更新後の設定
+     */
+    async resetAdvancedSetting(detectorKey, field) {
+        const currentSettings = await this.getSettings();
+        const advanced = this.config.CONFIG_UTILS.resetAdvancedField
+            ? this.config.CONFIG_UTILS.resetAdvancedField(
+                  currentSettings.settings?.advanced,
+                  detectorKey,
+                  field
+              )
+            : { detectors: {} };
+
+        return this.updateSettings({ settings: { advanced } });
+    }
+
+    /**
+     * 旧形式（chrome.storage.local の配列）の分析履歴をIndexedDBへ移行
+     * @returns {Promise<number>} - 移行した件数
+     */
+    async migrateLegacyHistory() {
+        const key = this.config.HISTORY_DB_CONFIG.LEGACY_STORAGE_KEY;
+
+        try {
+            const { [key]: legacyHistory } = await chrome.storage.local.get([
+                key,
+            ]);
+            if (!Array.isArray(legacyHistory)) return 0;
+
+            const records = legacyHistory
+                .filter((item) => item && item.url && item.timestamp)
+                .map((item) => ({
+                    ...item,
+                    id: item.id ?? new Date(item.timestamp).getTime(),
+                    placeKey: item.placeKey || this.historyDb.getPlaceKey(item),
+                }));
+
+            await this.historyDb.putAll(records);
+            await chrome.storage.local.remove([key]);
+            console.log(`Migrated ${records.length} history items`);
+            return records.length;
+        } catch (error) {
+            // 移行に失敗した場合は旧データを残し、次回起動時に再試行する
+            console.error("Failed to migrate analysis history:", error);
+            return 0;
+        }
+    }
+
+    /**
+     * 分析結果を保存（分析のたびに場所ごとのスナップショットとして追加）
      * @param {Object} analysisData - 分析データ
      * @returns {Promise<void>}
      */
     async saveAnalysisResult(analysisData) {
         try {
-            const { analysisHistory = [] } = await chrome.storage.local.get([
-                "analysisHistory",
-            ]);
-
             const newResult = {
                 id: Date.now(),
                 timestamp: new Date().toISOString(),
+                placeKey:
+                    analysisData.placeKey ||
+                    this.historyDb.getPlaceKey(analysisData),
+                placeId: analysisData.placeId ?? null,
+                coordinates: analysisData.coordinates ?? null,
                 url: analysisData.url,
                 placeName: analysisData.placeName,
                 trustScore: analysisData.trustScore,
+                verdict: analysisData.verdict ?? null,
+                displayedRating: analysisData.displayedRating ?? null,
+                adjustedRating: analysisData.adjustedRating ?? null,
                 totalReviews: analysisData.totalReviews,
                 suspiciousPatterns: analysisData.suspiciousPatterns,
+                breakdown: analysisData.breakdown ?? null,
                 analysisMode: analysisData.analysisMode || "standard",
                 version: "1.0.0", // 将来のデータ移行用
             };
 
-            // 重複チェック（同じURLの結果は更新）
-            const existingIndex = analysisHistory.findIndex(
-                (item) => item.url === newResult.url
-            );
-            if (existingIndex !== -1) {
-                analysisHistory[existingIndex] = newResult;
-            } else {
-                analysisHistory.unshift(newResult);
-            }
+            await this.historyDb.put(await this.retention.anonymize(newResult));
 
             // 最大保持件数の制限
-            const maxItems =
-                this.config.ANALYSIS_CONSTANTS?.MAX_HISTORY_ITEMS || 20;
-            if (analysisHistory.length > maxItems) {
-                analysisHistory.splice(maxItems);
-            }
+            await this.historyDb.trim(this.maxHistoryItems);
 
-            await chrome.storage.local.set({ analysisHistory });
             console.log("Analysis result saved:", newResult.placeName);
         } catch (error) {
             console.error("Failed to save analysis result:", error);
@@ -204,6 +281,182 @@ class StorageManager {
         }
     }
 
+    /**
+     * 分析履歴を新しい順にページ単位で取得
+     * @param {Object} options - { offset, limit, placeKey, placeName, url }
+     * @returns {Promise<Object>} - { items, total, offset, limit, hasMore }
+     */
+    async getAnalysisHistoryPage({
+        offset = 0,
+        limit = null,
+        placeKey = null,
+        placeName = null,
+        url = null,
+    } = {}) {
+        // URLで検索した場合は表示位置などの違いを無視して同じ場所の履歴を返す
+        const filter = placeKey
+            ? { index: "placeKey", value: placeKey }
+            : url
+            ? {
+                  index: "placeKey",
+                  value: this.historyDb.getPlaceKey({ url, placeName }),
+              }
+            : placeName
+            ? { index: "placeName", value: placeName }
+            : null;
+
+        const page = await this.historyDb.getPage({
+            offset: Math.max(0, offset),
+            limit: limit || this.maxHistoryItems,
+            filter,
+        });
+
+        // 無効なデータが見つかった場合はクリーンアップ
+        const validItems = page.items.filter((item) =>
+            this.isValidHistoryItem(item)
+        );
+        if (validItems.length !== page.items.length) {
+            const invalidItems = page.items.filter(
+                (item) => !this.isValidHistoryItem(item)
+            );
+            await Promise.all(
+                invalidItems.map((item) => this.historyDb.delete(item.id))
+            );
+            console.log("Cleaned up invalid history entries");
+        }
+
+        return { ...page, items: validItems };
+    }
+
+    /**
+     * 場所ごとの最新のスナップショットを新しい順にページ単位で取得
+     * @param {Object} options - { offset, limit }
+     * @returns {Promise<Object>} - { items, total, offset, limit, hasMore }（itemsにsnapshotCountを付与）
+     */
+    async getPlaceListPage({ offset = 0, limit = null } = {}) {
+        const page = await this.historyDb.getLatestPerKey("placeKey", {
+            offset: Math.max(0, offset),
+            limit: limit || this.maxHistoryItems,
+        });
+
+        const items = await Promise.all(
+            page.items.map(async (item) => ({
+                ...item,
+                snapshotCount: await this.historyDb.count({
+                    index: "placeKey",
+                    value: item.placeKey,
+                }),
+            }))
+        );
+
+        return { ...page, items };
+    }
+
+    /**
+     * 場所のスナップショットを古い順に取得（推移グラフ用）
+     * @param {string} placeKey - 場所のキー
+     * @returns {Promise<Array>} - スナップショット（最新MAX_TREND_POINTS件）
+     */
+    async getPlaceSnapshots(placeKey) {
+        const page = await this.getAnalysisHistoryPage({
+            placeKey,
+            limit: this.constants.ANALYSIS_CONSTANTS?.MAX_TREND_POINTS || 50,
+        });
+        return page.items.reverse();
+    }
+
+    /**
+     * 場所の分析結果キャッシュを取得
+     * @param {string} placeKey - 場所のキー
+     * @returns {Promise<Object|null>} - { placeKey, placeName, totalReviews, settingsSignature, result, cachedAt }
+     */
+    async getCachedResult(placeKey) {
+        const { [this.resultCacheKey]: cache = {} } =
+            await chrome.storage.local.get([this.resultCacheKey]);
+        return cache[placeKey] || null;
+    }
+
+    /**
+     * 場所の分析結果をキャッシュ（上限を超えたら古いものから削除）
+     * @param {Object} entry - { placeKey, placeName, totalReviews, settingsSignature, result }
+     * @returns {Promise<void>}
+     */
+    async saveCachedResult(entry) {
+        const { [this.resultCacheKey]: cache = {} } =
+            await chrome.storage.local.get([this.resultCacheKey]);
+
+        cache[entry.placeKey] = await this.retention.anonymize({
+            ...entry,
+            cachedAt: Date.now(),
+        });
+
+        const keys = Object.keys(cache).sort(
+            (a, b) => cache[b].cachedAt - cache[a].cachedAt
+        );
+        keys.slice(this.maxCachedResults).forEach((key) => delete cache[key]);
+
+        await chrome.storage.local.set({ [this.resultCacheKey]: cache });
+    }
+
+    /**
+     * 指定日時より古い分析履歴を削除
+     * @param {number} cutoff - 基準日時（ミリ秒）
+     * @returns {Promise<number>} - 削除した件数
+     */
+    async deleteHistoryOlderThan(cutoff) {
+        return this.historyDb.deleteOlderThan(new Date(cutoff).toISOString());
+    }
+
+    /**
+     * 指定日時より古い分析結果キャッシュを削除
+     * @param {number} cutoff - 基準日時（ミリ秒）
+     * @returns {Promise<number>} - 削除した件数
+     */
+    async deleteCachedResultsOlderThan(cutoff) {
+        const { [this.resultCacheKey]: cache = {} } =
+            await chrome.storage.local.get([this.resultCacheKey]);
+
+        const expiredKeys = Object.keys(cache).filter(
+            (key) => !(cache[key].cachedAt >= cutoff)
+        );
+        if (expiredKeys.length === 0) return 0;
+
+        expiredKeys.forEach((key) => delete cache[key]);
+        await chrome.storage.local.set({ [this.resultCacheKey]: cache });
+        return expiredKeys.length;
+    }
+
+    /**
+     * 保存しているデータの概要を取得（ポップアップの「保存データ」表示用）
+     * @returns {Promise<Object>} - 件数・保持期間・匿名化の有無・前回の削除処理の結果など
+     */
+    async getStorageSummary() {
+        const { [this.resultCacheKey]: cache = {} } =
+            await chrome.storage.local.get([this.resultCacheKey]);
+        const estimate = navigator.storage?.estimate
+            ? await navigator.storage.estimate()
+            : null;
+
+        return {
+            historyCount: await this.historyDb.count(),
+            placeCount: await this.historyDb.countUnique("placeKey"),
+            oldestTimestamp: await this.historyDb.getOldestTimestamp(),
+            cachedResultCount: Object.keys(cache).length,
+            retentionDays: await this.retention.getRetentionDays(),
+            anonymized: this.retention.isAnonymizationEnabled(),
+            lastCleanup: await this.retention.getStatus(),
+            bytesInUse: estimate?.usage ?? null,
+        };
+    }
+
+    /**
+     * 分析結果キャッシュをクリア
+     * @returns {Promise<void>}
+     */
+    async clearCachedResults() {
+        await chrome.storage.local.remove([this.resultCacheKey]);
+    }
+
     /**
      * 分析履歴を取得
      * @param {number} limit - 取得件数の制限
@@ -211,41 +464,36 @@ class StorageManager {
      */
     async getAnalysisHistory(limit = null) {
         try {
-            const { analysisHistory = [] } = await chrome.storage.local.get([
-                "analysisHistory",
-            ]);
-
-            // データの整合性チェック
-            const validHistory = analysisHistory.filter(
-                (item) =>
-                    item &&
-                    item.id &&
-                    item.placeName &&
-                    typeof item.trustScore === "number"
-            );
-
-            // 無効なデータが見つかった場合はクリーンアップ
-            if (validHistory.length !== analysisHistory.length) {
-                await chrome.storage.local.set({
-                    analysisHistory: validHistory,
-                });
-                console.log("Cleaned up invalid history entries");
-            }
-
-            return limit ? validHistory.slice(0, limit) : validHistory;
+            const page = await this.getAnalysisHistoryPage({ limit });
+            return page.items;
         } catch (error) {
             console.error("Failed to get analysis history:", error);
             return [];
         }
     }
 
+    /**
+     * 履歴エントリが有効か判定
+     * @param {Object} item - 履歴エントリ
+     * @returns {boolean} - 有効な場合true
+     */
+    isValidHistoryItem(item) {
+        return (
+            !!item &&
+            !!item.id &&
+            !!item.placeName &&
+            typeof item.trustScore === "number"
+        );
+    }
+
     /**
      * 分析履歴をクリア
      * @returns {Promise<void>}
      */
     async clearAnalysisHistory() {
         try {
-            await chrome.storage.local.remove(["analysisHistory"]);
+            await this.historyDb.clear();
+            await this.clearCachedResults();
             console.log("Analysis history cleared");
         } catch (error) {
             console.error("Failed to clear analysis history:", error);
@@ -328,16 +576,11 @@ class StorageManager {
 
             // 履歴のインポート
             if (importData.history && Array.isArray(importData.history)) {
-                const validHistory = importData.history.filter(
-                    (item) =>
-                        item &&
-                        item.id &&
-                        item.placeName &&
-                        typeof item.trustScore === "number"
+                const validHistory = importData.history.filter((item) =>
+                    this.isValidHistoryItem(item)
                 );
-                await chrome.storage.local.set({
-                    analysisHistory: validHistory,
-                });
+                await this.historyDb.clear();
+                await this.historyDb.putAll(validHistory);
             }
 
             console.log("Data imported successfully");
@@ -373,11 +616,7 @@ class StorageManager {
             // 履歴の整合性チェック
             const history = await this.getAnalysisHistory();
             const invalidEntries = history.filter(
-                (item) =>
-                    !item ||
-                    !item.id ||
-                    !item.placeName ||
-                    typeof item.trustScore !== "number"
+                (item) => !this.isValidHistoryItem(item)
             );
 
             if (invalidEntries.length > 0) {
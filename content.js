@@ -191,9 +191,12 @@ function waitForGoogleMapsContent(maxWaitTime = 15000) {
         const scripts = [
             "shared/constants.js", // ルートからの相対パス
             "shared/config.js",
+            "shared/place-identity.js",
             "content/utils/communication.js",
             "content/utils/text-utils.js",
             "content/core/data-extractor.js",
+            "content/core/duplicate-detector.js",
+            "content/core/detector-registry.js",
             "content/core/pattern-detector.js",
             "content/core/score-calculator.js",
             "content/utils/dom-utils.js",
@@ -212,8 +215,10 @@ function waitForGoogleMapsContent(maxWaitTime = 15000) {
         const requiredGlobals = [
             "MRA_CONSTANTS",
             "MRA_CONFIG",
+            "MRA_PLACE_IDENTITY",
             "Communication",
             "DataExtractor",
+            "DuplicateDetector",
             "PatternDetector",
             "ScoreCalculator",
             "ResultRenderer",
@@ -303,6 +308,9 @@ const urlObserver = new MutationObserver(() => {
                 console.log("Reinitializing due to URL change...");
                 initializeContentScript();
             }, 2000);
+        } else if (window.mapsReviewAnalyzer) {
+            // 別の場所に移動した場合のみ再分析（ズーム等の変更は無視）
+            window.mapsReviewAnalyzer.handleUrlChange();
         }
     }
 });
@@ -6,31 +6,60 @@
 class DataExtractor {
     constructor() {
         this.constants = window.MRA_CONSTANTS;
+        this.config = window.MRA_CONFIG;
         this.maxRetries = 5;
         this.retryDelay = 1000;
+        this.samplingCancelled = false;
     }
 
     /**
      * レビューデータを抽出
+     * @param {Object} options - 抽出オプション
+     * @param {number} options.sampleSize - 収集するレビュー数の目標
+     * @param {Function} options.onProgress - 収集の進捗コールバック
      * @returns {Promise<Object>} 抽出されたレビューデータ
      */
-    async extractReviewData() {
+    async extractReviewData(options = {}) {
         try {
             console.log("Starting data extraction...");
 
+            // 相対日付（「3週間前」など）を絶対日時に換算する基準時刻
+            this.referenceTime = Date.now();
+
             // Google Mapsが完全に読み込まれるまで待機（リトライ機能付き）
             await this.waitForPageLoadWithRetry();
 
             const placeName = this.extractPlaceName();
+            const category = this.extractPlaceCategory();
             const ratings = this.extractRatings();
             const totalReviews = this.extractTotalReviews();
-            const recentReviews = await this.extractRecentReviews();
+            const displayedRating = this.extractDisplayedRating(ratings);
+
+            // 目標件数に達するまでレビュー欄をスクロールして読み込む
+            const sampleSize =
+                options.sampleSize ||
+                this.config.DEFAULT_SETTINGS.settings.reviewSampleSize;
+            const sampling = await this.sampleReviews(
+                Math.min(sampleSize, totalReviews || sampleSize),
+                options.onProgress
+            );
+
+            const recentReviews = await this.extractRecentReviews(sampleSize);
+            const recentRatings = this.calculateRatingHistogram(recentReviews);
 
             const result = {
                 placeName,
+                category,
                 ratings,
+                displayedRating,
                 totalReviews,
                 recentReviews,
+                recentRatings,
+                analysisTimestamp: this.referenceTime,
+                sampling: {
+                    ...sampling,
+                    extractedCount: recentReviews.length,
+                },
                 extractedAt: new Date().toISOString(),
             };
 
@@ -179,6 +208,86 @@ class DataExtractor {
         return "不明な場所";
     }
 
+    /**
+     * 店舗カテゴリ（タイトル下の「ラーメン店」などのボタン）を抽出
+     * @returns {Object} カテゴリ名と判定したカテゴリのキー（判定できない場合はnull）
+     */
+    extractPlaceCategory() {
+        let name = null;
+
+        for (const selector of this.constants.SELECTORS.GOOGLE_MAPS
+            .PLACE_CATEGORY) {
+            try {
+                const element = document.querySelector(selector);
+                if (element && element.textContent.trim()) {
+                    name = element.textContent.trim();
+                    break;
+                }
+            } catch (error) {
+                console.warn(`Error with selector ${selector}:`, error);
+            }
+        }
+
+        return {
+            name,
+            key: name ? this.classifyCategory(name) : null,
+        };
+    }
+
+    /**
+     * カテゴリ名を基準プロファイルのキーに分類
+     * @param {string} name - カテゴリ名
+     * @returns {string|null} カテゴリのキー
+     */
+    classifyCategory(name) {
+        const patterns = this.config.I18N_CONFIG.CATEGORY_PATTERNS;
+
+        for (const [key, regexes] of Object.entries(patterns)) {
+            if (regexes.some((regex) => regex.test(name))) {
+                return key;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Google Mapsに表示されている平均評価（「4.3」など）を抽出
+     * 表示が見つからない場合は評価分布から計算する
+     * @param {Object} ratings - 評価分布
+     * @returns {number|null} 平均評価
+     */
+    extractDisplayedRating(ratings = {}) {
+        for (const selector of this.constants.SELECTORS.GOOGLE_MAPS
+            .DISPLAYED_RATING) {
+            try {
+                const element = document.querySelector(selector);
+                const match = (element?.textContent || "")
+                    .trim()
+                    .match(/^(\d)[.,](\d)$/);
+                if (match) {
+                    const rating = parseFloat(`${match[1]}.${match[2]}`);
+                    if (rating >= 1 && rating <= 5) {
+                        return rating;
+                    }
+                }
+            } catch (error) {
+                console.warn(`Error with selector ${selector}:`, error);
+            }
+        }
+
+        // フォールバック: 評価分布の加重平均
+        let total = 0;
+        let sum = 0;
+        for (let star = 1; star <= 5; star++) {
+            const count = ratings[star] || 0;
+            total += count;
+            sum += star * count;
+        }
+
+        return total > 0 ? Math.round((sum / total) * 10) / 10 : null;
+    }
+
     /**
      * 評価分布を抽出（改善版）
      * @returns {Object} 評価分布
@@ -434,11 +543,163 @@ class DataExtractor {
         return 0;
     }
 
+    /**
+     * レビュー欄を自動スクロールして目標件数までレビューを読み込む
+     * @param {number} targetCount - 目標件数
+     * @param {Function} onProgress - 進捗コールバック
+     * @returns {Promise<Object>} 収集結果
+     */
+    async sampleReviews(targetCount, onProgress) {
+        const timeConstants = this.constants.TIME_CONSTANTS;
+        const maxIdleRounds =
+            this.constants.ANALYSIS_CONSTANTS.SAMPLING_MAX_IDLE_ROUNDS;
+        const startTime = Date.now();
+
+        this.samplingCancelled = false;
+
+        // レビュータブを開いてから件数を数える
+        await this.ensureReviewsVisible();
+
+        let loadedCount = this.countLoadedReviews();
+        let idleRounds = 0;
+        let timedOut = false;
+
+        const reportProgress = () => {
+            if (typeof onProgress === "function") {
+                try {
+                    onProgress({ loadedCount, targetCount });
+                } catch (error) {
+                    console.warn("Progress callback failed:", error);
+                }
+            }
+        };
+
+        const container = this.findReviewFeedContainer();
+        if (!container) {
+            console.log("Review feed container not found, skipping sampling");
+        }
+
+        while (
+            container &&
+            loadedCount < targetCount &&
+            !this.samplingCancelled
+        ) {
+            if (
+                Date.now() - startTime >=
+                timeConstants.REVIEW_SAMPLING_TIMEOUT
+            ) {
+                timedOut = true;
+                break;
+            }
+
+            reportProgress();
+
+            // 最下部までスクロールして遅延読み込みを発火させる
+            container.scrollTop = container.scrollHeight;
+            await new Promise((resolve) =>
+                setTimeout(resolve, timeConstants.REVIEW_SCROLL_INTERVAL)
+            );
+
+            const currentCount = this.countLoadedReviews();
+            if (currentCount > loadedCount) {
+                loadedCount = currentCount;
+                idleRounds = 0;
+            } else if (++idleRounds >= maxIdleRounds) {
+                // これ以上読み込まれない（全件表示済み）
+                break;
+            }
+        }
+
+        reportProgress();
+
+        console.log(
+            `Review sampling finished: ${loadedCount}/${targetCount} loaded`
+        );
+
+        return {
+            targetCount,
+            loadedCount,
+            cancelled: this.samplingCancelled,
+            timedOut,
+            elapsedMs: Date.now() - startTime,
+        };
+    }
+
+    /**
+     * レビュー収集を中止する
+     */
+    cancelSampling() {
+        this.samplingCancelled = true;
+    }
+
+    /**
+     * レビューフィード（スクロール可能なコンテナ）を見つける
+     * @returns {Element|null} スクロールコンテナ
+     */
+    findReviewFeedContainer() {
+        const selectors = [
+            ".m6QErb.DxyBCb.kA9KIf.dS8AEf",
+            '[role="feed"]',
+            ".section-layout.section-scrollbox",
+        ];
+
+        for (const selector of selectors) {
+            const element = document.querySelector(selector);
+            if (element && element.scrollHeight > element.clientHeight) {
+                return element;
+            }
+        }
+
+        // フォールバック: 最初のレビュー要素のスクロール可能な祖先
+        const firstReview = document.querySelector("[data-review-id]");
+        let current = firstReview ? firstReview.parentElement : null;
+        while (current && current !== document.body) {
+            const overflowY = window.getComputedStyle(current).overflowY;
+            if (
+                (overflowY === "auto" || overflowY === "scroll") &&
+                current.scrollHeight > current.clientHeight
+            ) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+
+        return null;
+    }
+
+    /**
+     * 読み込み済みのレビュー数を数える
+     * @returns {number} 一意なレビューIDの数
+     */
+    countLoadedReviews() {
+        const ids = new Set(
+            Array.from(document.querySelectorAll("[data-review-id]")).map(
+                (element) => element.getAttribute("data-review-id")
+            )
+        );
+        return ids.size;
+    }
+
+    /**
+     * 入れ子になったレビュー要素を除外する
+     * Google Mapsではレビューカード内の子要素にも同じdata-review-idが付与される
+     * @param {Array<Element>} elements - レビュー要素
+     * @returns {Array<Element>} 最も外側のレビュー要素のみ
+     */
+    dedupeReviewElements(elements) {
+        return elements.filter(
+            (element) =>
+                !element.parentElement ||
+                !element.parentElement.closest("[data-review-id]")
+        );
+    }
+
     /**
      * 最近のレビューを抽出（改善版）
+     * @param {number} maxReviews - 抽出する最大件数
      * @returns {Promise<Array>} レビュー配列
      */
-    async extractRecentReviews() {
+    async extractRecentReviews(maxReviews = 20) {
         try {
             console.log("Extracting recent reviews...");
 
@@ -446,7 +707,6 @@ class DataExtractor {
             await this.ensureReviewsVisible();
 
             const reviews = [];
-            const maxReviews = 20;
 
             // 複数のセレクターパターンを試行
             const selectorGroups = [
@@ -470,7 +730,9 @@ class DataExtractor {
                     console.log(
                         `Found ${elements.length} potential review elements with: ${selector}`
                     );
-                    foundReviews = Array.from(elements);
+                    foundReviews = this.dedupeReviewElements(
+                        Array.from(elements)
+                    );
                     break;
                 }
             }
@@ -480,15 +742,18 @@ class DataExtractor {
                 foundReviews = this.findReviewElementsByContent();
             }
 
+            // 折りたたまれた本文を展開してから読み取る
+            const targetReviews = foundReviews.slice(0, maxReviews);
+            const expandedElements = await this.expandReviewTexts(
+                targetReviews
+            );
+
             // 各要素を処理
-            for (
-                let i = 0;
-                i < Math.min(foundReviews.length, maxReviews);
-                i++
-            ) {
+            for (const element of targetReviews) {
                 try {
                     const reviewData = this.extractSingleReview(
-                        foundReviews[i]
+                        element,
+                        expandedElements.has(element)
                     );
                     if (reviewData && this.validateReviewData(reviewData)) {
                         reviews.push(reviewData);
@@ -506,6 +771,94 @@ class DataExtractor {
         }
     }
 
+    /**
+     * 折りたたまれたレビュー本文（「もっと見る」）を展開する
+     * @param {Array<Element>} elements - レビュー要素
+     * @returns {Promise<Set<Element>>} 展開ボタンをクリックしたレビュー要素
+     */
+    async expandReviewTexts(elements) {
+        const expandedElements = new Set();
+
+        for (const element of elements) {
+            for (const button of this.findExpandButtons(element)) {
+                try {
+                    button.click();
+                    expandedElements.add(element);
+                } catch (error) {
+                    console.warn("Failed to expand review text:", error);
+                }
+            }
+        }
+
+        if (expandedElements.size > 0) {
+            console.log(`Expanded ${expandedElements.size} truncated reviews`);
+            // 展開後の本文が描画されるまで待機
+            await new Promise((resolve) =>
+                setTimeout(
+                    resolve,
+                    this.constants.TIME_CONSTANTS.REVIEW_EXPAND_DELAY
+                )
+            );
+        }
+
+        return expandedElements;
+    }
+
+    /**
+     * レビュー要素内の展開ボタンを探す
+     * @param {Element} element - レビュー要素
+     * @returns {Array<Element>} クリック可能な展開ボタン
+     */
+    findExpandButtons(element) {
+        const candidates = new Set();
+
+        for (const selector of this.constants.SELECTORS.GOOGLE_MAPS
+            .EXPAND_BUTTONS) {
+            try {
+                element
+                    .querySelectorAll(selector)
+                    .forEach((button) => candidates.add(button));
+            } catch (error) {
+                console.warn(`Error with expand selector ${selector}:`, error);
+            }
+        }
+
+        // フォールバック: ラベルで判定
+        const labelPatterns =
+            this.config?.I18N_CONFIG?.EXPAND_BUTTON_LABELS || [];
+        element.querySelectorAll("button").forEach((button) => {
+            const label = (
+                button.getAttribute("aria-label") ||
+                button.textContent ||
+                ""
+            ).trim();
+            if (labelPatterns.some((pattern) => pattern.test(label))) {
+                candidates.add(button);
+            }
+        });
+
+        return Array.from(candidates).filter((button) =>
+            this.isSafeExpandButton(button)
+        );
+    }
+
+    /**
+     * ページ遷移を起こさない展開ボタンか判定
+     * @param {Element} button - ボタン要素
+     * @returns {boolean} クリックしてよい場合true
+     */
+    isSafeExpandButton(button) {
+        if (button.tagName !== "BUTTON" || button.disabled) return false;
+        if (button.getAttribute("aria-expanded") === "true") return false;
+
+        // リンク内のボタンや遷移先を持つボタンは押さない
+        if (button.closest("a[href]") || button.hasAttribute("data-href")) {
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      * レビューが表示されるようにする
      */
@@ -574,8 +927,10 @@ class DataExtractor {
 
             // レビューらしい特徴をチェック
             const reviewIndicators = [
-                // 日付パターン
-                /\d+\s*(日|days?|weeks?|months?)\s*(前|ago)/,
+                // 日付だけが書かれた子要素（本文中の「昨日」などは数えない）
+                Array.from(element.querySelectorAll("span, time")).some((el) =>
+                    this.isDateText(el.textContent?.trim())
+                ),
                 // 星評価
                 element.querySelector('[aria-label*="stars"]'),
                 element.querySelector('[role="img"]'),
@@ -602,19 +957,30 @@ class DataExtractor {
     /**
      * 単一のレビューを抽出（改善版）
      * @param {Element} element - レビュー要素
+     * @param {boolean} expanded - 「もっと見る」を展開したかどうか
      * @returns {Object|null} レビューデータ
      */
-    extractSingleReview(element) {
+    extractSingleReview(element, expanded = false) {
         try {
             const text = this.extractReviewText(element);
             const dateText = this.extractReviewDate(element);
+            const dateRange = this.estimateDateRange(dateText);
             const hasPhotos = this.checkReviewPhotos(element);
+            const rating = this.extractReviewRating(element);
+            const reviewer = this.extractReviewerProfile(element);
+            const ownerResponse = this.extractOwnerResponse(element);
 
             return {
+                reviewId: this.extractReviewId(element),
                 text: text || "",
                 textLength: text ? text.length : 0,
                 dateText: dateText || "",
+                dateRange: dateRange,
                 hasPhotos: hasPhotos,
+                rating: rating,
+                reviewer: reviewer,
+                ownerResponse: ownerResponse,
+                expanded: expanded,
                 elementInfo: {
                     className: element.className,
                     tagName: element.tagName,
@@ -626,12 +992,350 @@ class DataExtractor {
         }
     }
 
+    /**
+     * レビューのID（data-review-id）を取得
+     * 再描画後もレビュー要素を特定できるよう、バッジの表示に使用する
+     * @param {Element} element - レビュー要素
+     * @returns {string|null} レビューID
+     */
+    extractReviewId(element) {
+        const idElement = element.hasAttribute("data-review-id")
+            ? element
+            : element.closest("[data-review-id]") ||
+              element.querySelector("[data-review-id]");
+
+        return idElement ? idElement.getAttribute("data-review-id") : null;
+    }
+
+    /**
+     * オーナーからの返信を抽出
+     * @param {Element} element - レビュー要素
+     * @returns {Object|null} 返信情報（返信がない場合はnull）
+     */
+    extractOwnerResponse(element) {
+        try {
+            const container = this.findOwnerResponseContainer(element);
+            if (!container) return null;
+
+            const selectors =
+                this.constants.SELECTORS.GOOGLE_MAPS.OWNER_RESPONSE;
+
+            let dateText = "";
+            for (const selector of selectors.DATE) {
+                const dateElement = container.querySelector(selector);
+                const candidate = dateElement?.textContent?.trim() || "";
+                if (candidate && this.isDateText(candidate)) {
+                    dateText = candidate;
+                    break;
+                }
+            }
+
+            let text = "";
+            for (const selector of selectors.TEXT) {
+                const textElement = container.querySelector(selector);
+                if (textElement && textElement.textContent.trim()) {
+                    text = textElement.textContent.trim();
+                    break;
+                }
+            }
+
+            // フォールバック: 見出しと日付を除いたコンテナのテキスト
+            if (!text) {
+                text = (container.textContent || "").trim();
+                const labelPatterns =
+                    this.config?.I18N_CONFIG?.OWNER_RESPONSE_LABELS || [];
+                labelPatterns.forEach((pattern) => {
+                    text = text.replace(pattern, "");
+                });
+                if (dateText) {
+                    text = text.replace(dateText, "");
+                }
+                text = text.trim();
+            }
+
+            if (!text) return null;
+
+            return {
+                text,
+                textLength: text.length,
+                dateText,
+                dateRange: this.estimateDateRange(dateText),
+            };
+        } catch (error) {
+            console.warn("Error extracting owner response:", error);
+            return null;
+        }
+    }
+
+    /**
+     * オーナー返信のコンテナ要素を探す
+     * @param {Element} element - レビュー要素
+     * @returns {Element|null} 返信コンテナ
+     */
+    findOwnerResponseContainer(element) {
+        const selectors =
+            this.constants.SELECTORS.GOOGLE_MAPS.OWNER_RESPONSE.CONTAINER;
+
+        for (const selector of selectors) {
+            const container = element.querySelector(selector);
+            if (container) return container;
+        }
+
+        // フォールバック: 「オーナーからの返信」見出しから親要素をたどる
+        const labelPatterns =
+            this.config?.I18N_CONFIG?.OWNER_RESPONSE_LABELS || [];
+        if (labelPatterns.length === 0) return null;
+
+        for (const candidate of element.querySelectorAll("span, div")) {
+            const label = candidate.textContent?.trim() || "";
+            if (
+                label.length === 0 ||
+                label.length > 80 ||
+                !labelPatterns.some((pattern) => pattern.test(label))
+            ) {
+                continue;
+            }
+
+            // 見出しより多くのテキストを含む最初の祖先を返信コンテナとみなす
+            let current = candidate.parentElement;
+            while (current && current !== element) {
+                const containerText = current.textContent?.trim() || "";
+                if (containerText.length > label.length + 5) {
+                    return current;
+                }
+                current = current.parentElement;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 要素がオーナー返信の内側にあるか判定
+     * @param {Element} node - 判定する要素
+     * @param {Element} ownerResponse - 返信コンテナ
+     * @returns {boolean} 返信内の要素であればtrue
+     */
+    isInOwnerResponse(node, ownerResponse) {
+        return !!ownerResponse && ownerResponse.contains(node);
+    }
+
+    /**
+     * 投稿者のプロフィール情報を抽出
+     * @param {Element} element - レビュー要素
+     * @returns {Object} 投稿者情報（取得できない項目はnull）
+     */
+    extractReviewerProfile(element) {
+        const profile = {
+            name: null,
+            profileUrl: null,
+            profileId: null,
+            isLocalGuide: false,
+            localGuideLevel: null,
+            reviewCount: null,
+            photoCount: null,
+        };
+
+        try {
+            // プロフィールへのリンク（/maps/contrib/<ID>/...）
+            const linkElement = element.querySelector(
+                '[data-href*="/maps/contrib/"], a[href*="/maps/contrib/"]'
+            );
+            if (linkElement) {
+                const href =
+                    linkElement.getAttribute("data-href") ||
+                    linkElement.getAttribute("href") ||
+                    "";
+                profile.profileUrl = href || null;
+                const idMatch = href.match(/\/maps\/contrib\/(\d+)/);
+                profile.profileId = idMatch ? idMatch[1] : null;
+            }
+
+            // 投稿者名
+            const nameSelectors = [
+                ".d4r55",
+                ".TSUbDb",
+                ".section-review-title",
+            ];
+            for (const selector of nameSelectors) {
+                const nameElement = element.querySelector(selector);
+                if (nameElement && nameElement.textContent.trim()) {
+                    profile.name = nameElement.textContent.trim();
+                    break;
+                }
+            }
+
+            // 「ローカルガイド・クチコミ 120 件・写真 300 枚」の行
+            const statsSelectors = [
+                ".RfnDt",
+                ".A503be",
+                ".section-review-subtitle",
+            ];
+            let statsText = "";
+            for (const selector of statsSelectors) {
+                const statsElement = element.querySelector(selector);
+                if (statsElement && statsElement.textContent.trim()) {
+                    statsText = statsElement.textContent.trim();
+                    break;
+                }
+            }
+
+            // フォールバック: プロフィールリンク内のテキスト
+            if (!statsText && linkElement) {
+                statsText = (linkElement.textContent || "").trim();
+            }
+
+            // ローカルガイドのバッジはaria-labelのみの場合がある
+            const badgeLabel = Array.from(
+                element.querySelectorAll("[aria-label]")
+            )
+                .map((el) => el.getAttribute("aria-label"))
+                .filter((label) =>
+                    this.matchesReviewerPattern(label, "LOCAL_GUIDE")
+                )
+                .join(" ");
+
+            Object.assign(
+                profile,
+                this.parseReviewerStats(`${statsText} ${badgeLabel}`)
+            );
+        } catch (error) {
+            console.warn("Error extracting reviewer profile:", error);
+        }
+
+        return profile;
+    }
+
+    /**
+     * 投稿者の統計行を解析
+     * @param {string} text - 統計行のテキスト
+     * @returns {Object} ローカルガイド情報とレビュー数・写真数
+     */
+    parseReviewerStats(text) {
+        const isLocalGuide = this.matchesReviewerPattern(text, "LOCAL_GUIDE");
+
+        return {
+            isLocalGuide,
+            localGuideLevel: isLocalGuide
+                ? this.extractReviewerNumber(text, "LEVEL")
+                : null,
+            reviewCount: this.extractReviewerNumber(text, "REVIEW_COUNT"),
+            photoCount: this.extractReviewerNumber(text, "PHOTO_COUNT"),
+        };
+    }
+
+    /**
+     * 投稿者情報のパターンに一致するかチェック
+     * @param {string} text - チェックするテキスト
+     * @param {string} key - REVIEWER_PATTERNSのキー
+     * @returns {boolean} 一致するかどうか
+     */
+    matchesReviewerPattern(text, key) {
+        if (!text) return false;
+
+        const patterns =
+            this.config?.I18N_CONFIG?.REVIEWER_PATTERNS?.[key] || [];
+        return patterns.some((pattern) => pattern.test(text));
+    }
+
+    /**
+     * 投稿者情報のパターンから数値を抽出
+     * @param {string} text - 対象テキスト
+     * @param {string} key - REVIEWER_PATTERNSのキー
+     * @returns {number|null} 抽出された数値
+     */
+    extractReviewerNumber(text, key) {
+        if (!text) return null;
+
+        const patterns =
+            this.config?.I18N_CONFIG?.REVIEWER_PATTERNS?.[key] || [];
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match) {
+                // 桁区切り（1,234 / 1.234）を除去
+                const value = parseInt(match[1].replace(/[,.\s]/g, ""));
+                if (!isNaN(value)) {
+                    return value;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * レビュー単位の星評価を抽出
+     * @param {Element} element - レビュー要素
+     * @returns {number|null} 星評価 (1-5)、取得できない場合はnull
+     */
+    extractReviewRating(element) {
+        const ratingSelectors = [
+            ".kvMYJc",
+            '[role="img"][aria-label]',
+            // 新しいレイアウトでは「4/5」のようなテキスト表示
+            ".fzvQIb",
+        ];
+
+        for (const selector of ratingSelectors) {
+            try {
+                const ratingElements = element.querySelectorAll(selector);
+                for (const ratingElement of ratingElements) {
+                    const label =
+                        ratingElement.getAttribute("aria-label") ||
+                        ratingElement.textContent ||
+                        "";
+                    const rating = this.parseStarRating(label);
+                    if (rating !== null) {
+                        return rating;
+                    }
+                }
+            } catch (error) {
+                console.warn(`Error with rating selector ${selector}:`, error);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 星評価のラベルを解析（全対応ロケール）
+     * @param {string} label - aria-labelまたは表示テキスト
+     * @returns {number|null} 星評価 (1-5)
+     */
+    parseStarRating(label) {
+        if (!label || typeof label !== "string") return null;
+
+        const text = label.trim();
+        const localePatterns = this.config?.I18N_CONFIG?.STAR_RATING_PATTERNS;
+        const patterns = [
+            ...Object.values(localePatterns || {}).flat(),
+            // ロケールに依存しない「4/5」形式
+            /(\d(?:[.,]\d)?)\s*\/\s*5/,
+        ];
+
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match) {
+                const value = Math.round(
+                    parseFloat(match[1].replace(",", "."))
+                );
+                if (value >= 1 && value <= 5) {
+                    return value;
+                }
+            }
+        }
+
+        return null;
+    }
+
     /**
      * レビューテキストを抽出（改善版）
      * @param {Element} element - レビュー要素
      * @returns {string} レビューテキスト
      */
     extractReviewText(element) {
+        // オーナー返信の本文をレビュー本文として拾わないようにする
+        const ownerResponse = this.findOwnerResponseContainer(element);
         const textSelectors = [
             ".MyEned",
             ".wiI7pd",
@@ -648,7 +1352,9 @@ class DataExtractor {
         // 特定のセレクターで検索
         for (const selector of textSelectors) {
             try {
-                const textElement = element.querySelector(selector);
+                const textElement = Array.from(
+                    element.querySelectorAll(selector)
+                ).find((el) => !this.isInOwnerResponse(el, ownerResponse));
                 if (textElement && textElement.textContent.trim()) {
                     const text = textElement.textContent.trim();
                     if (text.length > 5) {
@@ -665,6 +1371,8 @@ class DataExtractor {
         let longestText = "";
 
         for (const textEl of allTextElements) {
+            if (this.isInOwnerResponse(textEl, ownerResponse)) continue;
+
             const text = textEl.textContent?.trim() || "";
             if (
                 text.length > longestText.length &&
@@ -717,6 +1425,8 @@ class DataExtractor {
      * @returns {string} 日付テキスト
      */
     extractReviewDate(element) {
+        // オーナー返信の日付をレビューの投稿日として拾わないようにする
+        const ownerResponse = this.findOwnerResponseContainer(element);
         const dateSelectors = [
             ".rsqaWe",
             ".DU9Pgb",
@@ -732,7 +1442,9 @@ class DataExtractor {
         // 特定のセレクターで検索
         for (const selector of dateSelectors) {
             try {
-                const dateElement = element.querySelector(selector);
+                const dateElement = Array.from(
+                    element.querySelectorAll(selector)
+                ).find((el) => !this.isInOwnerResponse(el, ownerResponse));
                 if (dateElement && dateElement.textContent.trim()) {
                     const dateText = dateElement.textContent.trim();
                     if (this.isDateText(dateText)) {
@@ -747,6 +1459,8 @@ class DataExtractor {
         // フォールバック: 全ての小さなテキスト要素を確認
         const smallElements = element.querySelectorAll("span, div, time");
         for (const el of smallElements) {
+            if (this.isInOwnerResponse(el, ownerResponse)) continue;
+
             const text = el.textContent?.trim() || "";
             if (text.length < 50 && this.isDateText(text)) {
                 return text;
@@ -757,29 +1471,30 @@ class DataExtractor {
     }
 
     /**
-     * テキストが日付かどうかをチェック（改善版）
+     * 日付テキストから投稿日時の推定範囲を求める
+     * @param {string} dateText - 日付テキスト
+     * @returns {Object|null} 推定範囲 { earliest, latest, granularity }
+     */
+    estimateDateRange(dateText) {
+        if (!dateText || !window.TextUtils) return null;
+
+        return window.TextUtils.estimateDateRange(
+            dateText,
+            this.referenceTime || Date.now()
+        );
+    }
+
+    /**
+     * テキストが日付かどうかをチェック（TextUtilsの日付パーサーに委譲）
      * @param {string} text - チェックするテキスト
      * @returns {boolean} 日付かどうか
      */
     isDateText(text) {
-        if (!text || typeof text !== "string") return false;
-
-        const datePatterns = [
-            // 相対日付（日本語）
-            /\d+\s*(分|時間|日|週間|か?月|年)\s*前/,
-            // 相対日付（英語）
-            /\d+\s*(minutes?|hours?|days?|weeks?|months?|years?)\s*ago/,
-            // 絶対日付（日本語）
-            /\d{4}年\d{1,2}月(\d{1,2}日)?/,
-            // 絶対日付（国際形式）
-            /\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}/,
-            // 月名を含む形式
-            /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2}/i,
-            // その他の日付パターン
-            /\d{1,2}\s+(January|February|March|April|May|June|July|August|September|October|November|December)/i,
-        ];
+        if (!text || typeof text !== "string" || !window.TextUtils) {
+            return false;
+        }
 
-        return datePatterns.some((pattern) => pattern.test(text));
+        return window.TextUtils.isDateText(text);
     }
 
     /**
@@ -905,6 +1620,23 @@ class DataExtractor {
         return hasMinimumContent;
     }
 
+    /**
+     * 抽出したレビューの星評価分布を集計
+     * @param {Array} reviews - レビュー配列
+     * @returns {Object} 評価分布（星評価が取得できたレビューのみ）
+     */
+    calculateRatingHistogram(reviews) {
+        const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+
+        (reviews || []).forEach((review) => {
+            if (review && histogram.hasOwnProperty(review.rating)) {
+                histogram[review.rating]++;
+            }
+        });
+
+        return histogram;
+    }
+
     /**
      * デバッグ情報を取得（改善版）
      * @returns {Object} デバッグ情報
@@ -922,6 +1654,11 @@ class DataExtractor {
                 potentialReviewElements: document.querySelectorAll(
                     ".jftiEf, .MyEned, .wiI7pd"
                 ).length,
+                collapsedReviewTexts: document.querySelectorAll(
+                    this.constants.SELECTORS.GOOGLE_MAPS.EXPAND_BUTTONS.join(
+                        ", "
+                    )
+                ).length,
             },
             extractedData: {
                 placeName: this.extractPlaceName(),
@@ -948,6 +1685,9 @@ class DataExtractor {
                 averageLength: 0,
                 photosCount: 0,
                 recentCount: 0,
+                ratedCount: 0,
+                averageRating: null,
+                expandedCount: 0,
             };
         }
 
@@ -959,17 +1699,34 @@ class DataExtractor {
         const averageLength = Math.round(totalLength / totalCount);
         const photosCount = reviews.filter((review) => review.hasPhotos).length;
 
-        // 最近のレビューを判定（30日以内）
-        const recentCount = reviews.filter((review) => {
-            const dateInfo = window.TextUtils?.parseDateText(review.dateText);
-            return dateInfo && dateInfo.isRecent;
-        }).length;
+        // 最近のレビューを判定（推定範囲全体が期間内のもの）
+        const recentDays = this.constants.ANALYSIS_CONSTANTS.RECENT_REVIEW_DAYS;
+        const referenceTime = this.referenceTime || Date.now();
+        const recentCount = reviews.filter((review) =>
+            window.TextUtils?.isWithinDays(
+                review.dateRange,
+                recentDays,
+                referenceTime
+            )
+        ).length;
+
+        const ratedReviews = reviews.filter(
+            (review) => typeof review.rating === "number"
+        );
+        const averageRating =
+            ratedReviews.length > 0
+                ? ratedReviews.reduce((sum, review) => sum + review.rating, 0) /
+                  ratedReviews.length
+                : null;
 
         return {
             totalCount,
             averageLength,
             photosCount,
             recentCount,
+            ratedCount: ratedReviews.length,
+            averageRating,
+            expandedCount: reviews.filter((review) => review.expanded).length,
             photosRatio: totalCount > 0 ? photosCount / totalCount : 0,
             recentRatio: totalCount > 0 ? recentCount / totalCount : 0,
         };
@@ -0,0 +1,106 @@
+// src/content/analyzer/detector-registry.js
+
+/**
+ * 疑わしいパターンの検出器を登録・管理するクラス
+ * 検出器は id・既定の重み・設定スキーマ・検出関数・説明を持つ自己記述的なオブジェクトで、
+ * PatternDetector・ScoreCalculator・ResultRenderer は登録順にこの一覧を走査する
+ *
+ * 検出器の定義:
+ * {
+ *   id: "polarizedRatings",          // suspicionFactors のキー
+ *   detect(reviewData, context) {...}   // { detected, score, pattern } を返す
+ * }
+ * 説明・既定の重み・スコア上限・詳細設定の範囲（configSchema）は
+ * MRA_CONFIG.DETECTOR_MANIFEST の同じidの項目から補う（定義で指定した値が優先）
+ * 詳細設定はバックグラウンドでマニフェストに基づいて検証されるため、
+ * 設定を変更できる検出器はマニフェストにも登録しておく
+ * detect の context には PatternDetector のインスタンスが渡される
+ */
+class DetectorRegistry {
+    constructor() {
+        this.detectors = new Map();
+    }
+
+    /**
+     * 検出器を登録（同じidの検出器は置き換える）
+     * @param {Object} definition - 検出器の定義
+     * @returns {Object} - マニフェストと既定値を補った検出器
+     */
+    register(definition) {
+        if (!definition || typeof definition.id !== "string") {
+            throw new Error("Detector definition requires a string id");
+        }
+        if (typeof definition.detect !== "function") {
+            throw new Error(
+                `Detector "${definition.id}" requires a detect function`
+            );
+        }
+
+        const detector = {
+            description: definition.id,
+            weight: 1.0,
+            maxScore: 100,
+            configSchema: {},
+            ...(window.MRA_CONFIG?.DETECTOR_MANIFEST?.[definition.id] || {}),
+            ...definition,
+        };
+
+        this.detectors.set(detector.id, detector);
+        return detector;
+    }
+
+    /**
+     * 検出器の登録を解除
+     * @param {string} id - 検出器のid
+     * @returns {boolean} - 解除できた場合true
+     */
+    unregister(id) {
+        return this.detectors.delete(id);
+    }
+
+    /**
+     * 検出器を取得
+     * @param {string} id - 検出器のid
+     * @returns {Object|null} - 検出器
+     */
+    get(id) {
+        return this.detectors.get(id) || null;
+    }
+
+    /**
+     * 検出器が登録されているか判定
+     * @param {string} id - 検出器のid
+     * @returns {boolean} - 登録済みの場合true
+     */
+    has(id) {
+        return this.detectors.has(id);
+    }
+
+    /**
+     * 登録済みの検出器を登録順に取得
+     * @returns {Array<Object>} - 検出器の配列
+     */
+    list() {
+        return Array.from(this.detectors.values());
+    }
+
+    /**
+     * 詳細設定を反映した検出器の設定を取得
+     * @param {string} id - 検出器のid
+     * @param {Object} advanced - 詳細設定（settings.advanced）
+     * @returns {Object} - { enabled, weight, maxScore, threshold }（thresholdがnullなら自動）
+     */
+    getConfig(id, advanced) {
+        return window.MRA_CONFIG.CONFIG_UTILS.getDetectorConfig(
+            id,
+            advanced,
+            this.get(id)
+        );
+    }
+}
+
+// グローバルスコープに公開（検出器の一覧は全モジュールで共有する）
+if (typeof window !== "undefined") {
+    window.DetectorRegistry = DetectorRegistry;
+    window.MRA_DETECTORS = window.MRA_DETECTORS || new DetectorRegistry();
+}
@@ -0,0 +1,318 @@
+// src/content/analyzer/duplicate-detector.js
+
+/**
+ * シングリングとMinHash（LSH）で類似・重複レビューのクラスタを検出するクラス
+ * 日本語などの分かち書きしない言語は文字n-gram、それ以外は単語n-gramで比較する
+ */
+class DuplicateDetector {
+    constructor() {
+        this.constants = window.MRA_CONSTANTS;
+        this.settings = this.constants.ANALYSIS_CONSTANTS.NEAR_DUPLICATE;
+        this.hashSeeds = this.createHashSeeds(this.settings.NUM_HASHES);
+    }
+
+    /**
+     * テキスト群から類似レビューのクラスタを検出
+     * @param {string[]} texts - テキスト配列
+     * @param {number} threshold - 同一クラスタとみなすJaccard係数
+     * @returns {Array<Object>} - クラスタ配列（大きい順）
+     */
+    findClusters(texts, threshold = this.settings.SIMILARITY_THRESHOLD) {
+        const documents = texts
+            .map((text, index) => ({
+                index,
+                text,
+                shingles: this.createShingles(text),
+            }))
+            .filter((doc) => doc.shingles.size >= this.settings.MIN_SHINGLES);
+
+        if (documents.length < 2) {
+            return [];
+        }
+
+        documents.forEach((doc) => {
+            doc.signature = this.createSignature(doc.shingles);
+        });
+
+        // LSHで候補ペアを絞り込み、実際のJaccard係数で確認する
+        const parent = documents.map((_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        for (const [a, b] of this.findCandidatePairs(documents)) {
+            const similarity = this.calculateJaccard(
+                documents[a].shingles,
+                documents[b].shingles
+            );
+            if (similarity >= threshold) {
+                parent[find(a)] = find(b);
+            }
+        }
+
+        // 連結成分ごとにまとめる
+        const groups = new Map();
+        documents.forEach((_, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(i);
+        });
+
+        return Array.from(groups.values())
+            .filter((members) => members.length >= 2)
+            .map((members) => this.summarizeCluster(members, documents))
+            .sort((a, b) => b.size - a.size);
+    }
+
+    /**
+     * 2つのテキストの類似度（シングル集合のJaccard係数）を計算
+     * @param {string} text1 - テキスト1
+     * @param {string} text2 - テキスト2
+     * @returns {number} - 類似度 (0-1)
+     */
+    calculateSimilarity(text1, text2) {
+        if (!text1 || !text2) return 0;
+
+        return this.calculateJaccard(
+            this.createShingles(text1),
+            this.createShingles(text2)
+        );
+    }
+
+    /**
+     * テキストをシングル（n-gram）の集合に変換
+     * @param {string} text - テキスト
+     * @returns {Set<string>} - シングル集合
+     */
+    createShingles(text) {
+        const normalized = this.normalize(text);
+        const shingles = new Set();
+        if (!normalized) return shingles;
+
+        if (this.isNonSpaceDelimited(normalized)) {
+            const chars = Array.from(normalized.replace(/\s+/g, ""));
+            const size = this.settings.CHAR_SHINGLE_SIZE;
+            if (chars.length <= size) {
+                shingles.add(chars.join(""));
+                return shingles;
+            }
+            for (let i = 0; i <= chars.length - size; i++) {
+                shingles.add(chars.slice(i, i + size).join(""));
+            }
+            return shingles;
+        }
+
+        const words = normalized.split(/\s+/).filter(Boolean);
+        const size = this.settings.WORD_SHINGLE_SIZE;
+        if (words.length <= size) {
+            shingles.add(words.join(" "));
+            return shingles;
+        }
+        for (let i = 0; i <= words.length - size; i++) {
+            shingles.add(words.slice(i, i + size).join(" "));
+        }
+        return shingles;
+    }
+
+    /**
+     * 比較用にテキストを正規化（全角半角の統一・記号の除去）
+     * @param {string} text - テキスト
+     * @returns {string} - 正規化されたテキスト
+     */
+    normalize(text) {
+        if (!text || typeof text !== "string") return "";
+
+        return text
+            .normalize("NFKC")
+            .toLowerCase()
+            .replace(/[\p{P}\p{S}]+/gu, " ")
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+
+    /**
+     * 分かち書きしない言語（日本語・中国語）が主体のテキストか判定
+     * @param {string} text - 正規化済みテキスト
+     * @returns {boolean} - 文字n-gramで比較すべき場合true
+     */
+    isNonSpaceDelimited(text) {
+        const cjk = (
+            text.match(
+                /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu
+            ) || []
+        ).length;
+        const letters = (text.match(/\p{L}/gu) || []).length;
+
+        return letters > 0 && cjk / letters >= 0.3;
+    }
+
+    /**
+     * シングル集合からMinHashシグネチャを作成
+     * @param {Set<string>} shingles - シングル集合
+     * @returns {Uint32Array} - シグネチャ
+     */
+    createSignature(shingles) {
+        const signature = new Uint32Array(this.hashSeeds.length).fill(
+            0xffffffff
+        );
+
+        for (const shingle of shingles) {
+            const base = this.hashString(shingle);
+            for (let i = 0; i < this.hashSeeds.length; i++) {
+                const value = this.mixHash(base ^ this.hashSeeds[i]);
+                if (value < signature[i]) {
+                    signature[i] = value;
+                }
+            }
+        }
+
+        return signature;
+    }
+
+    /**
+     * シグネチャをバンドに分割し、同じバケットに入った候補ペアを列挙
+     * @param {Array<Object>} documents - シグネチャ付きドキュメント
+     * @returns {Array<Array<number>>} - 候補ペア [i, j]（i < j）
+     */
+    findCandidatePairs(documents) {
+        const bands = this.settings.BANDS;
+        const rows = Math.floor(this.hashSeeds.length / bands);
+        const pairs = new Set();
+
+        for (let band = 0; band < bands; band++) {
+            const buckets = new Map();
+
+            documents.forEach((doc, i) => {
+                const key = Array.from(
+                    doc.signature.subarray(band * rows, (band + 1) * rows)
+                ).join(",");
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(i);
+            });
+
+            for (const members of buckets.values()) {
+                for (let a = 0; a < members.length; a++) {
+                    for (let b = a + 1; b < members.length; b++) {
+                        pairs.add(`${members[a]}:${members[b]}`);
+                    }
+                }
+            }
+        }
+
+        return Array.from(pairs).map((pair) => pair.split(":").map(Number));
+    }
+
+    /**
+     * クラスタの要約（件数・代表テキスト・平均類似度）を作成
+     * 代表テキストは他のメンバーとの平均類似度が最も高いもの
+     * @param {number[]} members - ドキュメントの添字
+     * @param {Array<Object>} documents - ドキュメント
+     * @returns {Object} - クラスタ情報
+     */
+    summarizeCluster(members, documents) {
+        let bestIndex = members[0];
+        let bestScore = -1;
+        let total = 0;
+        let pairs = 0;
+
+        members.forEach((a) => {
+            let sum = 0;
+            members.forEach((b) => {
+                if (a === b) return;
+                const similarity = this.calculateJaccard(
+                    documents[a].shingles,
+                    documents[b].shingles
+                );
+                sum += similarity;
+                if (a < b) {
+                    total += similarity;
+                    pairs++;
+                }
+            });
+            if (sum > bestScore) {
+                bestScore = sum;
+                bestIndex = a;
+            }
+        });
+
+        return {
+            size: members.length,
+            representativeText: documents[bestIndex].text,
+            memberIndexes: members.map((i) => documents[i].index),
+            averageSimilarity:
+                pairs > 0 ? Math.round((total / pairs) * 100) / 100 : 0,
+        };
+    }
+
+    /**
+     * 2つの集合のJaccard係数を計算
+     * @param {Set<string>} set1 - 集合1
+     * @param {Set<string>} set2 - 集合2
+     * @returns {number} - Jaccard係数 (0-1)
+     */
+    calculateJaccard(set1, set2) {
+        if (set1.size === 0 || set2.size === 0) return 0;
+
+        const [smaller, larger] =
+            set1.size <= set2.size ? [set1, set2] : [set2, set1];
+        let intersection = 0;
+        for (const item of smaller) {
+            if (larger.has(item)) intersection++;
+        }
+
+        return intersection / (set1.size + set2.size - intersection);
+    }
+
+    /**
+     * MinHash用のハッシュシードを生成（結果を再現できるよう固定の乱数列を使用）
+     * @param {number} count - ハッシュ関数の数
+     * @returns {Uint32Array} - シード配列
+     */
+    createHashSeeds(count) {
+        const seeds = new Uint32Array(count);
+        let state = 0x9e3779b9;
+        for (let i = 0; i < count; i++) {
+            state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+            seeds[i] = state;
+        }
+        return seeds;
+    }
+
+    /**
+     * 文字列の32bitハッシュ（FNV-1a）
+     * @param {string} str - 文字列
+     * @returns {number} - ハッシュ値
+     */
+    hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * ハッシュ値を撹拌（MurmurHash3のfinalizer）
+     * @param {number} value - 入力値
+     * @returns {number} - 32bit符号なし整数
+     */
+    mixHash(value) {
+        let h = value >>> 0;
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xc2b2ae35);
+        h ^= h >>> 16;
+        return h >>> 0;
+    }
+}
+
+// グローバルスコープに公開
+if (typeof window !== "undefined") {
+    window.DuplicateDetector = DuplicateDetector;
+}
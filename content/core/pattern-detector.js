@@ -8,6 +8,35 @@ class PatternDetector {
         this.settings = settings;
         this.constants = window.MRA_CONSTANTS;
         this.config = window.MRA_CONFIG;
+        this.registry = window.MRA_DETECTORS;
+        this.duplicateDetector = new window.DuplicateDetector();
+        // レビューごとの感情分析結果（スコアの再標本化で同じレビューを何度も分析しないため）
+        this.sentimentCache = new WeakMap();
+    }
+
+    /**
+     * 組み込みの検出器を登録
+     * 重み・スコア上限・説明・詳細設定の範囲は DetectorRegistry が DETECTOR_MANIFEST から補う
+     * @param {DetectorRegistry} registry - 登録先
+     */
+    static registerBuiltinDetectors(registry) {
+        const methods = {
+            polarizedRatings: "detectPolarizedRatings",
+            burstPosting: "detectBurstPosting",
+            shortReviews: "detectShortReviews",
+            duplicatePatterns: "detectDuplicatePatterns",
+            newAccounts: "detectNewAccounts",
+            ratingShift: "detectRatingShift",
+            ownerReplies: "detectOwnerReplies",
+            sentimentMismatch: "detectSentimentMismatch",
+        };
+
+        Object.entries(methods).forEach(([id, method]) => {
+            registry.register({
+                id,
+                detect: (reviewData, context) => context[method](reviewData),
+            });
+        });
     }
 
     /**
@@ -16,51 +45,230 @@ class PatternDetector {
      * @returns {Object} - 検出結果
      */
     detectAllPatterns(reviewData) {
-        const suspicionFactors = {
-            polarizedRatings: 0,
-            burstPosting: 0,
-            shortReviews: 0,
-            duplicatePatterns: 0,
-            newAccounts: 0,
+        const { suspicionFactors, suspiciousPatterns } =
+            this.detectFactors(reviewData);
+
+        return {
+            suspicionFactors,
+            suspiciousPatterns,
+            reviewScores: this.scoreReviews(reviewData, suspiciousPatterns),
         };
+    }
 
+    /**
+     * 検出器を実行して疑念要因とパターンだけを求める（レビューごとのスコアは算出しない）
+     * @param {Object} reviewData - レビューデータ
+     * @returns {Object} - { suspicionFactors, suspiciousPatterns }
+     */
+    detectFactors(reviewData) {
+        const suspicionFactors = {};
         const suspiciousPatterns = [];
 
-        // 各パターンの検出
-        const polarized = this.detectPolarizedRatings(reviewData);
-        if (polarized.detected) {
-            suspicionFactors.polarizedRatings = polarized.score;
-            suspiciousPatterns.push(polarized.pattern);
-        }
+        // 登録済みの検出器を順に実行（詳細設定で無効にされた検出器はスキップ）
+        this.registry.list().forEach((detector) => {
+            suspicionFactors[detector.id] = 0;
+            if (!this.getDetectorConfig(detector.id).enabled) return;
 
-        const burst = this.detectBurstPosting(reviewData);
-        if (burst.detected) {
-            suspicionFactors.burstPosting = burst.score;
-            suspiciousPatterns.push(burst.pattern);
-        }
+            try {
+                const result = detector.detect(reviewData, this);
+                if (result && result.detected) {
+                    suspicionFactors[detector.id] = result.score;
+                    suspiciousPatterns.push(result.pattern);
+                }
+            } catch (error) {
+                console.error(`Detector "${detector.id}" failed:`, error);
+            }
+        });
+
+        return { suspicionFactors, suspiciousPatterns };
+    }
 
-        const shortReviews = this.detectShortReviews(reviewData);
-        if (shortReviews.detected) {
-            suspicionFactors.shortReviews = shortReviews.score;
-            suspiciousPatterns.push(shortReviews.pattern);
+    /**
+     * レビュー本文の感情を分析（結果はレビューごとにキャッシュする）
+     * @param {Object} review - レビュー
+     * @returns {Object} - TextUtils.analyzeSentiment の結果
+     */
+    getReviewSentiment(review) {
+        if (!this.sentimentCache.has(review)) {
+            this.sentimentCache.set(
+                review,
+                window.TextUtils.analyzeSentiment(review.text)
+            );
         }
+        return this.sentimentCache.get(review);
+    }
+
+    /**
+     * 個々のレビューの疑わしさスコアと理由を算出
+     * 場所全体で検出されたパターン（類似クラスタ・集中投稿の期間）と
+     * レビュー単体の特徴（本文の長さ・投稿者情報・感情の食い違い）を合算する
+     * @param {Object} reviewData - レビューデータ
+     * @param {Array} suspiciousPatterns - 検出されたパターン
+     * @returns {Array<Object>} - recentReviewsと同じ順のスコア配列
+     */
+    scoreReviews(reviewData, suspiciousPatterns) {
+        const { recentReviews } = reviewData;
 
-        const duplicates = this.detectDuplicatePatterns(reviewData);
-        if (duplicates.detected) {
-            suspicionFactors.duplicatePatterns = duplicates.score;
-            suspiciousPatterns.push(duplicates.pattern);
+        if (!recentReviews || recentReviews.length === 0) {
+            return [];
         }
 
-        const newAccounts = this.detectNewAccounts(reviewData);
-        if (newAccounts.detected) {
-            suspicionFactors.newAccounts = newAccounts.score;
-            suspiciousPatterns.push(newAccounts.pattern);
+        const constants = this.constants.ANALYSIS_CONSTANTS;
+        const signalWeights = this.config.REVIEW_SIGNAL_WEIGHTS;
+        const findPattern = (type) =>
+            suspiciousPatterns.find((pattern) => pattern.type === type);
+
+        // 類似クラスタの所属（添字 → クラスタの件数）
+        const clusterSizes = new Map();
+        const duplicates = findPattern(
+            this.constants.PATTERN_TYPES.DUPLICATE_PATTERNS
+        );
+        if (duplicates) {
+            duplicates.metadata.memberIndexes.forEach((members) => {
+                members.forEach((index) =>
+                    clusterSizes.set(index, members.length)
+                );
+            });
         }
 
-        return {
-            suspicionFactors,
-            suspiciousPatterns,
-        };
+        const burst = findPattern(this.constants.PATTERN_TYPES.BURST_POSTING);
+
+        // 詳細設定で無効にされた検出器に対応する理由は付けない
+        const isEnabled = (key) => this.getDetectorConfig(key).enabled;
+        const checkNewAccount = isEnabled("newAccounts");
+        const checkSentiment = isEnabled("sentimentMismatch");
+        const checkLength = isEnabled("shortReviews");
+
+        return recentReviews.map((review, index) => {
+            const reasons = [];
+            const addReason = (type, description) => {
+                reasons.push({
+                    type,
+                    score: signalWeights[type].score,
+                    description,
+                });
+            };
+
+            if (clusterSizes.has(index)) {
+                addReason(
+                    "duplicateCluster",
+                    `類似レビューのグループ（${clusterSizes.get(
+                        index
+                    )}件）に含まれています`
+                );
+            }
+
+            if (burst && this.isInBurstWindow(review, burst.metadata)) {
+                addReason(
+                    "burstWindow",
+                    "集中投稿が見られる週に投稿されています"
+                );
+            }
+
+            if (checkNewAccount && this.isNewAccount(review.reviewer)) {
+                addReason(
+                    "newAccount",
+                    `投稿者のクチコミが${review.reviewer.reviewCount}件しかありません`
+                );
+            }
+
+            if (
+                checkSentiment &&
+                review.text &&
+                typeof review.rating === "number" &&
+                window.TextUtils &&
+                this.isSentimentMismatch(
+                    review.rating,
+                    this.getReviewSentiment(review).score
+                )
+            ) {
+                addReason(
+                    "sentimentMismatch",
+                    `★${review.rating}ですが本文の内容と食い違っています`
+                );
+            }
+
+            if (
+                checkLength &&
+                review.textLength === 0 &&
+                (review.rating === 1 || review.rating === 5)
+            ) {
+                addReason("noText", `本文のない★${review.rating}の評価です`);
+            } else if (
+                checkLength &&
+                review.textLength > 0 &&
+                review.textLength < constants.SHORT_REVIEW_LENGTH
+            ) {
+                addReason(
+                    "shortText",
+                    `本文が${review.textLength}文字しかありません`
+                );
+            }
+
+            const score = Math.min(
+                reasons.reduce((sum, reason) => sum + reason.score, 0),
+                100
+            );
+
+            return {
+                index,
+                reviewId: review.reviewId || null,
+                score,
+                level: this.getReviewSuspicionLevel(score),
+                reasons,
+            };
+        });
+    }
+
+    /**
+     * レビューの推定投稿日が集中投稿の期間に含まれるか判定
+     * 推定範囲の中央の時刻で判定する
+     * @param {Object} review - レビュー
+     * @param {Object} burstMetadata - 集中投稿パターンのメタデータ
+     * @returns {boolean} - 期間内かどうか
+     */
+    isInBurstWindow(review, burstMetadata) {
+        if (!review.dateRange) return false;
+
+        const midpoint =
+            (review.dateRange.earliest + review.dateRange.latest) / 2;
+        return (
+            midpoint >= burstMetadata.windowStart &&
+            midpoint < burstMetadata.windowEnd
+        );
+    }
+
+    /**
+     * レビューの疑わしさスコアから表示レベルを判定
+     * @param {number} score - スコア (0-100)
+     * @returns {string} - "high" | "medium" | "low"
+     */
+    getReviewSuspicionLevel(score) {
+        const levels =
+            this.constants.ANALYSIS_CONSTANTS.REVIEW_SUSPICION_LEVELS;
+        if (score >= levels.HIGH) return "high";
+        if (score >= levels.MEDIUM) return "medium";
+        return "low";
+    }
+
+    /**
+     * 詳細設定を反映した検出器の設定を取得
+     * @param {string} key - 検出器のid
+     * @returns {Object} - { enabled, weight, maxScore, threshold }（thresholdがnullなら自動）
+     */
+    getDetectorConfig(key) {
+        return this.registry.getConfig(key, this.settings.advanced);
+    }
+
+    /**
+     * 店舗カテゴリに応じた基準プロファイル（検出の閾値）を取得
+     * @param {Object} reviewData - レビューデータ
+     * @returns {Object} - 基準プロファイル
+     */
+    getCategoryBaseline(reviewData) {
+        return this.config.CONFIG_UTILS.getCategoryBaseline(
+            reviewData.category?.key
+        );
     }
 
     /**
@@ -87,14 +295,17 @@ class PatternDetector {
         const middleRatio = middleRatings / totalReviews;
 
         // 分析モードに応じて閾値を調整
-        const thresholds = this.config.ANALYSIS_CONSTANTS.POLARIZED_THRESHOLDS;
+        const thresholds =
+            this.constants.ANALYSIS_CONSTANTS.POLARIZED_THRESHOLDS;
+        const baseline = this.getCategoryBaseline(reviewData);
         const threshold =
-            thresholds[this.settings.analysisMode] || thresholds.standard;
+            this.getDetectorConfig("polarizedRatings").threshold ??
+            (thresholds[this.settings.analysisMode] || thresholds.standard) +
+                baseline.POLARIZED_THRESHOLD_OFFSET;
 
         if (extremeRatio > threshold && middleRatio < 0.2) {
-            const weight = this.config.ANALYSIS_WEIGHTS.polarizedRatings.weight;
-            const maxScore =
-                this.config.ANALYSIS_WEIGHTS.polarizedRatings.maxScore;
+            const { weight, maxScore } =
+                this.getDetectorConfig("polarizedRatings");
             const score = Math.min(extremeRatio * 100 * weight, maxScore);
 
             return {
@@ -111,6 +322,9 @@ class PatternDetector {
                         middleRatio,
                         extremeCount: extremeRatings,
                         middleCount: middleRatings,
+                        recentExtremeRatio: this.calculateExtremeRatio(
+                            reviewData.recentRatings
+                        ),
                     },
                 },
             };
@@ -121,6 +335,8 @@ class PatternDetector {
 
     /**
      * 短期間での集中投稿を検出
+     * 推定投稿日から週単位のヒストグラムを作り、各ウィンドウの件数を
+     * サンプル全体の平均投稿ペースと比較して、ポアソン分布の上側確率で急増を判定する
      * @param {Object} reviewData - レビューデータ
      * @returns {Object} - 検出結果
      */
@@ -131,44 +347,247 @@ class PatternDetector {
             return { detected: false };
         }
 
-        const recentKeywords = this.getRecentDateKeywords();
-        const recentCount = recentReviews.filter((review) =>
-            recentKeywords.some((keyword) => review.dateText.includes(keyword))
-        ).length;
+        const constants = this.constants.ANALYSIS_CONSTANTS;
+        const referenceTime = reviewData.analysisTimestamp || Date.now();
+        const histogram = this.buildWeeklyHistogram(
+            recentReviews,
+            referenceTime
+        );
+        const windowWeeks = constants.BURST_WINDOW_WEEKS;
+
+        // 比較対象となる平常時の期間が取れない場合は判定しない
+        if (histogram.weeks.length < constants.BURST_MIN_WEEKS + windowWeeks) {
+            return { detected: false };
+        }
+
+        // 週数ぶんの多重比較を考慮した有意水準（Bonferroni補正）
+        const windowCount = histogram.weeks.length - windowWeeks + 1;
+        const significance =
+            (this.getDetectorConfig("burstPosting").threshold ??
+                constants.BURST_P_VALUE) / windowCount;
+        const baselineWeeks = histogram.weeks.length - windowWeeks;
+
+        let spike = null;
+        for (let i = 0; i < windowCount; i++) {
+            const span = histogram.weeks.slice(i, i + windowWeeks);
+            const count = span.reduce((sum, week) => sum + week.count, 0);
+            if (count < constants.BURST_MIN_REVIEWS) continue;
 
-        if (recentCount > 5) {
-            const totalReviews = Math.max(
-                reviewData.totalReviews,
-                recentReviews.length
+            const baselineRate = Math.max(
+                (histogram.total - count) / baselineWeeks,
+                constants.BURST_MIN_BASELINE
             );
-            const burstRatio = recentCount / totalReviews;
-            const threshold =
-                this.config.ANALYSIS_CONSTANTS.BURST_POSTING_THRESHOLD;
-
-            if (burstRatio > threshold) {
-                const weight = this.config.ANALYSIS_WEIGHTS.burstPosting.weight;
-                const maxScore =
-                    this.config.ANALYSIS_WEIGHTS.burstPosting.maxScore;
-                const score = Math.min(burstRatio * 100 * weight, maxScore);
-
-                return {
-                    detected: true,
-                    score,
-                    pattern: {
-                        type: this.constants.PATTERN_TYPES.BURST_POSTING,
-                        description: `最近${recentCount}件の集中投稿があります`,
-                        severity: this.constants.SEVERITY_LEVELS.MEDIUM,
-                        metadata: {
-                            recentCount,
-                            burstRatio,
-                            totalReviews,
-                        },
-                    },
-                };
+            const expectedCount = baselineRate * windowWeeks;
+            const pValue = this.calculatePoissonTail(
+                Math.round(count),
+                expectedCount
+            );
+
+            if (pValue < significance && (!spike || pValue < spike.pValue)) {
+                spike = { span, count, expectedCount, pValue };
             }
         }
 
-        return { detected: false };
+        if (!spike) {
+            return { detected: false };
+        }
+
+        const ratingCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        spike.span.forEach((week) => {
+            for (let star = 1; star <= 5; star++) {
+                ratingCounts[star] += week.ratings[star];
+            }
+        });
+        const ratingMix = this.summarizeWeightedRatings(ratingCounts);
+
+        const burstRatio = spike.count / histogram.total;
+        const magnitude = spike.count / spike.expectedCount;
+        const windowStart = spike.span[0].start;
+        const windowEnd = spike.span[spike.span.length - 1].end;
+        const count = Math.round(spike.count);
+
+        const { weight, maxScore } = this.getDetectorConfig("burstPosting");
+        const score = Math.min(burstRatio * 100 * weight, maxScore);
+
+        const weekLabel = new Date(windowStart).toLocaleDateString("ja-JP", {
+            month: "long",
+            day: "numeric",
+        });
+        const dominant = ratingMix.dominantStar
+            ? `、うち★${ratingMix.dominantStar}が${
+                  ratingMix.counts[ratingMix.dominantStar]
+              }件`
+            : "";
+
+        return {
+            detected: true,
+            score,
+            pattern: {
+                type: this.constants.PATTERN_TYPES.BURST_POSTING,
+                description: `${weekLabel}の週に${count}件のレビューが集中しています（通常の約${magnitude.toFixed(
+                    1
+                )}倍${dominant}）`,
+                severity: this.constants.SEVERITY_LEVELS.MEDIUM,
+                metadata: {
+                    windowStart,
+                    windowEnd,
+                    windowWeeks,
+                    count,
+                    expectedCount: spike.expectedCount,
+                    magnitude,
+                    pValue: spike.pValue,
+                    burstRatio,
+                    ratingMix,
+                    spanWeeks: histogram.weeks.length,
+                    datedReviews: histogram.datedCount,
+                    totalReviews: recentReviews.length,
+                },
+            },
+        };
+    }
+
+    /**
+     * 推定投稿日から週単位（月曜始まり）のヒストグラムを作成
+     * 推定範囲が複数の週にまたがるレビューは、重なった期間の割合で按分する
+     * @param {Array} reviews - レビュー配列
+     * @param {number} referenceTime - 基準時刻（ms）
+     * @returns {Object} - { weeks: [{ start, end, count, ratings }], total, datedCount }
+     */
+    buildWeeklyHistogram(reviews, referenceTime) {
+        const weekMs = 7 * 24 * 60 * 60 * 1000;
+
+        // 基準時刻を含む週の月曜0時
+        const anchorDate = new Date(referenceTime);
+        anchorDate.setHours(0, 0, 0, 0);
+        anchorDate.setDate(
+            anchorDate.getDate() - ((anchorDate.getDay() + 6) % 7)
+        );
+        const anchor = anchorDate.getTime();
+
+        const buckets = new Map();
+        let total = 0;
+        let datedCount = 0;
+
+        const addMass = (index, mass, rating) => {
+            if (!buckets.has(index)) {
+                buckets.set(index, {
+                    count: 0,
+                    ratings: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+                });
+            }
+            const bucket = buckets.get(index);
+            bucket.count += mass;
+            if (bucket.ratings.hasOwnProperty(rating)) {
+                bucket.ratings[rating] += mass;
+            }
+        };
+
+        reviews.forEach((review) => {
+            const range = review && review.dateRange;
+            if (!range) return;
+
+            datedCount++;
+            total++;
+
+            const earliest = Math.min(range.earliest, range.latest);
+            const latest = Math.max(range.earliest, range.latest);
+            const first = Math.floor((earliest - anchor) / weekMs);
+            const last = Math.floor((latest - anchor) / weekMs);
+
+            if (first === last || latest === earliest) {
+                addMass(last, 1, review.rating);
+                return;
+            }
+
+            for (let index = first; index <= last; index++) {
+                const start = anchor + index * weekMs;
+                const overlap =
+                    Math.min(latest, start + weekMs) -
+                    Math.max(earliest, start);
+                if (overlap > 0) {
+                    addMass(
+                        index,
+                        overlap / (latest - earliest),
+                        review.rating
+                    );
+                }
+            }
+        });
+
+        if (buckets.size === 0) {
+            return { weeks: [], total: 0, datedCount: 0 };
+        }
+
+        // 投稿のない週も0件として含める
+        const indexes = Array.from(buckets.keys());
+        const weeks = [];
+        for (
+            let index = Math.min(...indexes);
+            index <= Math.max(...indexes);
+            index++
+        ) {
+            const bucket = buckets.get(index) || {
+                count: 0,
+                ratings: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+            };
+            weeks.push({
+                start: anchor + index * weekMs,
+                end: anchor + (index + 1) * weekMs,
+                count: bucket.count,
+                ratings: bucket.ratings,
+            });
+        }
+
+        return { weeks, total, datedCount };
+    }
+
+    /**
+     * ポアソン分布の上側確率 P(X >= k) を計算
+     * @param {number} k - 観測件数
+     * @param {number} lambda - 期待件数
+     * @returns {number} - 上側確率
+     */
+    calculatePoissonTail(k, lambda) {
+        if (k <= 0) return 1;
+
+        let term = Math.exp(-lambda);
+        let cumulative = term;
+        for (let i = 1; i < k; i++) {
+            term *= lambda / i;
+            cumulative += term;
+        }
+
+        return Math.max(0, 1 - cumulative);
+    }
+
+    /**
+     * 按分された評価件数を集計
+     * @param {Object} weightedCounts - 星ごとの（小数を含む）件数
+     * @returns {Object} - 評価件数（整数）・平均・最多の星
+     */
+    summarizeWeightedRatings(weightedCounts) {
+        const counts = {};
+        let ratedTotal = 0;
+        let sum = 0;
+        let dominantStar = null;
+
+        for (let star = 1; star <= 5; star++) {
+            counts[star] = Math.round(weightedCounts[star]);
+            ratedTotal += weightedCounts[star];
+            sum += star * weightedCounts[star];
+            if (
+                counts[star] > 0 &&
+                (!dominantStar || counts[star] > counts[dominantStar])
+            ) {
+                dominantStar = star;
+            }
+        }
+
+        return {
+            counts,
+            average: ratedTotal > 0 ? sum / ratedTotal : null,
+            dominantStar,
+        };
     }
 
     /**
@@ -183,17 +602,19 @@ class PatternDetector {
             return { detected: false };
         }
 
-        const shortLength = this.config.ANALYSIS_CONSTANTS.SHORT_REVIEW_LENGTH;
+        const shortLength =
+            this.constants.ANALYSIS_CONSTANTS.SHORT_REVIEW_LENGTH;
         const shortReviews = recentReviews.filter(
             (review) => review.textLength > 0 && review.textLength < shortLength
         );
 
         const shortRatio = shortReviews.length / recentReviews.length;
-        const threshold = this.config.ANALYSIS_CONSTANTS.SHORT_REVIEW_THRESHOLD;
+        const threshold =
+            this.getDetectorConfig("shortReviews").threshold ??
+            this.getCategoryBaseline(reviewData).SHORT_REVIEW_THRESHOLD;
 
         if (shortRatio > threshold) {
-            const weight = this.config.ANALYSIS_WEIGHTS.shortReviews.weight;
-            const maxScore = this.config.ANALYSIS_WEIGHTS.shortReviews.maxScore;
+            const { weight, maxScore } = this.getDetectorConfig("shortReviews");
             const score = Math.min(shortRatio * 100 * weight, maxScore);
 
             return {
@@ -210,6 +631,7 @@ class PatternDetector {
                         shortRatio,
                         averageLength:
                             this.calculateAverageLength(recentReviews),
+                        ratingMix: this.calculateRatingMix(shortReviews),
                     },
                 },
             };
@@ -220,6 +642,7 @@ class PatternDetector {
 
     /**
      * 類似・重複レビューパターンを検出
+     * DuplicateDetector（シングリング + MinHash LSH）で類似レビューをクラスタにまとめる
      * @param {Object} reviewData - レビューデータ
      * @returns {Object} - 検出結果
      */
@@ -230,37 +653,59 @@ class PatternDetector {
             return { detected: false };
         }
 
-        const reviewTexts = recentReviews
-            .map((review) => review.text)
-            .filter((text) => text && text.length > 5);
+        // 添字をレビューと揃えるため、本文のないレビューも空文字として渡す
+        const reviewTexts = recentReviews.map((review) => review.text || "");
+        const comparableCount = reviewTexts.filter(
+            (text) => text.length > 5
+        ).length;
 
-        if (reviewTexts.length < 3) {
+        if (comparableCount < 3) {
             return { detected: false };
         }
 
-        const similarities = this.findSimilarTexts(reviewTexts);
+        const clusters = this.duplicateDetector.findClusters(
+            reviewTexts,
+            this.getDetectorConfig("duplicatePatterns").threshold ?? undefined
+        );
 
-        if (similarities.length > 0) {
-            const weight =
-                this.config.ANALYSIS_WEIGHTS.duplicatePatterns.weight;
-            const baseScore = similarities.length * 15;
-            const score = Math.min(
-                baseScore * weight,
-                this.config.ANALYSIS_WEIGHTS.duplicatePatterns.maxScore
+        if (clusters.length > 0) {
+            const duplicateCount = clusters.reduce(
+                (sum, cluster) => sum + cluster.size,
+                0
             );
+            const duplicateRatio = duplicateCount / comparableCount;
+            const { weight, maxScore } =
+                this.getDetectorConfig("duplicatePatterns");
+            const score = Math.min(duplicateRatio * 100 * weight, maxScore);
+            const reportLimit =
+                this.constants.ANALYSIS_CONSTANTS
+                    .DUPLICATE_CLUSTER_REPORT_LIMIT;
 
             return {
                 detected: true,
                 score,
                 pattern: {
                     type: this.constants.PATTERN_TYPES.DUPLICATE_PATTERNS,
-                    description: `${similarities.length}組の類似レビューが見つかりました`,
+                    description: `類似レビューのグループが${clusters.length}件見つかりました（最大${clusters[0].size}件、計${duplicateCount}件）`,
                     severity: this.constants.SEVERITY_LEVELS.HIGH,
                     metadata: {
-                        similarityCount: similarities.length,
-                        similarities: similarities.slice(0, 3), // 最初の3組のみ保存
+                        clusterCount: clusters.length,
+                        duplicateCount,
+                        duplicateRatio,
+                        largestClusterSize: clusters[0].size,
                         averageSimilarity:
-                            this.calculateAverageSimilarity(similarities),
+                            this.calculateAverageSimilarity(clusters),
+                        memberIndexes: clusters.map(
+                            (cluster) => cluster.memberIndexes
+                        ),
+                        clusters: clusters
+                            .slice(0, reportLimit)
+                            .map((cluster) => ({
+                                size: cluster.size,
+                                representativeText: cluster.representativeText,
+                                averageSimilarity: cluster.averageSimilarity,
+                                reviewIndexes: cluster.memberIndexes,
+                            })),
                     },
                 },
             };
@@ -271,6 +716,7 @@ class PatternDetector {
 
     /**
      * 新規アカウントからの疑わしい投稿を検出
+     * 投稿者の「N件のクチコミ」表示から、投稿履歴がほぼないアカウントを判定する
      * @param {Object} reviewData - レビューデータ
      * @returns {Object} - 検出結果
      */
@@ -281,35 +727,53 @@ class PatternDetector {
             return { detected: false };
         }
 
-        const suspiciousLength =
-            this.config.ANALYSIS_CONSTANTS.SUSPICIOUS_REVIEW_LENGTH;
-        const suspiciousAuthors = recentReviews.filter(
+        const constants = this.constants.ANALYSIS_CONSTANTS;
+
+        // 投稿数が取得できたレビューのみを母数とする
+        const profiledReviews = recentReviews.filter(
             (review) =>
-                !review.hasPhotos &&
-                review.textLength > 0 &&
-                review.textLength < suspiciousLength
+                review.reviewer &&
+                (typeof review.reviewer.reviewCount === "number" ||
+                    review.reviewer.isLocalGuide)
+        );
+
+        if (profiledReviews.length < constants.MIN_PROFILED_REVIEWS) {
+            return { detected: false };
+        }
+
+        const newAccountReviews = profiledReviews.filter((review) =>
+            this.isNewAccount(review.reviewer)
         );
 
-        const suspiciousRatio = suspiciousAuthors.length / recentReviews.length;
-        const threshold = this.config.ANALYSIS_CONSTANTS.NEW_ACCOUNT_THRESHOLD;
+        const newAccountRatio =
+            newAccountReviews.length / profiledReviews.length;
+        const threshold =
+            this.getDetectorConfig("newAccounts").threshold ??
+            this.getCategoryBaseline(reviewData).NEW_ACCOUNT_THRESHOLD;
 
-        if (suspiciousRatio > threshold) {
-            const weight = this.config.ANALYSIS_WEIGHTS.newAccounts.weight;
-            const maxScore = this.config.ANALYSIS_WEIGHTS.newAccounts.maxScore;
-            const score = Math.min(suspiciousRatio * 100 * weight, maxScore);
+        if (newAccountRatio > threshold) {
+            const { weight, maxScore } = this.getDetectorConfig("newAccounts");
+            const score = Math.min(newAccountRatio * 100 * weight, maxScore);
 
             return {
                 detected: true,
                 score,
                 pattern: {
                     type: this.constants.PATTERN_TYPES.NEW_ACCOUNTS,
-                    description: `新規アカウントからの投稿が${(
-                        suspiciousRatio * 100
+                    description: `投稿履歴が${
+                        constants.NEW_ACCOUNT_MAX_REVIEWS
+                    }件以下のアカウントからの投稿が${(
+                        newAccountRatio * 100
                     ).toFixed(1)}%含まれています`,
                     severity: this.constants.SEVERITY_LEVELS.MEDIUM,
                     metadata: {
-                        suspiciousCount: suspiciousAuthors.length,
-                        suspiciousRatio,
+                        newAccountCount: newAccountReviews.length,
+                        newAccountRatio,
+                        profiledCount: profiledReviews.length,
+                        localGuideCount: profiledReviews.filter(
+                            (review) => review.reviewer.isLocalGuide
+                        ).length,
+                        ratingMix: this.calculateRatingMix(newAccountReviews),
                         totalReviews: recentReviews.length,
                     },
                 },
@@ -320,88 +784,365 @@ class PatternDetector {
     }
 
     /**
-     * テキストの類似性を検出
-     * @param {string[]} texts - テキスト配列
-     * @returns {Array} - 類似ペアの配列
+     * 投稿者が新規アカウントかどうかを判定
+     * @param {Object} reviewer - 投稿者情報
+     * @returns {boolean} - 新規アカウントかどうか
+     */
+    isNewAccount(reviewer) {
+        if (!reviewer || reviewer.isLocalGuide) return false;
+        if (typeof reviewer.reviewCount !== "number") return false;
+
+        return (
+            reviewer.reviewCount <=
+            this.constants.ANALYSIS_CONSTANTS.NEW_ACCOUNT_MAX_REVIEWS
+        );
+    }
+
+    /**
+     * 最近のレビューの評価分布と全期間の評価分布の乖離を検出
+     * @param {Object} reviewData - レビューデータ
+     * @returns {Object} - 検出結果
      */
-    findSimilarTexts(texts) {
-        const similarities = [];
+    detectRatingShift(reviewData) {
+        const { ratings, totalReviews, recentReviews } = reviewData;
+
+        if (!recentReviews || recentReviews.length === 0 || !totalReviews) {
+            return { detected: false };
+        }
+
+        const recentMix = this.calculateRatingMix(recentReviews);
+        const minRated = this.constants.ANALYSIS_CONSTANTS.MIN_RATED_REVIEWS;
+
+        if (recentMix.ratedCount < minRated) {
+            return { detected: false };
+        }
+
+        const lifetimeTotal = Object.values(ratings || {}).reduce(
+            (sum, count) => sum + count,
+            0
+        );
+        if (lifetimeTotal === 0) {
+            return { detected: false };
+        }
+
+        // 全変動距離（0: 同一分布, 1: 完全に異なる分布）
+        let distance = 0;
+        let lifetimeSum = 0;
+        for (let star = 1; star <= 5; star++) {
+            const lifetimeRatio = (ratings[star] || 0) / lifetimeTotal;
+            distance += Math.abs(recentMix.ratios[star] - lifetimeRatio);
+            lifetimeSum += star * (ratings[star] || 0);
+        }
+        distance /= 2;
+
+        const lifetimeAverage = lifetimeSum / lifetimeTotal;
         const threshold =
-            this.config.ANALYSIS_CONSTANTS.TEXT_SIMILARITY_THRESHOLD;
+            this.getDetectorConfig("ratingShift").threshold ??
+            this.getCategoryBaseline(reviewData).RATING_SHIFT_THRESHOLD;
 
-        for (let i = 0; i < texts.length; i++) {
-            for (let j = i + 1; j < texts.length; j++) {
+        if (distance > threshold) {
+            const { weight, maxScore } = this.getDetectorConfig("ratingShift");
+            const score = Math.min(distance * 100 * weight, maxScore);
+            const direction =
+                recentMix.average >= lifetimeAverage ? "高く" : "低く";
+
+            return {
+                detected: true,
+                score,
+                pattern: {
+                    type: this.constants.PATTERN_TYPES.RATING_SHIFT,
+                    description: `最近のレビューは全体より評価が${direction}偏っています（平均${recentMix.average.toFixed(
+                        1
+                    )} / 全体${lifetimeAverage.toFixed(1)}）`,
+                    severity: this.constants.SEVERITY_LEVELS.MEDIUM,
+                    metadata: {
+                        distance,
+                        recentAverage: recentMix.average,
+                        lifetimeAverage,
+                        recentCounts: recentMix.counts,
+                        ratedCount: recentMix.ratedCount,
+                    },
+                },
+            };
+        }
+
+        return { detected: false };
+    }
+
+    /**
+     * 星評価と本文の感情が食い違うレビューを検出
+     * 苦情が書かれた★5や、称賛が書かれた★1など
+     * @param {Object} reviewData - レビューデータ
+     * @returns {Object} - 検出結果
+     */
+    detectSentimentMismatch(reviewData) {
+        const { recentReviews } = reviewData;
+
+        if (!recentReviews || recentReviews.length === 0 || !window.TextUtils) {
+            return { detected: false };
+        }
+
+        const constants = this.constants.ANALYSIS_CONSTANTS;
+
+        const evaluated = [];
+        recentReviews.forEach((review, index) => {
+            if (typeof review.rating !== "number" || !review.text) return;
+            evaluated.push({
+                index,
+                review,
+                sentiment: this.getReviewSentiment(review),
+            });
+        });
+
+        if (evaluated.length < constants.MIN_RATED_REVIEWS) {
+            return { detected: false };
+        }
+
+        const mismatched = evaluated.filter((item) =>
+            this.isSentimentMismatch(item.review.rating, item.sentiment.score)
+        );
+        const negativeTextHighRating = mismatched.filter(
+            (item) => item.review.rating >= 4
+        );
+        const positiveTextLowRating = mismatched.filter(
+            (item) => item.review.rating <= 2
+        );
+        const mismatchRatio = mismatched.length / evaluated.length;
+
+        const threshold =
+            this.getDetectorConfig("sentimentMismatch").threshold ??
+            constants.SENTIMENT_MISMATCH_THRESHOLD;
+
+        if (mismatchRatio > threshold) {
+            const { weight, maxScore } =
+                this.getDetectorConfig("sentimentMismatch");
+            const score = Math.min(mismatchRatio * 100 * weight, maxScore);
+
+            return {
+                detected: true,
+                score,
+                pattern: {
+                    type: this.constants.PATTERN_TYPES.SENTIMENT_MISMATCH,
+                    description: `星評価と本文の内容が食い違うレビューが${(
+                        mismatchRatio * 100
+                    ).toFixed(1)}%含まれています`,
+                    severity: this.constants.SEVERITY_LEVELS.MEDIUM,
+                    metadata: {
+                        mismatchCount: mismatched.length,
+                        mismatchRatio,
+                        evaluatedCount: evaluated.length,
+                        negativeTextHighRating: negativeTextHighRating.length,
+                        positiveTextLowRating: positiveTextLowRating.length,
+                        reviewIndexes: mismatched.map((item) => item.index),
+                        examples: mismatched.slice(0, 3).map((item) => ({
+                            rating: item.review.rating,
+                            sentimentScore: item.sentiment.score,
+                            text: item.review.text.slice(0, 100),
+                        })),
+                    },
+                },
+            };
+        }
+
+        return { detected: false };
+    }
+
+    /**
+     * 星評価と本文の感情スコアが食い違うか判定
+     * @param {number} rating - 星評価 (1-5)
+     * @param {number} sentimentScore - 本文の感情スコア
+     * @returns {boolean} - 食い違う場合true
+     */
+    isSentimentMismatch(rating, sentimentScore) {
+        const minScore =
+            this.constants.ANALYSIS_CONSTANTS.SENTIMENT_MISMATCH_MIN_SCORE;
+
+        return (
+            (rating >= 4 && sentimentScore <= -minScore) ||
+            (rating <= 2 && sentimentScore >= minScore)
+        );
+    }
+
+    /**
+     * オーナー返信の不自然な傾向を検出
+     * 低評価にだけ定型文で返信している、返信がコピー&ペーストされている、
+     * 見返りを示唆するレビューにばかり返信している、のいずれかを兆候とする
+     * @param {Object} reviewData - レビューデータ
+     * @returns {Object} - 検出結果
+     */
+    detectOwnerReplies(reviewData) {
+        const { recentReviews } = reviewData;
+
+        if (!recentReviews || recentReviews.length === 0) {
+            return { detected: false };
+        }
+
+        const constants = this.constants.ANALYSIS_CONSTANTS;
+        const repliedReviews = recentReviews.filter(
+            (review) => review.ownerResponse && review.ownerResponse.text
+        );
+
+        if (repliedReviews.length < constants.MIN_OWNER_REPLIES) {
+            return { detected: false };
+        }
+
+        const signalThreshold =
+            this.getDetectorConfig("ownerReplies").threshold ??
+            constants.OWNER_REPLY_SIGNAL_THRESHOLD;
+        const replyTexts = repliedReviews.map(
+            (review) => review.ownerResponse.text
+        );
+        const signals = [];
+
+        // 1. 低評価にだけ定型文で返信している
+        const repliedMix = this.calculateRatingMix(repliedReviews);
+        const negativeReplyRatio =
+            repliedMix.ratedCount > 0
+                ? (repliedMix.counts[1] + repliedMix.counts[2]) /
+                  repliedMix.ratedCount
+                : 0;
+        const templateSimilarity =
+            this.calculateMeanPairwiseSimilarity(replyTexts);
+        const unrepliedPositives = recentReviews.filter(
+            (review) => !review.ownerResponse && review.rating >= 4
+        ).length;
+
+        if (
+            negativeReplyRatio >= constants.OWNER_REPLY_NEGATIVE_RATIO &&
+            templateSimilarity >= constants.OWNER_REPLY_TEMPLATE_SIMILARITY &&
+            unrepliedPositives > 0
+        ) {
+            signals.push({
+                type: "negative_only_templates",
+                ratio: negativeReplyRatio,
+                description: "低評価のレビューにのみ定型文で返信しています",
+            });
+        }
+
+        // 2. 返信のコピー&ペースト
+        const duplicatedIndexes = new Set();
+        for (let i = 0; i < replyTexts.length; i++) {
+            for (let j = i + 1; j < replyTexts.length; j++) {
                 const similarity = this.calculateTextSimilarity(
-                    texts[i],
-                    texts[j]
+                    replyTexts[i],
+                    replyTexts[j]
                 );
-                if (similarity > threshold) {
-                    similarities.push({
-                        text1: texts[i],
-                        text2: texts[j],
-                        similarity,
-                    });
+                if (similarity >= constants.OWNER_REPLY_DUPLICATE_SIMILARITY) {
+                    duplicatedIndexes.add(i);
+                    duplicatedIndexes.add(j);
                 }
             }
         }
+        const duplicateReplyRatio =
+            duplicatedIndexes.size / repliedReviews.length;
+
+        if (duplicateReplyRatio >= signalThreshold) {
+            signals.push({
+                type: "copy_pasted_replies",
+                ratio: duplicateReplyRatio,
+                description: `${duplicatedIndexes.size}件の返信が同じ文面です`,
+            });
+        }
+
+        // 3. 見返りを示唆するレビューへの返信
+        const incentivisedReplied = repliedReviews.filter((review) =>
+            this.looksIncentivised(review.text)
+        );
+        const incentiveReplyRatio =
+            incentivisedReplied.length / repliedReviews.length;
+
+        if (
+            incentivisedReplied.length >= 2 &&
+            incentiveReplyRatio >= signalThreshold
+        ) {
+            signals.push({
+                type: "incentivised_reviews",
+                ratio: incentiveReplyRatio,
+                description: `見返りを示唆するレビュー${incentivisedReplied.length}件に返信しています`,
+            });
+        }
+
+        if (signals.length === 0) {
+            return { detected: false };
+        }
 
-        return similarities;
+        const { weight, maxScore } = this.getDetectorConfig("ownerReplies");
+        const strongestRatio = Math.max(...signals.map((s) => s.ratio));
+        const score = Math.min(strongestRatio * 100 * weight, maxScore);
+
+        return {
+            detected: true,
+            score,
+            pattern: {
+                type: this.constants.PATTERN_TYPES.OWNER_REPLIES,
+                description: signals.map((s) => s.description).join("、"),
+                severity:
+                    signals.length >= 2
+                        ? this.constants.SEVERITY_LEVELS.HIGH
+                        : this.constants.SEVERITY_LEVELS.MEDIUM,
+                metadata: {
+                    signals: signals.map((s) => s.type),
+                    repliedCount: repliedReviews.length,
+                    replyCoverage: repliedReviews.length / recentReviews.length,
+                    negativeReplyRatio,
+                    templateSimilarity,
+                    duplicateReplyRatio,
+                    incentiveReplyRatio,
+                    ratingMix: repliedMix,
+                },
+            },
+        };
     }
 
     /**
-     * テキスト間の類似度を計算
-     * @param {string} text1 - テキスト1
-     * @param {string} text2 - テキスト2
-     * @returns {number} - 類似度 (0-1)
+     * レビュー本文が見返り（割引・無料サービス等）を示唆しているか判定
+     * @param {string} text - レビュー本文
+     * @returns {boolean} - 見返りを示唆する場合true
      */
-    calculateTextSimilarity(text1, text2) {
-        if (!text1 || !text2) return 0;
-
-        const words1 = new Set(text1.toLowerCase().split(/\s+/));
-        const words2 = new Set(text2.toLowerCase().split(/\s+/));
+    looksIncentivised(text) {
+        if (!text) return false;
 
-        const intersection = new Set(
-            [...words1].filter((word) => words2.has(word))
-        );
-        const union = new Set([...words1, ...words2]);
+        const i18n = this.config.I18N_CONFIG;
+        const patterns = i18n.INCENTIVE_PATTERNS || [];
+        const contexts = i18n.INCENTIVE_CONTEXT_PATTERNS || [];
 
-        return union.size > 0 ? intersection.size / union.size : 0;
+        // 見返りの表現とレビュー・星評価を指す語が同じ文にある場合のみ
+        return text
+            .split(i18n.INCENTIVE_SENTENCE_BOUNDARY)
+            .some(
+                (sentence) =>
+                    patterns.some((pattern) => pattern.test(sentence)) &&
+                    contexts.some((context) => context.test(sentence))
+            );
     }
 
     /**
-     * 最近の日付を示すキーワードを取得
-     * @returns {string[]} - キーワード配列
+     * テキスト群の全ペアの平均類似度を計算（calculateTextSimilarity のシングル類似度）
+     * @param {string[]} texts - テキスト配列
+     * @returns {number} - 平均類似度 (0-1)
      */
-    getRecentDateKeywords() {
-        const locale = this.detectLocale();
-        const patterns =
-            this.config.I18N_CONFIG.RECENT_DATE_PATTERNS[locale] ||
-            this.config.I18N_CONFIG.RECENT_DATE_PATTERNS.ja;
-
-        // 正規表現から抽出可能なキーワードを生成
-        return [
-            "日前",
-            "週間前",
-            "時間前",
-            "分前",
-            "day ago",
-            "week ago",
-            "hour ago",
-            "minute ago",
-            "days ago",
-            "weeks ago",
-            "hours ago",
-            "minutes ago",
-        ];
+    calculateMeanPairwiseSimilarity(texts) {
+        let total = 0;
+        let pairs = 0;
+
+        for (let i = 0; i < texts.length; i++) {
+            for (let j = i + 1; j < texts.length; j++) {
+                total += this.calculateTextSimilarity(texts[i], texts[j]);
+                pairs++;
+            }
+        }
+
+        return pairs > 0 ? total / pairs : 0;
     }
 
     /**
-     * ロケールを検出
-     * @returns {string} - ロケール文字列
+     * テキスト間の類似度を計算
+     * @param {string} text1 - テキスト1
+     * @param {string} text2 - テキスト2
+     * @returns {number} - 類似度 (0-1)
      */
-    detectLocale() {
-        const lang = navigator.language || navigator.userLanguage || "ja";
-        return lang.startsWith("ja") ? "ja" : "en";
+    calculateTextSimilarity(text1, text2) {
+        return this.duplicateDetector.calculateSimilarity(text1, text2);
     }
 
     /**
@@ -420,22 +1161,71 @@ class PatternDetector {
     }
 
     /**
-     * 類似度の平均を計算
-     * @param {Array} similarities - 類似度配列
+     * レビュー単位の星評価から評価の内訳を計算
+     * @param {Array} reviews - レビュー配列
+     * @returns {Object} - 評価件数・比率・平均
+     */
+    calculateRatingMix(reviews) {
+        const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        let sum = 0;
+
+        (reviews || []).forEach((review) => {
+            if (review && counts.hasOwnProperty(review.rating)) {
+                counts[review.rating]++;
+                sum += review.rating;
+            }
+        });
+
+        const ratedCount = Object.values(counts).reduce((a, b) => a + b, 0);
+        const ratios = {};
+        for (let star = 1; star <= 5; star++) {
+            ratios[star] = ratedCount > 0 ? counts[star] / ratedCount : 0;
+        }
+
+        return {
+            counts,
+            ratios,
+            ratedCount,
+            average: ratedCount > 0 ? sum / ratedCount : 0,
+        };
+    }
+
+    /**
+     * 評価分布に占める極端な評価（1と5）の比率を計算
+     * @param {Object} histogram - 評価分布
+     * @returns {number|null} - 極端評価の比率
+     */
+    calculateExtremeRatio(histogram) {
+        if (!histogram) return null;
+
+        const total = Object.values(histogram).reduce((a, b) => a + b, 0);
+        if (total === 0) return null;
+
+        return ((histogram[1] || 0) + (histogram[5] || 0)) / total;
+    }
+
+    /**
+     * クラスタの平均類似度を件数で重み付けして平均
+     * @param {Array} clusters - クラスタ配列
      * @returns {number} - 平均類似度
      */
-    calculateAverageSimilarity(similarities) {
-        if (!similarities || similarities.length === 0) return 0;
+    calculateAverageSimilarity(clusters) {
+        if (!clusters || clusters.length === 0) return 0;
 
-        const totalSimilarity = similarities.reduce(
-            (sum, item) => sum + item.similarity,
+        const totalSize = clusters.reduce((sum, c) => sum + c.size, 0);
+        const weighted = clusters.reduce(
+            (sum, c) => sum + c.averageSimilarity * c.size,
             0
         );
-        return Math.round((totalSimilarity / similarities.length) * 100) / 100;
+        return Math.round((weighted / totalSize) * 100) / 100;
     }
 }
 
 // グローバルスコープに公開
 if (typeof window !== "undefined") {
     window.PatternDetector = PatternDetector;
+
+    if (window.MRA_DETECTORS && window.MRA_CONFIG) {
+        PatternDetector.registerBuiltinDetectors(window.MRA_DETECTORS);
+    }
 }
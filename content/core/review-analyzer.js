@@ -15,6 +15,7 @@ class ReviewAnalyzer {
         this.isAnalyzing = false;
         this.settings = {};
         this.analysisTimeout = null;
+        this.lastAnalyzedPlaceKey = null;
 
         this.init();
     }
@@ -45,11 +46,7 @@ class ReviewAnalyzer {
             this.setupMessageListeners();
 
             // 自動分析が有効な場合は実行
-            const autoAnalysis =
-                this.settings.settings?.autoAnalysis ??
-                this.settings.autoAnalysis ??
-                true;
-            if (autoAnalysis) {
+            if (this.isAutoAnalysisEnabled()) {
                 // ページの準備ができるまで待ってから分析を開始
                 this.analysisTimeout = setTimeout(() => {
                     this.performAnalysisIfReady();
@@ -63,14 +60,61 @@ class ReviewAnalyzer {
     }
 
     /**
-     * ページの準備ができている場合のみ分析を実行
+     * 自動分析が有効か判定
+     * @returns {boolean} - 自動分析する場合true
+     */
+    isAutoAnalysisEnabled() {
+        return (
+            this.settings.settings?.autoAnalysis ??
+            this.settings.autoAnalysis ??
+            true
+        );
+    }
+
+    /**
+     * 現在のURLが直前に分析した場所と同じか判定
+     * ズームや表示位置だけが変わったURLは同じ場所として扱う
+     * @returns {boolean} - 分析済みの場所の場合true
+     */
+    isCurrentPlaceAnalyzed() {
+        if (!this.lastAnalyzedPlaceKey) return false;
+
+        return (
+            window.MRA_PLACE_IDENTITY.getKey(window.location.href) ===
+            this.lastAnalyzedPlaceKey
+        );
+    }
+
+    /**
+     * URLの変更時に、別の場所に移動していれば自動分析する
+     */
+    handleUrlChange() {
+        if (!this.isAutoAnalysisEnabled() || this.isCurrentPlaceAnalyzed()) {
+            return;
+        }
+
+        if (this.analysisTimeout) {
+            clearTimeout(this.analysisTimeout);
+        }
+        this.analysisTimeout = setTimeout(() => {
+            this.performAnalysisIfReady();
+        }, 2000);
+    }
+
+    /**
+     * ページの準備ができている場合のみ分析を実行（分析済みの場所は再分析しない）
      */
     async performAnalysisIfReady() {
         try {
+            if (this.isCurrentPlaceAnalyzed()) {
+                console.log("Place already analyzed, skipping auto analysis");
+                return;
+            }
+
             const isReady = await this.checkPageReadiness();
             if (isReady) {
                 console.log("Page is ready, performing analysis");
-                await this.performAnalysis();
+                await this.performAnalysis({ useCache: true });
             } else {
                 console.log("Page not ready, skipping auto analysis");
             }
@@ -166,11 +210,7 @@ class ReviewAnalyzer {
                     ) {
                         console.log("Page loaded message received");
                         // ページ読み込み時の自動分析
-                        if (
-                            this.settings.settings?.autoAnalysis ??
-                            this.settings.autoAnalysis ??
-                            true
-                        ) {
+                        if (this.isAutoAnalysisEnabled()) {
                             setTimeout(
                                 () => this.performAnalysisIfReady(),
                                 2000
@@ -261,8 +301,11 @@ class ReviewAnalyzer {
 
     /**
      * 分析を実行（改善版）
+     * useCache指定時はキャッシュした結果をすぐに表示し、
+     * レビュー数か設定が変わっている場合だけ再分析する
+     * @param {Object} options - { useCache }
      */
-    async performAnalysis() {
+    async performAnalysis({ useCache = false } = {}) {
         if (this.isAnalyzing) {
             console.log("Analysis already in progress");
             return;
@@ -283,8 +326,40 @@ class ReviewAnalyzer {
                 return;
             }
 
-            // データ抽出
-            const reviewData = await this.dataExtractor.extractReviewData();
+            const settings = this.settings.settings || this.settings;
+            const place = window.MRA_PLACE_IDENTITY.parse(
+                window.location.href,
+                this.dataExtractor.extractPlaceName()
+            );
+
+            // キャッシュした結果を表示（最新ならここで終了）
+            let showingCache = false;
+            if (useCache && this.isCacheEnabled() && place.key) {
+                const cacheState = await this.displayCachedResult(
+                    place.key,
+                    settings
+                );
+                if (cacheState === "fresh") {
+                    this.lastAnalyzedPlaceKey = place.key;
+                    return;
+                }
+                showingCache = cacheState === "stale";
+            }
+
+            // データ抽出（目標件数までレビュー欄を自動スクロール）
+            // キャッシュを表示中は結果を消さずに進捗だけを表示する
+            const reviewData = await this.dataExtractor.extractReviewData({
+                sampleSize: settings.reviewSampleSize,
+                onProgress: (progress) =>
+                    showingCache
+                        ? this.resultRenderer.displayRevalidationProgress(
+                              progress
+                          )
+                        : this.resultRenderer.displaySamplingProgress(
+                              progress,
+                              () => this.cancelSampling()
+                          ),
+            });
             console.log("Extracted review data:", reviewData);
 
             const minimumReviews =
@@ -312,26 +387,64 @@ class ReviewAnalyzer {
             const scoreResult = this.scoreCalculator.calculateTrustScore(
                 patternResult.suspicionFactors,
                 patternResult.suspiciousPatterns,
-                reviewData
+                reviewData,
+                patternResult.reviewScores
+            );
+
+            // 収集したレビューを再標本化してスコアの不確かさを推定
+            scoreResult.interval = this.scoreCalculator.estimateScoreInterval(
+                reviewData,
+                this.patternDetector,
+                scoreResult.score
             );
             console.log("Score calculation result:", scoreResult);
 
             // 結果表示
             console.log("Displaying results...");
-            const settings = this.settings.settings || this.settings;
             this.resultRenderer.displayTrustScore(
                 scoreResult,
                 settings,
                 reviewData.placeName
             );
+            this.resultRenderer.displayReviewBadges(
+                patternResult.reviewScores,
+                settings
+            );
+
+            // 結果を保存（履歴はURLではなく場所の識別情報でまとめる）
+            this.lastAnalyzedPlaceKey = place.key;
+            if (this.isCacheEnabled() && place.key) {
+                await this.saveCachedResult({
+                    placeKey: place.key,
+                    placeName: reviewData.placeName,
+                    totalReviews: reviewData.totalReviews,
+                    settingsSignature:
+                        this.config.CONFIG_UTILS.getAnalysisSettingsSignature(
+                            settings
+                        ),
+                    result: scoreResult,
+                    // 再訪時にレビューごとのバッジと絞り込みも復元する
+                    reviewScores: patternResult.reviewScores.filter(
+                        (reviewScore) => reviewScore.reviewId
+                    ),
+                });
+            }
 
-            // 結果を保存
             await this.saveAnalysisResult({
                 url: window.location.href,
+                placeKey: place.key,
+                placeId: place.featureId,
+                coordinates: place.coordinates,
                 placeName: reviewData.placeName,
                 trustScore: scoreResult.score,
+                verdict: scoreResult.verdict.key,
+                displayedRating:
+                    scoreResult.details.adjustedRating?.displayedRating ?? null,
+                adjustedRating:
+                    scoreResult.details.adjustedRating?.adjustedRating ?? null,
                 totalReviews: reviewData.totalReviews,
                 suspiciousPatterns: patternResult.suspiciousPatterns,
+                breakdown: scoreResult.breakdown,
                 analysisMode: settings.analysisMode || "standard",
             });
 
@@ -347,6 +460,88 @@ class ReviewAnalyzer {
         }
     }
 
+    /**
+     * レビュー収集を停止し、収集済みのレビューで分析を続行する
+     */
+    cancelSampling() {
+        if (this.dataExtractor) {
+            this.dataExtractor.cancelSampling();
+        }
+    }
+
+    /**
+     * 分析結果キャッシュが有効か判定
+     * @returns {boolean} - キャッシュを使う場合true
+     */
+    isCacheEnabled() {
+        return this.config.FEATURE_FLAGS.CACHE_OPTIMIZATION === true;
+    }
+
+    /**
+     * キャッシュした分析結果があれば表示（レビューごとのバッジと絞り込みを含む）
+     * @param {string} placeKey - 場所のキー
+     * @param {Object} settings - 分析設定
+     * @returns {Promise<string>} - "fresh"（再分析不要）| "stale"（表示したが再分析が必要）| "miss"
+     */
+    async displayCachedResult(placeKey, settings) {
+        try {
+            const response = await this.communication.sendMessage({
+                type: this.constants.MESSAGE_TYPES.GET_CACHED_RESULT,
+                placeKey,
+            });
+            const cached = response?.data;
+            if (!cached) return "miss";
+
+            // レビュー数か分析に影響する設定が変わっていれば再分析する
+            const isFresh =
+                cached.totalReviews ===
+                    this.dataExtractor.extractTotalReviews() &&
+                cached.settingsSignature ===
+                    this.config.CONFIG_UTILS.getAnalysisSettingsSignature(
+                        settings
+                    );
+
+            this.resultRenderer.displayTrustScore(
+                cached.result,
+                settings,
+                cached.placeName,
+                {
+                    cache: {
+                        cachedAt: cached.cachedAt,
+                        revalidating: !isFresh,
+                    },
+                }
+            );
+            this.resultRenderer.displayReviewBadges(
+                cached.reviewScores || [],
+                settings
+            );
+            console.log(
+                `Displayed cached result (${isFresh ? "fresh" : "stale"})`
+            );
+
+            return isFresh ? "fresh" : "stale";
+        } catch (error) {
+            console.error("Failed to load cached result:", error);
+            return "miss";
+        }
+    }
+
+    /**
+     * 分析結果をキャッシュ
+     * @param {Object} entry - キャッシュするエントリ
+     */
+    async saveCachedResult(entry) {
+        try {
+            await this.communication.sendMessage({
+                type: this.constants.MESSAGE_TYPES.SAVE_CACHED_RESULT,
+                data: entry,
+            });
+        } catch (error) {
+            console.error("Failed to cache analysis result:", error);
+        }
+    }
+
     /**
      * 分析結果を保存
      * @param {Object} data - 保存するデータ
@@ -393,9 +588,13 @@ class ReviewAnalyzer {
                 this.analysisTimeout = null;
             }
 
+            // 実行中のレビュー収集を停止
+            this.cancelSampling();
+
             // 表示要素を削除
             if (this.resultRenderer) {
                 this.resultRenderer.removeExisting();
+                this.resultRenderer.removeReviewBadges();
             }
 
             // フラグをリセット
@@ -8,6 +8,7 @@ class ScoreCalculator {
         this.settings = settings;
         this.constants = window.MRA_CONSTANTS;
         this.config = window.MRA_CONFIG;
+        this.registry = window.MRA_DETECTORS;
     }
 
     /**
@@ -15,21 +16,17 @@ class ScoreCalculator {
      * @param {Object} suspicionFactors - 疑念要因のスコア
      * @param {Array} suspiciousPatterns - 検出されたパターン
      * @param {Object} reviewData - レビューデータ
+     * @param {Array} reviewScores - レビューごとの疑わしさスコア
      * @returns {Object} - 計算結果
      */
-    calculateTrustScore(suspicionFactors, suspiciousPatterns, reviewData) {
-        // 基本スコア計算
-        const baseScore = this.calculateBaseScore(suspicionFactors);
-
-        // ボーナス・ペナルティ適用
-        const adjustedScore = this.applyAdjustments(
-            baseScore,
-            suspiciousPatterns,
-            reviewData
-        );
-
-        // 最終スコア（10-100の範囲に制限）
-        const finalScore = Math.max(10, Math.min(100, adjustedScore));
+    calculateTrustScore(
+        suspicionFactors,
+        suspiciousPatterns,
+        reviewData,
+        reviewScores = []
+    ) {
+        const { baseScore, adjustedScore, steps, finalScore } =
+            this.computeScore(suspicionFactors, suspiciousPatterns, reviewData);
 
         // 信頼度レベルを決定
         const trustLevel = this.determineTrustLevel(finalScore);
@@ -38,36 +35,180 @@ class ScoreCalculator {
         const details = this.generateScoreDetails(
             suspicionFactors,
             suspiciousPatterns,
-            reviewData
+            reviewData,
+            reviewScores
         );
 
         return {
             score: Math.round(finalScore),
             level: trustLevel,
+            verdict: this.determineVerdict(Math.round(finalScore)),
+            thresholds: this.getTrustScoreThresholds(),
             details,
             breakdown: this.createScoreBreakdown(
                 suspicionFactors,
                 baseScore,
                 adjustedScore,
-                finalScore
+                finalScore,
+                steps
             ),
         };
     }
 
     /**
-     * 基本スコアを計算（疑念要因の重み付き合計）
+     * 検出結果からスコアを算出（詳細情報は作らない）
+     * @param {Object} suspicionFactors - 疑念要因のスコア
+     * @param {Array} suspiciousPatterns - 検出されたパターン
+     * @param {Object} reviewData - レビューデータ
+     * @returns {Object} - { baseScore, adjustedScore, steps, finalScore }
+     */
+    computeScore(suspicionFactors, suspiciousPatterns, reviewData) {
+        // 基本スコア計算
+        const baseScore = this.calculateBaseScore(suspicionFactors);
+
+        // ボーナス・ペナルティ適用
+        const { score: adjustedScore, steps } = this.applyAdjustments(
+            baseScore,
+            suspiciousPatterns,
+            reviewData
+        );
+
+        // 最終スコア（10-100の範囲に制限）
+        const finalScore = Math.max(10, Math.min(100, adjustedScore));
+
+        return { baseScore, adjustedScore, steps, finalScore };
+    }
+
+    /**
+     * スコアの不確かさを推定
+     * 収集したレビューから半数を非復元抽出して検出とスコア計算をやり直し、スコアのばらつきを求める
+     * （再標本化ではスコアに影響しないレビューごとの疑わしさ（scoreReviews）は求めない）
+     * （復元抽出では同じレビューが重複し、類似レビューの検出が誤って反応するため。
+     *   半数抽出による推定量の分散は、全件を使った推定量の分散とほぼ等しい）
+     * @param {Object} reviewData - レビューデータ
+     * @param {PatternDetector} patternDetector - パターン検出器
+     * @param {number} score - 全件で求めたスコア
+     * @returns {Object} - { score, margin, lower, upper, sampleSize, iterations, inconclusive }
+     */
+    estimateScoreInterval(reviewData, patternDetector, score) {
+        const settings = this.constants.ANALYSIS_CONSTANTS.SCORE_INTERVAL;
+        const reviews = reviewData.recentReviews || [];
+        const sampleSize = reviews.length;
+
+        if (sampleSize < settings.MIN_SAMPLE) {
+            return {
+                score,
+                margin: null,
+                lower: null,
+                upper: null,
+                sampleSize,
+                iterations: 0,
+                inconclusive: true,
+            };
+        }
+
+        const random = this.createRandom(sampleSize);
+        const subsetSize = Math.ceil(sampleSize / 2);
+        const scores = [];
+
+        for (let i = 0; i < settings.ITERATIONS; i++) {
+            const subset = this.sampleWithoutReplacement(
+                reviews,
+                subsetSize,
+                random
+            );
+            const resampled = {
+                ...reviewData,
+                recentReviews: subset,
+                recentRatings: this.countRatings(subset),
+            };
+            const patterns = patternDetector.detectFactors(resampled);
+            scores.push(
+                this.computeScore(
+                    patterns.suspicionFactors,
+                    patterns.suspiciousPatterns,
+                    resampled
+                ).finalScore
+            );
+        }
+
+        const mean =
+            scores.reduce((sum, value) => sum + value, 0) / scores.length;
+        const variance =
+            scores.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+            (scores.length - 1);
+        const margin = Math.round(settings.Z_VALUE * Math.sqrt(variance));
+
+        return {
+            score,
+            margin,
+            lower: Math.max(10, score - margin),
+            upper: Math.min(100, score + margin),
+            sampleSize,
+            iterations: scores.length,
+            inconclusive: margin >= settings.INCONCLUSIVE_MARGIN,
+        };
+    }
+
+    /**
+     * 配列から指定件数を非復元抽出（部分的なFisher-Yatesシャッフル）
+     * @param {Array} items - 元の配列
+     * @param {number} count - 抽出件数
+     * @param {Function} random - 0以上1未満の乱数を返す関数
+     * @returns {Array} - 抽出した要素（元の順序を保つ）
+     */
+    sampleWithoutReplacement(items, count, random) {
+        const indexes = items.map((_, i) => i);
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(random() * (indexes.length - i));
+            [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+        }
+
+        return indexes
+            .slice(0, count)
+            .sort((a, b) => a - b)
+            .map((i) => items[i]);
+    }
+
+    /**
+     * 再現可能な乱数列を作成（同じデータなら同じ区間になるよう件数から初期化）
+     * @param {number} seed - シード値
+     * @returns {Function} - 0以上1未満の乱数を返す関数
+     */
+    createRandom(seed) {
+        let state = (0x9e3779b9 ^ seed) >>> 0;
+        return () => {
+            state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+            return state / 0x100000000;
+        };
+    }
+
+    /**
+     * レビューの星評価ごとの件数を集計
+     * @param {Array} reviews - レビュー
+     * @returns {Object} - 評価分布（星ごとの件数）
+     */
+    countRatings(reviews) {
+        const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        reviews.forEach((review) => {
+            if (histogram.hasOwnProperty(review.rating)) {
+                histogram[review.rating]++;
+            }
+        });
+        return histogram;
+    }
+
+    /**
+     * 基本スコアを計算（疑念要因の合計）
+     * 重みと上限（maxScore）は各検出器がスコアを返す時点で適用済みのため、ここでは掛けない
      * @param {Object} suspicionFactors - 疑念要因
      * @returns {number} - 基本スコア
      */
     calculateBaseScore(suspicionFactors) {
         let totalSuspicion = 0;
-        const weights = this.config.ANALYSIS_WEIGHTS;
 
-        // 各要因に重みを適用して合計
-        Object.keys(suspicionFactors).forEach((factor) => {
-            const value = suspicionFactors[factor] || 0;
-            const weight = weights[factor]?.weight || 1.0;
-            totalSuspicion += value * weight;
+        this.registry.list().forEach((detector) => {
+            totalSuspicion += suspicionFactors[detector.id] || 0;
         });
 
         // 100から減算して信頼度スコアに変換
@@ -76,154 +217,497 @@ class ScoreCalculator {
 
     /**
      * 追加の調整を適用
+     * 各調整は { score, kind, value, reason } を返し、内訳の表示用に適用順に記録する
      * @param {number} baseScore - 基本スコア
      * @param {Array} suspiciousPatterns - 疑わしいパターン
      * @param {Object} reviewData - レビューデータ
-     * @returns {number} - 調整後スコア
+     * @returns {Object} - { score: 調整後スコア, steps: 調整の記録 }
      */
     applyAdjustments(baseScore, suspiciousPatterns, reviewData) {
-        let adjustedScore = baseScore;
+        const adjustments = [
+            // レビュー数による調整
+            [
+                "reviewCount",
+                (score) => this.adjustForReviewCount(score, reviewData),
+            ],
+            // パターンの重要度による調整
+            [
+                "patternSeverity",
+                (score) =>
+                    this.adjustForPatternSeverity(score, suspiciousPatterns),
+            ],
+            // 評価分布の自然性による調整
+            [
+                "ratingNaturalness",
+                (score) => this.adjustForRatingNaturalness(score, reviewData),
+            ],
+            // 分析モードによる調整
+            ["analysisMode", (score) => this.adjustForAnalysisMode(score)],
+        ];
 
-        // レビュー数による調整
-        adjustedScore = this.adjustForReviewCount(adjustedScore, reviewData);
-
-        // パターンの重要度による調整
-        adjustedScore = this.adjustForPatternSeverity(
-            adjustedScore,
-            suspiciousPatterns
-        );
+        let adjustedScore = baseScore;
+        const steps = [];
+
+        adjustments.forEach(([type, adjust]) => {
+            const before = adjustedScore;
+            const result = adjust(before);
+            adjustedScore = result.score;
+            steps.push({
+                type,
+                label: this.getAdjustmentLabel(type),
+                kind: result.kind,
+                value: result.value,
+                reason: result.reason,
+                before,
+                after: adjustedScore,
+            });
+        });
 
-        // 評価分布の自然性による調整
-        adjustedScore = this.adjustForRatingNaturalness(
-            adjustedScore,
-            reviewData
-        );
+        return { score: adjustedScore, steps };
+    }
 
-        // 分析モードによる調整
-        adjustedScore = this.adjustForAnalysisMode(adjustedScore);
+    /**
+     * 調整の名前を取得
+     * @param {string} type - 調整の種類
+     * @returns {string} - 名前
+     */
+    getAdjustmentLabel(type) {
+        const labels = {
+            reviewCount: "レビュー数",
+            patternSeverity: "パターンの重要度",
+            ratingNaturalness: "評価分布の自然さ",
+            analysisMode: "分析モード",
+        };
 
-        return adjustedScore;
+        return labels[type] || type;
     }
 
     /**
      * レビュー数による信頼性調整
      * @param {number} score - 現在のスコア
      * @param {Object} reviewData - レビューデータ
-     * @returns {number} - 調整後スコア
+     * @returns {Object} - 調整結果 { score, kind, value, reason }
      */
     adjustForReviewCount(score, reviewData) {
         const totalReviews = reviewData.totalReviews || 0;
 
         // レビュー数が少ない場合は信頼性を下げる
         if (totalReviews < 10) {
-            return score * 0.9; // 10%減点
+            return this.multiplyScore(
+                score,
+                0.9, // 10%減点
+                `レビューが${totalReviews}件と少ないため減点`
+            );
         } else if (totalReviews < 5) {
-            return score * 0.8; // 20%減点
+            return this.multiplyScore(
+                score,
+                0.8, // 20%減点
+                `レビューが${totalReviews}件と非常に少ないため減点`
+            );
         }
 
         // レビュー数が多い場合はボーナス
         if (totalReviews > 100) {
-            return Math.min(score * 1.05, 100); // 5%ボーナス（上限100）
+            return this.multiplyScore(
+                score,
+                1.05, // 5%ボーナス（上限100）
+                `レビューが${totalReviews}件と十分にあるため加点`
+            );
         }
 
-        return score;
+        return this.multiplyScore(
+            score,
+            1,
+            `レビュー数（${totalReviews}件）による調整なし`
+        );
     }
 
     /**
      * パターンの重要度による調整
      * @param {number} score - 現在のスコア
      * @param {Array} suspiciousPatterns - 疑わしいパターン
-     * @returns {number} - 調整後スコア
+     * @returns {Object} - 調整結果 { score, kind, value, reason }
      */
     adjustForPatternSeverity(score, suspiciousPatterns) {
         let adjustment = 0;
+        let highCount = 0;
+        let mediumCount = 0;
 
         suspiciousPatterns.forEach((pattern) => {
             switch (pattern.severity) {
                 case this.constants.SEVERITY_LEVELS.HIGH:
                     adjustment -= 5; // 高重要度パターンで追加減点
+                    highCount++;
                     break;
                 case this.constants.SEVERITY_LEVELS.MEDIUM:
                     adjustment -= 2; // 中重要度パターンで軽微な減点
+                    mediumCount++;
                     break;
                 // 低重要度は追加調整なし
             }
         });
 
-        return score + adjustment;
+        const counts = [];
+        if (highCount > 0) counts.push(`重要度「高」${highCount}件（各-5）`);
+        if (mediumCount > 0)
+            counts.push(`重要度「中」${mediumCount}件（各-2）`);
+
+        return {
+            score: score + adjustment,
+            kind: "delta",
+            value: adjustment,
+            reason:
+                counts.length > 0
+                    ? `${counts.join("・")}のパターンを検出`
+                    : "重要度の高いパターンはありません",
+        };
     }
 
     /**
      * 評価分布の自然性による調整
+     * 同程度の平均評価の店舗の分布から有意に外れている場合は、外れ方の強さに応じて減点する
      * @param {number} score - 現在のスコア
      * @param {Object} reviewData - レビューデータ
-     * @returns {number} - 調整後スコア
+     * @returns {Object} - 調整結果 { score, kind, value, reason }
      */
     adjustForRatingNaturalness(score, reviewData) {
-        const { ratings, totalReviews } = reviewData;
-
-        if (totalReviews < 5) return score;
-
-        // 正規分布に近い場合はボーナス
-        const naturalness = this.calculateRatingNaturalness(
-            ratings,
-            totalReviews
-        );
+        const fit = this.testRatingDistribution(reviewData.ratings);
+        if (!fit) {
+            return this.multiplyScore(
+                score,
+                1,
+                "評価の件数が少ないため判定していません"
+            );
+        }
 
-        if (naturalness > 0.8) {
-            return Math.min(score * 1.03, 100); // 3%ボーナス
-        } else if (naturalness < 0.3) {
-            return score * 0.95; // 5%減点
+        const constants = this.constants.ANALYSIS_CONSTANTS;
+        const pValue = `p=${fit.pValue.toFixed(3)}`;
+
+        if (fit.pValue >= constants.RATING_FIT_NATURAL_P_VALUE) {
+            return this.multiplyScore(
+                score,
+                1.03, // 3%ボーナス
+                `評価分布が同程度の店舗と似ているため加点（${pValue}）`
+            );
+        } else if (fit.pValue < constants.RATING_FIT_SIGNIFICANCE) {
+            return this.multiplyScore(
+                score,
+                1 - constants.RATING_FIT_MAX_PENALTY * fit.strength,
+                `評価分布が同程度の店舗から外れているため減点（${pValue}）`
+            );
         }
 
-        return score;
+        return this.multiplyScore(
+            score,
+            1,
+            `評価分布に目立った偏りはありません（${pValue}）`
+        );
     }
 
     /**
      * 分析モードによる調整
      * @param {number} score - 現在のスコア
-     * @returns {number} - 調整後スコア
+     * @returns {Object} - 調整結果 { score, kind, value, reason }
      */
     adjustForAnalysisMode(score) {
         const mode = this.settings.analysisMode || "standard";
 
         switch (mode) {
             case this.constants.ANALYSIS_MODES.STRICT:
-                return score * 0.95; // 厳格モードでは5%減点
+                // 厳格モードでは5%減点
+                return this.multiplyScore(score, 0.95, "厳格モードのため減点");
             case this.constants.ANALYSIS_MODES.LENIENT:
-                return Math.min(score * 1.05, 100); // 寛容モードでは5%ボーナス
+                // 寛容モードでは5%ボーナス
+                return this.multiplyScore(score, 1.05, "寛容モードのため加点");
             default:
-                return score; // 標準モードは調整なし
+                // 標準モードは調整なし
+                return this.multiplyScore(score, 1, "標準モードのため調整なし");
+        }
+    }
+
+    /**
+     * スコアに倍率を掛けた調整結果を作成（加点の場合は100を上限とする）
+     * @param {number} score - 現在のスコア
+     * @param {number} multiplier - 倍率
+     * @param {string} reason - 理由
+     * @returns {Object} - 調整結果 { score, kind, value, reason }
+     */
+    multiplyScore(score, multiplier, reason) {
+        const adjusted = score * multiplier;
+
+        return {
+            score: multiplier > 1 ? Math.min(adjusted, 100) : adjusted,
+            kind: "multiplier",
+            value: multiplier,
+            reason,
+        };
+    }
+
+    /**
+     * 評価分布の適合度を検定（G検定 = KLダイバージェンスに基づく尤度比検定）
+     * 参照分布は対象の平均評価とレビュー件数に合わせて RATING_REFERENCE_DISTRIBUTIONS を混合して作る
+     * @param {Object} ratings - 評価分布（星ごとの件数）
+     * @returns {Object|null} - 検定結果（件数が少ない場合はnull）
+     */
+    testRatingDistribution(ratings = {}) {
+        const constants = this.constants.ANALYSIS_CONSTANTS;
+
+        let count = 0;
+        let sum = 0;
+        for (let star = 1; star <= 5; star++) {
+            count += ratings[star] || 0;
+            sum += star * (ratings[star] || 0);
+        }
+
+        if (count < constants.RATING_FIT_MIN_REVIEWS) return null;
+
+        const average = sum / count;
+        const reference = this.buildReferenceDistribution(average, count);
+
+        const observed = {};
+        let klDivergence = 0;
+        for (let star = 1; star <= 5; star++) {
+            observed[star] = (ratings[star] || 0) / count;
+            if (observed[star] > 0) {
+                klDivergence +=
+                    observed[star] * Math.log(observed[star] / reference[star]);
+            }
+        }
+
+        // 平均評価を参照分布の選択に使っているため自由度は 5 - 1 - 1
+        const effectiveCount = Math.min(
+            count,
+            constants.RATING_FIT_EFFECTIVE_SAMPLE
+        );
+        const statistic = 2 * effectiveCount * klDivergence;
+        const degreesOfFreedom = 3;
+        const pValue = this.calculateChiSquareSurvival(
+            statistic,
+            degreesOfFreedom
+        );
+
+        return {
+            average,
+            reviewCount: count,
+            effectiveCount,
+            observed,
+            reference,
+            klDivergence,
+            statistic,
+            degreesOfFreedom,
+            pValue,
+            // 分布の外れ方の強さ（0-1）: p値が有意水準のとき0、その1/1000以下で1
+            strength: Math.min(
+                1,
+                Math.max(
+                    0,
+                    Math.log10(
+                        constants.RATING_FIT_SIGNIFICANCE /
+                            Math.max(pValue, 1e-12)
+                    ) / 3
+                )
+            ),
+        };
+    }
+
+    /**
+     * 平均評価とレビュー件数に合わせた参照分布を作成
+     * 件数のプロファイルごとに平均評価で補間した分布を作り、件数の対数で線形に混合する
+     * （どちらの分布も平均が対象の平均評価に一致するため、混合後も平均は変わらない）
+     * @param {number} average - 平均評価
+     * @param {number} reviewCount - レビュー件数
+     * @returns {Object} - 星ごとの比率
+     */
+    buildReferenceDistribution(average, reviewCount) {
+        const profiles = [...this.config.RATING_REFERENCE_DISTRIBUTIONS].sort(
+            (a, b) => a.reviewCount - b.reviewCount
+        );
+
+        let lower = profiles[0];
+        let upper = profiles[profiles.length - 1];
+        for (let i = 0; i < profiles.length - 1; i++) {
+            if (
+                reviewCount >= profiles[i].reviewCount &&
+                reviewCount <= profiles[i + 1].reviewCount
+            ) {
+                lower = profiles[i];
+                upper = profiles[i + 1];
+                break;
+            }
+        }
+
+        // プロファイルの範囲外は端のプロファイルを使う
+        let t = 0;
+        if (reviewCount >= upper.reviewCount) {
+            t = 1;
+        } else if (
+            upper.reviewCount > lower.reviewCount &&
+            reviewCount > lower.reviewCount
+        ) {
+            t =
+                Math.log(reviewCount / lower.reviewCount) /
+                Math.log(upper.reviewCount / lower.reviewCount);
         }
+
+        const lowerReference = this.interpolateByAverage(
+            lower.distributions,
+            average
+        );
+        const upperReference = this.interpolateByAverage(
+            upper.distributions,
+            average
+        );
+
+        const reference = {};
+        for (let star = 1; star <= 5; star++) {
+            reference[star] =
+                lowerReference[star] * (1 - t) + upperReference[star] * t;
+        }
+        return reference;
     }
 
     /**
-     * 評価分布の自然性を計算
-     * @param {Object} ratings - 評価分布
-     * @param {number} totalReviews - 総レビュー数
-     * @returns {number} - 自然性スコア (0-1)
+     * 平均評価に合わせて参照分布を補間
+     * 平均がその値を挟む2つの参照分布を線形に混合する（混合分布の平均は平均の線形補間になる）
+     * @param {Array<Object>} distributions - 平均評価の異なる参照分布
+     * @param {number} average - 平均評価
+     * @returns {Object} - 星ごとの比率
      */
-    calculateRatingNaturalness(ratings, totalReviews) {
-        if (totalReviews === 0) return 0;
+    interpolateByAverage(distributions, average) {
+        const meanOf = (distribution) =>
+            [1, 2, 3, 4, 5].reduce(
+                (total, star) => total + star * distribution[star],
+                0
+            );
+        const references = distributions
+            .map((distribution) => ({
+                distribution,
+                mean: meanOf(distribution),
+            }))
+            .sort((a, b) => a.mean - b.mean);
+
+        let lower = references[0];
+        let upper = references[references.length - 1];
+        for (let i = 0; i < references.length - 1; i++) {
+            if (
+                average >= references[i].mean &&
+                average <= references[i + 1].mean
+            ) {
+                lower = references[i];
+                upper = references[i + 1];
+                break;
+            }
+        }
 
-        // 各評価の比率を計算
-        const ratios = {};
-        for (let i = 1; i <= 5; i++) {
-            ratios[i] = (ratings[i] || 0) / totalReviews;
+        // 参照分布の範囲外は端の分布を使う
+        let t = 0;
+        if (average >= upper.mean) {
+            t = 1;
+        } else if (upper.mean > lower.mean && average > lower.mean) {
+            t = (average - lower.mean) / (upper.mean - lower.mean);
         }
 
-        // 理想的な分布と比較（4.0-4.5星の店舗を想定）
-        const idealRatios = { 1: 0.05, 2: 0.05, 3: 0.15, 4: 0.35, 5: 0.4 };
+        const reference = {};
+        for (let star = 1; star <= 5; star++) {
+            reference[star] =
+                lower.distribution[star] * (1 - t) +
+                upper.distribution[star] * t;
+        }
+        return reference;
+    }
+
+    /**
+     * カイ二乗分布の上側確率（p値）を計算
+     * @param {number} x - 検定統計量
+     * @param {number} degreesOfFreedom - 自由度
+     * @returns {number} - P(X >= x)
+     */
+    calculateChiSquareSurvival(x, degreesOfFreedom) {
+        if (x <= 0) return 1;
+        return 1 - this.calculateRegularizedGamma(degreesOfFreedom / 2, x / 2);
+    }
+
+    /**
+     * 正則化された下側不完全ガンマ関数 P(a, x)
+     * x < a + 1 では級数展開、それ以外は連分数展開で計算する
+     * @param {number} a - 形状パラメータ
+     * @param {number} x - 値
+     * @returns {number} - P(a, x)
+     */
+    calculateRegularizedGamma(a, x) {
+        const maxIterations = 200;
+        const epsilon = 1e-12;
+        const logPrefix = a * Math.log(x) - x - this.logGamma(a);
+
+        if (x < a + 1) {
+            let term = 1 / a;
+            let total = term;
+            for (let n = 1; n < maxIterations; n++) {
+                term *= x / (a + n);
+                total += term;
+                if (Math.abs(term) < Math.abs(total) * epsilon) break;
+            }
+            return Math.min(1, total * Math.exp(logPrefix));
+        }
 
-        // 差の二乗和を計算
-        let totalDifference = 0;
-        for (let i = 1; i <= 5; i++) {
-            const difference = Math.abs(ratios[i] - idealRatios[i]);
-            totalDifference += difference * difference;
+        // Lentz法による連分数展開で Q(a, x) を求める
+        let b = x + 1 - a;
+        let c = 1 / 1e-300;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < maxIterations; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = b + an / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < epsilon) break;
         }
+        return Math.max(0, 1 - Math.exp(logPrefix) * h);
+    }
 
-        // 自然性スコアを計算（差が小さいほど高スコア）
-        return Math.max(0, 1 - Math.sqrt(totalDifference));
+    /**
+     * ガンマ関数の自然対数（Lanczos近似）
+     * @param {number} z - 正の値
+     * @returns {number} - ln Γ(z)
+     */
+    logGamma(z) {
+        const coefficients = [
+            76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+        ];
+        let y = z;
+        const tmp = z + 5.5 - (z + 0.5) * Math.log(z + 5.5);
+        let series = 1.000000000190015;
+        for (const coefficient of coefficients) {
+            series += coefficient / ++y;
+        }
+        return -tmp + Math.log((2.5066282746310005 * series) / z);
+    }
+
+    /**
+     * 信頼度レベルの境界を取得
+     * scaleTrustLevels が有効なら、境界を疑念閾値（suspicionThreshold）に合わせて伸縮する
+     * @returns {Object} - { HIGH, MEDIUM, LOW }
+     */
+    getTrustScoreThresholds() {
+        const thresholds = this.constants.TRUST_SCORE_THRESHOLDS;
+
+        if (
+            this.settings.scaleTrustLevels === false ||
+            typeof this.settings.suspicionThreshold !== "number"
+        ) {
+            return { ...thresholds };
+        }
+
+        return this.config.CONFIG_UTILS.scaleTrustScoreThresholds(
+            thresholds,
+            this.settings.suspicionThreshold
+        );
     }
 
     /**
@@ -232,7 +716,7 @@ class ScoreCalculator {
      * @returns {string} - 信頼度レベル
      */
     determineTrustLevel(score) {
-        const thresholds = this.constants.TRUST_SCORE_THRESHOLDS;
+        const thresholds = this.getTrustScoreThresholds();
 
         if (score >= thresholds.HIGH) {
             return "high";
@@ -245,14 +729,33 @@ class ScoreCalculator {
         }
     }
 
+    /**
+     * 疑念閾値（suspicionThreshold）に基づく判定を決定
+     * @param {number} score - 信頼度スコア
+     * @returns {Object} - { key, label, color, suspicion, threshold }
+     */
+    determineVerdict(score) {
+        return this.config.CONFIG_UTILS.getVerdict(
+            score,
+            this.settings.suspicionThreshold ??
+                this.config.DEFAULT_SETTINGS.settings.suspicionThreshold
+        );
+    }
+
     /**
      * スコア詳細情報を生成
      * @param {Object} suspicionFactors - 疑念要因
      * @param {Array} suspiciousPatterns - 疑わしいパターン
      * @param {Object} reviewData - レビューデータ
+     * @param {Array} reviewScores - レビューごとの疑わしさスコア
      * @returns {Object} - 詳細情報
      */
-    generateScoreDetails(suspicionFactors, suspiciousPatterns, reviewData) {
+    generateScoreDetails(
+        suspicionFactors,
+        suspiciousPatterns,
+        reviewData,
+        reviewScores = []
+    ) {
         const details = {
             totalReviews: reviewData.totalReviews || 0,
             analysisMode: this.settings.analysisMode || "standard",
@@ -260,6 +763,18 @@ class ScoreCalculator {
             mainConcerns: [],
             positiveFactors: [],
             recommendations: [],
+            category: {
+                name: reviewData.category?.name || null,
+                ...this.config.CONFIG_UTILS.getCategoryBaseline(
+                    reviewData.category?.key
+                ),
+            },
+            ownerReplies: this.calculateReplyCoverage(reviewData),
+            ratingDistribution: this.testRatingDistribution(reviewData.ratings),
+            adjustedRating: this.calculateAdjustedRating(
+                reviewData,
+                reviewScores
+            ),
         };
 
         // 主な懸念事項を特定
@@ -283,6 +798,156 @@ class ScoreCalculator {
         return details;
     }
 
+    /**
+     * オーナー返信の付いたレビューの割合を計算
+     * @param {Object} reviewData - レビューデータ
+     * @returns {Object|null} - 返信率（サンプルがない場合はnull）
+     */
+    calculateReplyCoverage(reviewData) {
+        const reviews = reviewData.recentReviews || [];
+        if (reviews.length === 0) return null;
+
+        const coverageOf = (subset) => {
+            if (subset.length === 0) return null;
+            const replied = subset.filter(
+                (review) => review.ownerResponse
+            ).length;
+            return replied / subset.length;
+        };
+
+        const repliedCount = reviews.filter(
+            (review) => review.ownerResponse
+        ).length;
+
+        return {
+            repliedCount,
+            sampleCount: reviews.length,
+            coverage: repliedCount / reviews.length,
+            negativeCoverage: coverageOf(
+                reviews.filter((review) => review.rating && review.rating <= 2)
+            ),
+            positiveCoverage: coverageOf(
+                reviews.filter((review) => review.rating >= 4)
+            ),
+        };
+    }
+
+    /**
+     * 疑わしいレビューを除いた補正後の平均評価と評価分布を計算
+     * 疑念閾値を超えるレビューは除外し、それ以外は疑わしさに応じて重みを下げる。
+     * サンプルから星ごとの残存率を求め、Google Mapsの評価分布全体に適用する
+     * 重みを下げたレビューがなければ補正後の評価は表示中の評価と一致する
+     * @param {Object} reviewData - レビューデータ
+     * @param {Array} reviewScores - レビューごとの疑わしさスコア
+     * @returns {Object|null} - 補正結果（星評価付きレビューが少ない場合はnull）
+     */
+    calculateAdjustedRating(reviewData, reviewScores = []) {
+        const reviews = reviewData.recentReviews || [];
+        const threshold =
+            typeof this.settings.suspicionThreshold === "number"
+                ? this.settings.suspicionThreshold
+                : this.config.DEFAULT_SETTINGS.settings.suspicionThreshold;
+
+        const sample = {};
+        for (let star = 1; star <= 5; star++) {
+            sample[star] = { count: 0, weight: 0 };
+        }
+
+        let ratedCount = 0;
+        let retainedWeight = 0;
+        let excludedCount = 0;
+        let downweightedCount = 0;
+
+        reviews.forEach((review, index) => {
+            const star = Math.round(review.rating);
+            if (!(star >= 1 && star <= 5)) return;
+
+            const score = reviewScores[index]?.score || 0;
+            const weight = score > threshold ? 0 : 1 - score / 100;
+            if (weight === 0) {
+                excludedCount++;
+            } else if (weight < 1) {
+                downweightedCount++;
+            }
+
+            sample[star].count++;
+            sample[star].weight += weight;
+            ratedCount++;
+            retainedWeight += weight;
+        });
+
+        if (
+            ratedCount <
+            this.constants.ANALYSIS_CONSTANTS.ADJUSTED_RATING_MIN_SAMPLE
+        ) {
+            return null;
+        }
+
+        // 評価分布が取得できない場合はサンプルの件数を基にする
+        const ratings = reviewData.ratings || {};
+        const hasDistribution = [1, 2, 3, 4, 5].some(
+            (star) => ratings[star] > 0
+        );
+        const baseHistogram = {};
+        for (let star = 1; star <= 5; star++) {
+            baseHistogram[star] = hasDistribution
+                ? ratings[star] || 0
+                : sample[star].count;
+        }
+
+        // 星ごとの件数が少ないと残存率が極端になるため、全体の残存率に寄せる
+        const overallRetention = retainedWeight / ratedCount;
+        const priorWeight =
+            this.constants.ANALYSIS_CONSTANTS.ADJUSTED_RATING_PRIOR_WEIGHT;
+        const histogram = {};
+        let adjustedTotal = 0;
+        let adjustedSum = 0;
+        let baseTotal = 0;
+        let baseSum = 0;
+
+        for (let star = 1; star <= 5; star++) {
+            const retention =
+                (sample[star].weight + overallRetention * priorWeight) /
+                (sample[star].count + priorWeight);
+            const adjustedCount = baseHistogram[star] * retention;
+
+            histogram[star] = Math.round(adjustedCount);
+            adjustedTotal += adjustedCount;
+            adjustedSum += star * adjustedCount;
+            baseTotal += baseHistogram[star];
+            baseSum += star * baseHistogram[star];
+        }
+
+        if (adjustedTotal === 0 || baseTotal === 0) return null;
+
+        // 補正量は補正前後の評価分布の平均の差とし、表示中の評価に加える
+        // （Google Mapsの表示は丸められているため、分布の平均と直接比べると
+        // 何も補正していなくても±0.1の差が出る）
+        const round = (value) => Math.round(value * 10) / 10;
+        const baseRating = baseSum / baseTotal;
+        const displayedRating =
+            typeof reviewData.displayedRating === "number"
+                ? reviewData.displayedRating
+                : round(baseRating);
+        const shift = adjustedSum / adjustedTotal - baseRating;
+        const adjustedRating = round(
+            Math.min(5, Math.max(1, displayedRating + shift))
+        );
+
+        return {
+            displayedRating,
+            adjustedRating,
+            difference: round(adjustedRating - displayedRating),
+            histogram,
+            originalHistogram: baseHistogram,
+            threshold,
+            ratedCount,
+            excludedCount,
+            downweightedCount,
+            basis: hasDistribution ? "distribution" : "sample",
+        };
+    }
+
     /**
      * 主な懸念事項を特定
      * @param {Array} suspiciousPatterns - 疑わしいパターン
@@ -349,15 +1014,57 @@ class ScoreCalculator {
             });
         }
 
-        // 評価分布の自然性
-        const naturalness = this.calculateRatingNaturalness(
-            reviewData.ratings,
-            reviewData.totalReviews
-        );
-        if (naturalness > 0.7) {
+        // 評価分布の自然性（同程度の平均評価の店舗と比較）
+        const fit = this.testRatingDistribution(reviewData.ratings);
+        if (
+            fit &&
+            fit.pValue >=
+                this.constants.ANALYSIS_CONSTANTS.RATING_FIT_NATURAL_P_VALUE
+        ) {
             positives.push({
                 type: "natural_distribution",
-                description: "評価分布が自然なパターンを示しています",
+                description:
+                    "評価分布が同程度の評価の店舗と比べて自然なパターンを示しています",
+            });
+        }
+
+        // 写真付きレビューの比率がカテゴリの標準以上
+        const reviews = reviewData.recentReviews || [];
+        if (
+            reviews.length >=
+            this.constants.ANALYSIS_CONSTANTS.MIN_RATED_REVIEWS
+        ) {
+            const baseline = this.config.CONFIG_UTILS.getCategoryBaseline(
+                reviewData.category?.key
+            );
+            const photoRatio =
+                reviews.filter((review) => review.hasPhotos).length /
+                reviews.length;
+            if (photoRatio >= baseline.EXPECTED_PHOTO_RATIO) {
+                positives.push({
+                    type: "photo_reviews",
+                    description: `写真付きレビューが${Math.round(
+                        photoRatio * 100
+                    )}%あり、${baseline.label}として標準的な水準です`,
+                });
+            }
+        }
+
+        // 最近のレビューの星評価が全体の分布と一致している
+        const recentRated = Object.values(
+            reviewData.recentRatings || {}
+        ).reduce((sum, count) => sum + count, 0);
+        const hasRatingShift = suspiciousPatterns.some(
+            (p) => p.type === this.constants.PATTERN_TYPES.RATING_SHIFT
+        );
+        if (
+            recentRated >=
+                this.constants.ANALYSIS_CONSTANTS.MIN_RATED_REVIEWS &&
+            !hasRatingShift
+        ) {
+            positives.push({
+                type: "consistent_recent_ratings",
+                description: `最近のレビュー${recentRated}件の評価が全体の分布と一致しています`,
             });
         }
 
@@ -410,56 +1117,59 @@ class ScoreCalculator {
      * @param {number} baseScore - 基本スコア
      * @param {number} adjustedScore - 調整後スコア
      * @param {number} finalScore - 最終スコア
+     * @param {Array} steps - 調整の記録（applyAdjustmentsの結果）
      * @returns {Object} - スコア内訳
      */
     createScoreBreakdown(
         suspicionFactors,
         baseScore,
         adjustedScore,
-        finalScore
+        finalScore,
+        steps = []
     ) {
+        const round = (value) => Math.round(value * 10) / 10;
+
         return {
             suspicionFactors: { ...suspicionFactors },
+            baseline: 100,
+            deductions: this.createDeductions(suspicionFactors),
             baseScore: Math.round(baseScore),
+            steps: steps.map((step) => ({
+                ...step,
+                before: round(step.before),
+                after: round(step.after),
+            })),
             adjustedScore: Math.round(adjustedScore),
+            clamped: finalScore !== adjustedScore,
             finalScore: Math.round(finalScore),
             adjustments: Math.round(adjustedScore - baseScore),
-            confidence: this.calculateConfidence(suspicionFactors, finalScore),
         };
     }
 
     /**
-     * 信頼度を計算
+     * 検出器ごとの減点を作成（要因スコアは重み・上限を適用済みなので、そのまま減点になる）
      * @param {Object} suspicionFactors - 疑念要因
-     * @param {number} finalScore - 最終スコア
-     * @returns {number} - 信頼度 (0-1)
+     * @returns {Array<Object>} - 減点のあった検出器（登録順）
      */
-    calculateConfidence(suspicionFactors, finalScore) {
-        // スコアの極端さと疑念要因の一貫性から信頼度を計算
-        const factorCount = Object.values(suspicionFactors).filter(
-            (v) => v > 0
-        ).length;
-        const avgFactor =
-            Object.values(suspicionFactors).reduce((sum, v) => sum + v, 0) / 5;
-
-        let confidence = 0.8; // 基本信頼度
-
-        // 極端なスコアの場合は信頼度を下げる
-        if (finalScore > 90 || finalScore < 20) {
-            confidence -= 0.1;
-        }
-
-        // 多くの要因が検出された場合は信頼度を上げる
-        if (factorCount >= 3) {
-            confidence += 0.1;
-        }
-
-        // 要因の強さが一定以上の場合は信頼度を上げる
-        if (avgFactor > 20) {
-            confidence += 0.05;
-        }
-
-        return Math.max(0.5, Math.min(1.0, confidence));
+    createDeductions(suspicionFactors) {
+        return this.registry
+            .list()
+            .filter((detector) => suspicionFactors[detector.id] > 0)
+            .map((detector) => {
+                const { weight, maxScore } = this.registry.getConfig(
+                    detector.id,
+                    this.settings.advanced
+                );
+
+                return {
+                    id: detector.id,
+                    description: detector.description,
+                    weight,
+                    maxScore,
+                    deduction:
+                        Math.round(suspicionFactors[detector.id] * 10) / 10,
+                };
+            });
     }
 
     /**
@@ -468,15 +1178,7 @@ class ScoreCalculator {
      * @returns {string} - 説明文
      */
     getFactorDescription(factor) {
-        const descriptions = {
-            polarizedRatings: "極端な評価の偏り",
-            burstPosting: "短期間での集中投稿",
-            shortReviews: "極端に短いレビュー",
-            duplicatePatterns: "類似・重複レビュー",
-            newAccounts: "新規アカウントからの投稿",
-        };
-
-        return descriptions[factor] || factor;
+        return this.registry.get(factor)?.description || factor;
     }
 
     /**
@@ -486,12 +1188,13 @@ class ScoreCalculator {
      */
     getScoreColor(score) {
         const colors = this.constants.UI_CONSTANTS.COLORS;
+        const thresholds = this.getTrustScoreThresholds();
 
-        if (score >= this.constants.TRUST_SCORE_THRESHOLDS.HIGH) {
+        if (score >= thresholds.HIGH) {
             return colors.HIGH_TRUST;
-        } else if (score >= this.constants.TRUST_SCORE_THRESHOLDS.MEDIUM) {
+        } else if (score >= thresholds.MEDIUM) {
             return colors.MEDIUM_TRUST;
-        } else if (score >= this.constants.TRUST_SCORE_THRESHOLDS.LOW) {
+        } else if (score >= thresholds.LOW) {
             return colors.LOW_TRUST;
         } else {
             return colors.VERY_LOW_TRUST;
@@ -504,11 +1207,13 @@ class ScoreCalculator {
      * @returns {string} - 説明テキスト
      */
     getScoreText(score) {
-        if (score >= this.constants.TRUST_SCORE_THRESHOLDS.HIGH) {
+        const thresholds = this.getTrustScoreThresholds();
+
+        if (score >= thresholds.HIGH) {
             return "信頼度が高いです";
-        } else if (score >= this.constants.TRUST_SCORE_THRESHOLDS.MEDIUM) {
+        } else if (score >= thresholds.MEDIUM) {
             return "概ね信頼できます";
-        } else if (score >= this.constants.TRUST_SCORE_THRESHOLDS.LOW) {
+        } else if (score >= thresholds.LOW) {
             return "注意が必要です";
         } else {
             return "疑わしい要素があります";
@@ -8,6 +8,12 @@ class ResultRenderer {
         this.constants = window.MRA_CONSTANTS;
         this.config = window.MRA_CONFIG;
         this.currentElement = null;
+        this.reviewScores = new Map();
+        this.reviewObserver = null;
+        this.badgeRefreshTimer = null;
+        this.suspicionThreshold =
+            this.config.DEFAULT_SETTINGS.settings.suspicionThreshold;
+        this.hideSuspicious = false;
     }
 
     /**
@@ -15,13 +21,15 @@ class ResultRenderer {
      * @param {Object} analysisResult - 分析結果
      * @param {Object} settings - 設定
      * @param {string} placeName - 店舗名
+     * @param {Object} options - { cache: { cachedAt, revalidating } }（キャッシュした結果の場合）
      */
-    displayTrustScore(analysisResult, settings, placeName) {
+    displayTrustScore(analysisResult, settings, placeName, options = {}) {
         this.removeExisting();
         const element = this.createScoreElement(
             analysisResult,
             settings,
-            placeName
+            placeName,
+            options
         );
         const insertTarget = this.findInsertLocation();
 
@@ -72,22 +80,126 @@ class ResultRenderer {
         }
     }
 
+    /**
+     * レビュー収集の進捗を表示
+     * 既に進捗表示がある場合は件数とバーのみ更新する
+     * @param {Object} progress - 進捗情報
+     * @param {number} progress.loadedCount - 読み込み済みのレビュー数
+     * @param {number} progress.targetCount - 目標件数
+     * @param {Function} onCancel - 停止ボタン押下時のコールバック
+     */
+    displaySamplingProgress(progress, onCancel) {
+        const { loadedCount = 0, targetCount = 0 } = progress || {};
+        const percentage =
+            targetCount > 0
+                ? Math.min(100, Math.round((loadedCount / targetCount) * 100))
+                : 0;
+
+        let element = this.currentElement;
+        if (!element || !element.classList.contains("sampling")) {
+            this.removeExisting();
+            element = this.createSamplingProgressElement(onCancel);
+            const insertTarget = this.findInsertLocation();
+
+            if (!insertTarget) return;
+            insertTarget.appendChild(element);
+            this.currentElement = element;
+        }
+
+        const countText = element.querySelector(".sampling-count");
+        const progressBar = element.querySelector(".progress-bar");
+        const progressFill = element.querySelector(".progress-fill");
+
+        if (countText) {
+            countText.textContent = `${loadedCount} / ${targetCount}件`;
+        }
+        if (progressBar) {
+            progressBar.setAttribute("aria-valuenow", String(percentage));
+        }
+        if (progressFill) {
+            progressFill.style.width = `${percentage}%`;
+        }
+    }
+
+    /**
+     * キャッシュした結果の表示中に、再分析の進捗を表示
+     * @param {Object} progress - { loadedCount, targetCount }
+     */
+    displayRevalidationProgress(progress) {
+        const status = this.currentElement?.querySelector(".cache-status");
+        if (!status) return;
+
+        const { loadedCount = 0, targetCount = 0 } = progress || {};
+        status.textContent = `・最新の状態を確認中（${loadedCount} / ${targetCount}件）`;
+    }
+
+    /**
+     * レビュー収集の進捗要素を作成
+     * @param {Function} onCancel - 停止ボタン押下時のコールバック
+     * @returns {HTMLElement} - 作成された要素
+     */
+    createSamplingProgressElement(onCancel) {
+        const container = document.createElement("div");
+        container.id = this.constants.UI_CONSTANTS.ELEMENT_IDS.TRUST_SCORE;
+        container.className = "sampling";
+        container.setAttribute("role", "status");
+        container.setAttribute("aria-live", "polite");
+
+        container.innerHTML = `
+      <div class="sampling-progress">
+        <div class="sampling-header">
+          <span class="sampling-title">レビューを収集中...</span>
+          <span class="sampling-count">0件</span>
+        </div>
+        <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+          <div class="progress-fill"></div>
+        </div>
+        <button type="button" class="cancel-btn">収集を停止</button>
+      </div>
+    `;
+
+        const cancelButton = container.querySelector(".cancel-btn");
+        cancelButton.addEventListener("click", () => {
+            cancelButton.disabled = true;
+            cancelButton.textContent = "停止中...";
+            if (typeof onCancel === "function") {
+                onCancel();
+            }
+        });
+
+        return container;
+    }
+
     /**
      * スコア表示要素を作成
      * @param {Object} analysisResult - 分析結果
      * @param {Object} settings - 設定
      * @param {string} placeName - 店舗名
+     * @param {Object} options - { cache }（displayTrustScoreを参照）
      * @returns {HTMLElement} - 作成された要素
      */
-    createScoreElement(analysisResult, settings, placeName) {
+    createScoreElement(analysisResult, settings, placeName, options = {}) {
         const container = document.createElement("div");
         container.id = this.constants.UI_CONSTANTS.ELEMENT_IDS.TRUST_SCORE;
         container.setAttribute("role", "alert");
         container.setAttribute("aria-live", "polite");
 
-        const { score, level, details } = analysisResult;
-        const scoreColor = this.getScoreColor(score);
-        const scoreText = this.getScoreText(score);
+        const {
+            score,
+            level,
+            verdict,
+            thresholds,
+            details,
+            breakdown,
+            interval,
+        } = analysisResult;
+        const scoreColor = this.getScoreColor(score, thresholds);
+        const scoreText = this.getScoreText(score, thresholds);
+
+        // 疑念閾値による判定で枠の色を切り替える
+        if (verdict) {
+            container.classList.add(`verdict-${verdict.key}`);
+        }
 
         container.innerHTML = `
       <div class="score-display">
@@ -97,14 +209,26 @@ class ResultRenderer {
         <div class="score-info">
           <div class="score-title">レビュー信頼度スコア</div>
           <div class="score-description">${scoreText}</div>
+          ${this.createVerdict(verdict)}
+          ${this.createScoreInterval(interval)}
+          ${this.createCategoryLabel(details.category)}
         </div>
       </div>
-      ${this.createAnalysisDetails(details, settings)}
+      ${this.createCacheNotice(options.cache)}
+      ${this.createAdjustedRating(details.adjustedRating)}
+      ${this.createAnalysisDetails(details, settings, breakdown)}
+      ${this.createScoreExplanation(breakdown)}
       <div class="disclaimer">
         ※ 分析結果は参考値です。最終的な判断はご自身でお願いします。
       </div>
       <span class="sr-only">
-        ${placeName}の信頼度スコア: ${score}点（${scoreText}）
+        ${placeName}の信頼度スコア: ${score}点（${scoreText}${
+            verdict ? `、判定: ${verdict.label}` : ""
+        }）${
+            interval?.margin !== null && interval?.margin !== undefined
+                ? `、誤差はプラスマイナス${interval.margin}点`
+                : ""
+        }
       </span>
     `;
 
@@ -120,15 +244,19 @@ class ResultRenderer {
      * 詳細分析結果を作成
      * @param {Object} details - 詳細情報
      * @param {Object} settings - 設定
+     * @param {Object} breakdown - スコアの内訳
      * @returns {string} - HTML文字列
      */
-    createAnalysisDetails(details, settings) {
+    createAnalysisDetails(details, settings, breakdown) {
         if (!settings.showDetailedAnalysis) {
             return "";
         }
 
         if (details.patternsDetected === 0) {
-            return '<div class="positive-message">特に問題のあるパターンは検出されませんでした</div>';
+            return `
+      <div class="positive-message">特に問題のあるパターンは検出されませんでした</div>
+      ${this.createReplyCoverage(details.ownerReplies)}
+    `;
         }
 
         const patterns = details.mainConcerns
@@ -152,11 +280,283 @@ class ResultRenderer {
           <span class="expand-icon">▼</span>
         </div>
         ${patterns}
+        ${this.createDetectorScores(breakdown?.suspicionFactors)}
+        ${this.createReplyCoverage(details.ownerReplies)}
         ${this.createRecommendations(details.recommendations)}
       </div>
     `;
     }
 
+    /**
+     * 判定に使った店舗カテゴリの表示を作成
+     * @param {Object} category - カテゴリ情報（基準プロファイル）
+     * @returns {string} - HTML文字列
+     */
+    createCategoryLabel(category) {
+        if (!category || !category.name) {
+            return "";
+        }
+
+        const text =
+            category.key === "default"
+                ? `${category.name}（一般的な基準で判定）`
+                : `${category.name}（${category.label}の基準で判定）`;
+
+        return `<div class="score-category">${this.escapeHtml(text)}</div>`;
+    }
+
+    /**
+     * 疑念閾値による判定を作成
+     * @param {Object|undefined} verdict - 判定（determineVerdictの結果）
+     * @returns {string} - HTML文字列
+     */
+    createVerdict(verdict) {
+        if (!verdict) {
+            return "";
+        }
+
+        const icons = { suspicious: "⚠", caution: "⚡", trustworthy: "✓" };
+        const suspicion = Math.round(verdict.suspicion);
+        const comparison =
+            verdict.key === "suspicious"
+                ? `疑念度${suspicion}が閾値${verdict.threshold}を超えています`
+                : `疑念度${suspicion}（閾値${verdict.threshold}）`;
+
+        return `<div class="score-verdict verdict-label-${verdict.key}">${
+            icons[verdict.key] || ""
+        } ${this.escapeHtml(verdict.label)}: ${comparison}</div>`;
+    }
+
+    /**
+     * キャッシュした結果であることの表示を作成（例: 12分前の分析結果）
+     * @param {Object|undefined} cache - { cachedAt, revalidating }
+     * @returns {string} - HTML文字列
+     */
+    createCacheNotice(cache) {
+        if (!cache) {
+            return "";
+        }
+
+        const minutes = Math.max(
+            0,
+            Math.floor((Date.now() - cache.cachedAt) / 60000)
+        );
+        const age =
+            minutes < 1
+                ? "1分以内"
+                : minutes < 60
+                ? `${minutes}分前`
+                : minutes < 60 * 24
+                ? `${Math.floor(minutes / 60)}時間前`
+                : `${Math.floor(minutes / (60 * 24))}日前`;
+
+        return `<div class="cache-notice">🕒 ${age}の分析結果（キャッシュ）<span class="cache-status">${
+            cache.revalidating ? "・最新の状態を確認中…" : ""
+        }</span></div>`;
+    }
+
+    /**
+     * スコアの推定範囲を作成（例: 72 (±9)）
+     * @param {Object|undefined} interval - 推定範囲（estimateScoreIntervalの結果）
+     * @returns {string} - HTML文字列
+     */
+    createScoreInterval(interval) {
+        if (!interval) {
+            return "";
+        }
+
+        const range =
+            interval.margin !== null
+                ? `<div class="score-interval" title="95%の範囲: ${interval.lower}〜${interval.upper}（${interval.sampleSize}件のレビューを${interval.iterations}回再標本化）">${interval.score} (±${interval.margin})</div>`
+                : "";
+        let warning = "";
+        if (interval.margin === null) {
+            warning = `<div class="score-inconclusive">⚠ 収集できたレビューが${interval.sampleSize}件と少なく、結論は出せません</div>`;
+        } else if (interval.inconclusive) {
+            warning = `<div class="score-inconclusive">⚠ レビューの選び方によってスコアが±${interval.margin}点変わるため、結論は出せません</div>`;
+        }
+
+        return range + warning;
+    }
+
+    /**
+     * 補正後の平均評価の表示を作成
+     * @param {Object|null} adjusted - 補正結果
+     * @returns {string} - HTML文字列
+     */
+    createAdjustedRating(adjusted) {
+        if (!adjusted) {
+            return "";
+        }
+
+        const format = (rating) => rating.toFixed(1);
+        const difference =
+            adjusted.difference === 0
+                ? "変化なし"
+                : `${adjusted.difference > 0 ? "+" : ""}${format(
+                      adjusted.difference
+                  )}`;
+        const explanation = `疑わしさが${adjusted.threshold}を超えるレビュー${adjusted.excludedCount}件を除外し、${adjusted.downweightedCount}件は疑わしさに応じて重みを下げて再計算しました`;
+
+        return `
+      <div class="adjusted-rating">
+        <div class="rating-comparison">
+          <span class="rating-label">Googleの平均</span>
+          <span class="rating-value">★${format(adjusted.displayedRating)}</span>
+          <span class="rating-arrow">→</span>
+          <span class="rating-label">補正後</span>
+          <span class="rating-value adjusted">★${format(
+              adjusted.adjustedRating
+          )}</span>
+          <span class="rating-difference">（${difference}）</span>
+        </div>
+        <div class="rating-explanation">${this.escapeHtml(explanation)}</div>
+      </div>
+    `;
+    }
+
+    /**
+     * 検出器ごとのスコアを作成（登録済みの検出器を登録順に表示）
+     * @param {Object} suspicionFactors - 疑念要因のスコア
+     * @returns {string} - HTML文字列
+     */
+    createDetectorScores(suspicionFactors) {
+        const registry = window.MRA_DETECTORS;
+        if (!registry || !suspicionFactors) {
+            return "";
+        }
+
+        const items = registry
+            .list()
+            .filter((detector) => suspicionFactors[detector.id] > 0)
+            .map(
+                (detector) => `
+        <span class="detector-score" title="${this.escapeHtml(detector.id)}">
+          ${this.escapeHtml(detector.description)}
+          <strong>${Math.round(suspicionFactors[detector.id])}</strong>
+        </span>
+      `
+            )
+            .join("");
+
+        return items ? `<div class="detector-scores">${items}</div>` : "";
+    }
+
+    /**
+     * スコアの根拠（基準100からの減点・調整・上下限）を作成
+     * @param {Object} breakdown - スコアの内訳
+     * @returns {string} - HTML文字列
+     */
+    createScoreExplanation(breakdown) {
+        if (!breakdown || !breakdown.steps) {
+            return "";
+        }
+
+        const format = (value) =>
+            (Math.round(value * 10) / 10).toLocaleString("ja-JP");
+        const row = (value, label, note = "", className = "") => `
+        <div class="explanation-row ${className}">
+          <span class="explanation-value">${value}</span>
+          <span class="explanation-label">${this.escapeHtml(label)}${
+            note
+                ? `<span class="explanation-note">${this.escapeHtml(
+                      note
+                  )}</span>`
+                : ""
+        }</span>
+        </div>
+      `;
+
+        const deductions = breakdown.deductions.map((deduction) =>
+            row(
+                `−${format(deduction.deduction)}`,
+                deduction.description,
+                `重み${format(deduction.weight)}・上限${format(
+                    deduction.maxScore
+                )}`
+            )
+        );
+
+        const steps = breakdown.steps.map((step) =>
+            row(
+                step.kind === "delta"
+                    ? `${step.value < 0 ? "−" : "+"}${format(
+                          Math.abs(step.value)
+                      )}`
+                    : `×${step.value.toFixed(2)}`,
+                step.label,
+                `${step.reason}（${format(step.before)} → ${format(
+                    step.after
+                )}）`
+            )
+        );
+
+        const clamp = breakdown.clamped
+            ? row(
+                  "↕",
+                  "上下限",
+                  `スコアは10〜100の範囲に収めます（${format(
+                      breakdown.adjustedScore
+                  )} → ${breakdown.finalScore}）`
+              )
+            : "";
+
+        return `
+      <details class="score-explanation">
+        <summary>なぜこのスコア？</summary>
+        ${row(breakdown.baseline, "基準スコア", "", "explanation-total")}
+        ${deductions.join("")}
+        ${row(
+            `= ${format(breakdown.steps[0]?.before ?? breakdown.baseScore)}`,
+            "検出器による減点後",
+            "",
+            "explanation-total"
+        )}
+        ${steps.join("")}
+        ${clamp}
+        ${row(
+            `= ${breakdown.finalScore}`,
+            "最終スコア",
+            "",
+            "explanation-total"
+        )}
+      </details>
+    `;
+    }
+
+    /**
+     * オーナー返信率を作成
+     * @param {Object|null} coverage - 返信率情報
+     * @returns {string} - HTML文字列
+     */
+    createReplyCoverage(coverage) {
+        if (!coverage || coverage.sampleCount === 0) {
+            return "";
+        }
+
+        const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+        let text = `オーナー返信: ${coverage.sampleCount}件中${
+            coverage.repliedCount
+        }件（${percent(coverage.coverage)}）`;
+
+        if (
+            coverage.repliedCount > 0 &&
+            coverage.negativeCoverage !== null &&
+            coverage.positiveCoverage !== null
+        ) {
+            text += ` / 低評価への返信率 ${percent(
+                coverage.negativeCoverage
+            )}・高評価への返信率 ${percent(coverage.positiveCoverage)}`;
+        }
+
+        return `
+      <div class="pattern-item reply-coverage">
+        <span class="pattern-icon">💬</span>
+        <span class="pattern-description">${this.escapeHtml(text)}</span>
+      </div>
+    `;
+    }
+
     /**
      * 推奨事項を作成
      * @param {Array} recommendations - 推奨事項
@@ -317,14 +717,276 @@ class ResultRenderer {
         this.currentElement = null;
     }
 
+    /**
+     * レビュー欄の各レビューに疑わしさのバッジを表示
+     * Google Mapsがレビュー欄を再描画してもバッジと非表示状態を付け直すよう監視する
+     * @param {Array<Object>} reviewScores - レビューごとのスコア
+     * @param {Object} settings - 設定（suspicionThresholdを非表示の基準に使用）
+     */
+    displayReviewBadges(reviewScores, settings = {}) {
+        this.removeReviewBadges();
+        this.suspicionThreshold =
+            typeof settings.suspicionThreshold === "number"
+                ? settings.suspicionThreshold
+                : this.config.DEFAULT_SETTINGS.settings.suspicionThreshold;
+
+        (reviewScores || []).forEach((reviewScore) => {
+            if (reviewScore.reviewId) {
+                this.reviewScores.set(reviewScore.reviewId, reviewScore);
+            }
+        });
+
+        if (this.reviewScores.size === 0) return;
+
+        this.applyReviewBadges();
+        this.observeReviewFeed();
+        this.renderReviewFilter();
+    }
+
+    /**
+     * 疑わしいレビューを隠す切り替えをスコア表示に追加
+     */
+    renderReviewFilter() {
+        const container = this.currentElement;
+        if (!container || container.querySelector(".review-filter")) return;
+
+        const suspiciousCount = this.countSuspiciousReviews();
+        if (suspiciousCount === 0) return;
+
+        const filter = document.createElement("div");
+        filter.className = "review-filter";
+        filter.innerHTML = `
+      <label class="filter-toggle">
+        <input type="checkbox" class="filter-checkbox" />
+        疑わしいレビューを隠す（疑わしさ${this.suspicionThreshold}超）
+      </label>
+      <div class="filter-status">
+        <span class="filter-count"></span>
+        <button type="button" class="show-all-btn">すべて表示</button>
+      </div>
+    `;
+
+        filter
+            .querySelector(".filter-checkbox")
+            .addEventListener("change", (event) =>
+                this.setHideSuspicious(event.target.checked)
+            );
+        filter
+            .querySelector(".show-all-btn")
+            .addEventListener("click", () => this.setHideSuspicious(false));
+
+        const disclaimer = container.querySelector(".disclaimer");
+        container.insertBefore(filter, disclaimer);
+        this.updateReviewFilter();
+    }
+
+    /**
+     * 疑わしいレビューの非表示を切り替え
+     * @param {boolean} hide - 非表示にするかどうか
+     */
+    setHideSuspicious(hide) {
+        this.hideSuspicious = hide;
+        this.applyReviewBadges();
+        this.updateReviewFilter();
+    }
+
+    /**
+     * 切り替えのチェック状態と件数表示を更新
+     */
+    updateReviewFilter() {
+        const filter = this.currentElement?.querySelector(".review-filter");
+        if (!filter) return;
+
+        const suspiciousCount = this.countSuspiciousReviews();
+        const checkbox = filter.querySelector(".filter-checkbox");
+        const countText = filter.querySelector(".filter-count");
+        const showAllButton = filter.querySelector(".show-all-btn");
+
+        if (checkbox) checkbox.checked = this.hideSuspicious;
+        if (countText) {
+            countText.textContent = this.hideSuspicious
+                ? `${suspiciousCount}件のレビューを非表示にしています`
+                : `疑わしいレビューが${suspiciousCount}件あります`;
+        }
+        if (showAllButton) {
+            showAllButton.style.display = this.hideSuspicious ? "" : "none";
+        }
+    }
+
+    /**
+     * 疑念閾値を超えるレビュー数を数える
+     * @returns {number} - 件数
+     */
+    countSuspiciousReviews() {
+        let count = 0;
+        this.reviewScores.forEach((reviewScore) => {
+            if (this.isSuspiciousReview(reviewScore)) count++;
+        });
+        return count;
+    }
+
+    /**
+     * レビューのスコアが疑念閾値を超えるか判定（判定 getVerdict と同じく閾値ちょうどは含めない）
+     * @param {Object} reviewScore - レビューのスコア
+     * @returns {boolean} - 閾値を超える場合true
+     */
+    isSuspiciousReview(reviewScore) {
+        return reviewScore.score > this.suspicionThreshold;
+    }
+
+    /**
+     * 表示中のレビュー要素にバッジを付与し（付与済みの要素はスキップ）、
+     * 非表示の切り替え状態を反映する
+     */
+    applyReviewBadges() {
+        const { REVIEW_BADGE: badgeClass, HIDDEN_REVIEW: hiddenClass } =
+            this.constants.UI_CONSTANTS.CLASSES;
+        const elements = document.querySelectorAll(
+            this.constants.SELECTORS.GOOGLE_MAPS.REVIEW_ELEMENTS
+        );
+
+        elements.forEach((element) => {
+            try {
+                // 同じIDを持つ内側の要素（ボタンなど）は対象外
+                if (
+                    element.parentElement &&
+                    element.parentElement.closest("[data-review-id]")
+                ) {
+                    return;
+                }
+
+                const reviewScore = this.reviewScores.get(
+                    element.getAttribute("data-review-id")
+                );
+                if (!reviewScore) return;
+
+                element.classList.toggle(
+                    hiddenClass,
+                    this.hideSuspicious && this.isSuspiciousReview(reviewScore)
+                );
+
+                if (element.querySelector(`.${badgeClass}`)) return;
+
+                const badge = this.createReviewBadge(reviewScore);
+                const anchor = this.findBadgeAnchor(element);
+                if (anchor) {
+                    anchor.insertAdjacentElement("afterend", badge);
+                } else {
+                    element.appendChild(badge);
+                }
+            } catch (error) {
+                console.warn("Failed to add review badge:", error);
+            }
+        });
+    }
+
+    /**
+     * レビュー欄の変化を監視し、再描画されたレビューにバッジを付け直す
+     */
+    observeReviewFeed() {
+        if (typeof MutationObserver === "undefined") return;
+
+        const badgeClass = this.constants.UI_CONSTANTS.CLASSES.REVIEW_BADGE;
+        const target = document.querySelector('[role="main"]') || document.body;
+
+        this.reviewObserver = new MutationObserver((mutations) => {
+            // 自身が追加したバッジによる変化は無視する
+            const hasExternalChange = mutations.some((mutation) =>
+                Array.from(mutation.addedNodes).some(
+                    (node) =>
+                        node.nodeType === 1 &&
+                        !node.classList.contains(badgeClass)
+                )
+            );
+            if (!hasExternalChange) return;
+
+            clearTimeout(this.badgeRefreshTimer);
+            this.badgeRefreshTimer = setTimeout(
+                () => this.applyReviewBadges(),
+                this.constants.TIME_CONSTANTS.REVIEW_BADGE_REFRESH_DELAY
+            );
+        });
+
+        this.reviewObserver.observe(target, { childList: true, subtree: true });
+    }
+
+    /**
+     * レビューのバッジと監視を削除し、非表示にしたレビューを元に戻す
+     */
+    removeReviewBadges() {
+        if (this.reviewObserver) {
+            this.reviewObserver.disconnect();
+            this.reviewObserver = null;
+        }
+        clearTimeout(this.badgeRefreshTimer);
+        this.badgeRefreshTimer = null;
+        this.reviewScores.clear();
+
+        document
+            .querySelectorAll(
+                `.${this.constants.UI_CONSTANTS.CLASSES.REVIEW_BADGE}`
+            )
+            .forEach((badge) => badge.remove());
+        document
+            .querySelectorAll(
+                `.${this.constants.UI_CONSTANTS.CLASSES.HIDDEN_REVIEW}`
+            )
+            .forEach((element) =>
+                element.classList.remove(
+                    this.constants.UI_CONSTANTS.CLASSES.HIDDEN_REVIEW
+                )
+            );
+        this.hideSuspicious = false;
+    }
+
+    /**
+     * レビューの疑わしさバッジを作成
+     * @param {Object} reviewScore - レビューのスコアと理由
+     * @returns {HTMLElement} - バッジ要素
+     */
+    createReviewBadge(reviewScore) {
+        const { score, level, reasons } = reviewScore;
+        const badge = document.createElement("span");
+        badge.className = `${this.constants.UI_CONSTANTS.CLASSES.REVIEW_BADGE} ${level}`;
+        badge.textContent = `疑 ${score}`;
+
+        const reasonLines =
+            reasons.length > 0
+                ? reasons.map((reason) => `・${reason.description}`)
+                : ["・目立った疑わしい点はありません"];
+        const tooltip = [
+            `このレビューの疑わしさ: ${score}/100`,
+            ...reasonLines,
+        ].join("\n");
+
+        badge.title = tooltip;
+        badge.setAttribute("role", "img");
+        badge.setAttribute("aria-label", tooltip.replace(/\n/g, " "));
+
+        return badge;
+    }
+
+    /**
+     * バッジを挿入する基準要素（投稿日の表示）を探す
+     * @param {Element} element - レビュー要素
+     * @returns {Element|null} - 基準要素
+     */
+    findBadgeAnchor(element) {
+        for (const selector of this.constants.SELECTORS.GOOGLE_MAPS.DATE_INFO) {
+            const anchor = element.querySelector(selector);
+            if (anchor) return anchor;
+        }
+        return null;
+    }
+
     /**
      * スコアに対応する色を取得
      * @param {number} score - スコア
+     * @param {Object} thresholds - 信頼度レベルの境界（疑念閾値に合わせて伸縮したもの）
      * @returns {string} - 色コード
      */
-    getScoreColor(score) {
+    getScoreColor(score, thresholds = this.constants.TRUST_SCORE_THRESHOLDS) {
         const colors = this.constants.UI_CONSTANTS.COLORS;
-        const thresholds = this.constants.TRUST_SCORE_THRESHOLDS;
 
         if (score >= thresholds.HIGH) return colors.HIGH_TRUST;
         if (score >= thresholds.MEDIUM) return colors.MEDIUM_TRUST;
@@ -335,11 +997,10 @@ class ResultRenderer {
     /**
      * スコアに対応するテキストを取得
      * @param {number} score - スコア
+     * @param {Object} thresholds - 信頼度レベルの境界（疑念閾値に合わせて伸縮したもの）
      * @returns {string} - 説明テキスト
      */
-    getScoreText(score) {
-        const thresholds = this.constants.TRUST_SCORE_THRESHOLDS;
-
+    getScoreText(score, thresholds = this.constants.TRUST_SCORE_THRESHOLDS) {
         if (score >= thresholds.HIGH) return "信頼度が高いです";
         if (score >= thresholds.MEDIUM) return "概ね信頼できます";
         if (score >= thresholds.LOW) return "注意が必要です";
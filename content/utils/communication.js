@@ -113,13 +113,15 @@ class Communication {
     /**
      * 分析履歴を取得
      * @param {number} limit - 取得件数の制限
+     * @param {Object} options - { offset, placeName, url }
      * @returns {Promise<Array>} 分析履歴
      */
-    async getAnalysisHistory(limit = null) {
+    async getAnalysisHistory(limit = null, options = {}) {
         try {
             const response = await this.sendMessage({
                 type: this.constants.MESSAGE_TYPES.GET_ANALYSIS_HISTORY,
                 limit: limit,
+                ...options,
             });
             return response.data;
         } catch (error) {
@@ -142,164 +142,510 @@ class TextUtils {
 
     /**
      * 日付テキストを解析
+     * I18N_CONFIG.RELATIVE_DATE_PATTERNS に定義された全ロケールの相対日付と、
+     * 「2023年5月3日」「2023-05-03」「May 3, 2023」形式の絶対日付に対応する
+     * exact 指定時は編集済みマーカー・投稿元の表示（"on Google"）を除いたテキスト全体が日付の場合のみ解析する
+     * （本文中の「昨日行きました」「I came here yesterday」を日付とみなさない）
      * @param {string} dateText - 日付テキスト
+     * @param {number} referenceTime - 基準時刻（絶対日付の換算に使用, ms）
+     * @param {Object} options - { exact }
      * @returns {Object} 解析された日付情報
      */
-    static parseDateText(dateText) {
+    static parseDateText(
+        dateText,
+        referenceTime = Date.now(),
+        { exact = false } = {}
+    ) {
+        const unknown = {
+            isRecent: false,
+            daysAgo: null,
+            type: "unknown",
+            edited: false,
+            locale: null,
+            originalText: dateText,
+        };
+
         if (!dateText || typeof dateText !== "string") {
-            return { isRecent: false, daysAgo: null, type: "unknown" };
+            return unknown;
         }
 
-        const text = dateText.toLowerCase().trim();
+        const dateConfig =
+            window.MRA_CONFIG?.I18N_CONFIG?.RELATIVE_DATE_PATTERNS;
+        if (!dateConfig) {
+            return unknown;
+        }
 
-        // 日本語パターン
-        const jaPatterns = [
-            { pattern: /(\d+)分前/, multiplier: 1 / 1440, type: "minutes" },
-            { pattern: /(\d+)時間前/, multiplier: 1 / 24, type: "hours" },
-            { pattern: /(\d+)日前/, multiplier: 1, type: "days" },
-            { pattern: /(\d+)週間前/, multiplier: 7, type: "weeks" },
-            { pattern: /(\d+)か?月前/, multiplier: 30, type: "months" },
-            { pattern: /(\d+)年前/, multiplier: 365, type: "years" },
-        ];
+        // 「(編集済み)」「Edited」などのマーカーを取り除く
+        let text = dateText.trim();
+        let edited = false;
+        for (const marker of dateConfig.EDITED_MARKERS) {
+            if (marker.test(text)) {
+                edited = true;
+                text = text.replace(marker, " ").trim();
+            }
+        }
+        for (const marker of dateConfig.SOURCE_MARKERS || []) {
+            text = text.replace(marker, "").trim();
+        }
+
+        const createResult = (daysAgo, unit, unitDays, locale) => ({
+            isRecent: daysAgo <= 30, // 30日以内を最近とする
+            daysAgo,
+            unitDays,
+            type: unit,
+            edited,
+            locale,
+            originalText: dateText,
+        });
+
+        // 相対日付
+        for (const entry of TextUtils.getDatePatterns(dateConfig)) {
+            const match = text.match(exact ? entry.exactRegex : entry.regex);
+            if (!match) continue;
+
+            const number =
+                entry.value !== undefined
+                    ? entry.value
+                    : TextUtils.parseDateNumeral(
+                          match.slice(1).find((group) => group !== undefined),
+                          dateConfig.NUMERALS[entry.locale]
+                      );
+            if (number === null) continue;
+
+            const unitDays = dateConfig.UNIT_DAYS[entry.unit];
+            return createResult(
+                number * unitDays,
+                entry.unit,
+                unitDays,
+                entry.locale
+            );
+        }
+
+        // 絶対日付
+        const absolute = TextUtils.parseAbsoluteDate(text);
+        if (absolute && (!exact || absolute.matchedText === text)) {
+            const dayMs = 24 * 60 * 60 * 1000;
+            const unitDays =
+                absolute.unit === "months" ? dateConfig.UNIT_DAYS.months : 1;
+            const end = absolute.start + unitDays * dayMs;
+            const daysAgo = Math.max(0, (referenceTime - end) / dayMs);
+            return createResult(daysAgo, absolute.unit, unitDays, null);
+        }
+
+        return unknown;
+    }
+
+    /**
+     * 日付テキストかどうかを判定（テキスト全体が日付の場合のみtrue）
+     * @param {string} text - 判定するテキスト
+     * @returns {boolean} 日付として解析できればtrue
+     */
+    static isDateText(text) {
+        return (
+            TextUtils.parseDateText(text, Date.now(), { exact: true })
+                .daysAgo !== null
+        );
+    }
+
+    /**
+     * 相対日付パターンを正規表現にコンパイル（結果はキャッシュする）
+     * 表示言語のロケールを先頭に、SUPPORTED_LOCALES の順で並べる
+     * @param {Object} dateConfig - RELATIVE_DATE_PATTERNS
+     * @returns {Array<Object>} { locale, regex, exactRegex, unit, value } の配列
+     */
+    static getDatePatterns(dateConfig) {
+        if (TextUtils.datePatternCache) {
+            return TextUtils.datePatternCache;
+        }
+
+        const supported = window.MRA_CONFIG.I18N_CONFIG.SUPPORTED_LOCALES;
+        const preferred = TextUtils.detectLocale();
+        const locales = [
+            preferred,
+            ...supported.filter((locale) => locale !== preferred),
+        ].filter((locale) => dateConfig.LOCALES[locale]);
+
+        const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const compiled = [];
+
+        for (const locale of locales) {
+            const words = Object.keys(dateConfig.NUMERALS[locale] || {})
+                .sort((a, b) => b.length - a.length)
+                .map(escape);
+            const numberPattern = ["\\d+", ...words].join("|");
+
+            for (const { pattern, unit, value } of dateConfig.LOCALES[locale]) {
+                const source = pattern.replace(/\{n\}/g, `(${numberPattern})`);
+                compiled.push({
+                    locale,
+                    unit,
+                    value,
+                    regex: new RegExp(source, "i"),
+                    exactRegex: new RegExp(`^(?:${source})$`, "i"),
+                });
+            }
+        }
+
+        TextUtils.datePatternCache = compiled;
+        return compiled;
+    }
 
-        // 英語パターン
-        const enPatterns = [
-            {
-                pattern: /(\d+)\s*minutes?\s*ago/,
-                multiplier: 1 / 1440,
-                type: "minutes",
-            },
-            {
-                pattern: /(\d+)\s*hours?\s*ago/,
-                multiplier: 1 / 24,
-                type: "hours",
-            },
-            { pattern: /(\d+)\s*days?\s*ago/, multiplier: 1, type: "days" },
-            { pattern: /(\d+)\s*weeks?\s*ago/, multiplier: 7, type: "weeks" },
-            {
-                pattern: /(\d+)\s*months?\s*ago/,
-                multiplier: 30,
-                type: "months",
-            },
-            { pattern: /(\d+)\s*years?\s*ago/, multiplier: 365, type: "years" },
+    /**
+     * 数字または数を表す語を数値に変換
+     * @param {string|undefined} token - 数字または語（省略時は1）
+     * @param {Object} numerals - ロケールの語と数値の対応表
+     * @returns {number|null} 数値（変換できない場合null）
+     */
+    static parseDateNumeral(token, numerals = {}) {
+        if (token === undefined) return 1;
+        if (/^\d+$/.test(token)) return parseInt(token, 10);
+
+        const value = numerals[token.toLowerCase()] ?? numerals[token];
+        return typeof value === "number" ? value : null;
+    }
+
+    /**
+     * 絶対日付を解析
+     * @param {string} text - 日付テキスト
+     * @returns {Object|null} { start: 期間の開始時刻(ms), unit: "days"|"months", matchedText }
+     */
+    static parseAbsoluteDate(text) {
+        const months = [
+            "jan",
+            "feb",
+            "mar",
+            "apr",
+            "may",
+            "jun",
+            "jul",
+            "aug",
+            "sep",
+            "oct",
+            "nov",
+            "dec",
         ];
+        let match = null;
+        const build = (year, month, day) => {
+            const start = new Date(year, month - 1, day || 1).getTime();
+            return Number.isNaN(start)
+                ? null
+                : {
+                      start,
+                      unit: day ? "days" : "months",
+                      matchedText: match[0],
+                  };
+        };
+
+        match = text.match(/(\d{4})年\s*(\d{1,2})月(?:\s*(\d{1,2})日)?/);
+        if (match) {
+            return build(+match[1], +match[2], match[3] && +match[3]);
+        }
+
+        match = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+        if (match) {
+            return build(+match[1], +match[2], +match[3]);
+        }
+
+        match = text.match(
+            /\b([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/
+        );
+        if (match && months.includes(match[1].toLowerCase())) {
+            return build(
+                +match[3],
+                months.indexOf(match[1].toLowerCase()) + 1,
+                +match[2]
+            );
+        }
+
+        match = text.match(/\b(\d{1,2})\s+([A-Za-z]{3})[a-z]*\.?\s+(\d{4})\b/);
+        if (match && months.includes(match[2].toLowerCase())) {
+            return build(
+                +match[3],
+                months.indexOf(match[2].toLowerCase()) + 1,
+                +match[1]
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * 表示言語からロケールを検出
+     * @returns {string} SUPPORTED_LOCALES のいずれか
+     */
+    static detectLocale() {
+        const i18n = window.MRA_CONFIG?.I18N_CONFIG;
+        const lang = (
+            document.documentElement?.lang ||
+            navigator.language ||
+            ""
+        ).toLowerCase();
+        const locale = lang.split("-")[0];
+
+        return i18n?.SUPPORTED_LOCALES.includes(locale)
+            ? locale
+            : i18n?.DEFAULT_LOCALE || "ja";
+    }
+
+    /**
+     * レビュー本文の文字種と頻出語から言語を推定
+     * かな・ハングル・キリル文字は文字種で、かなのない漢字・ラテン文字は SENTIMENT_LEXICON の HINTS で判定し、
+     * 決め手がなければ表示言語にフォールバックする
+     * @param {string} text - 正規化済みテキスト
+     * @returns {string} SUPPORTED_LOCALES のいずれか
+     */
+    static detectTextLocale(text) {
+        const pageLocale = TextUtils.detectLocale();
 
-        const allPatterns = [...jaPatterns, ...enPatterns];
-
-        for (const { pattern, multiplier, type } of allPatterns) {
-            const match = text.match(pattern);
-            if (match) {
-                const number = parseInt(match[1]);
-                const daysAgo = number * multiplier;
-                return {
-                    isRecent: daysAgo <= 30, // 30日以内を最近とする
-                    daysAgo: daysAgo,
-                    type: type,
-                    originalText: dateText,
-                };
+        if (/[\u3040-\u30ff]/.test(text)) return "ja";
+        if (/[\uac00-\ud7af]/.test(text)) return "ko";
+        if (/\p{Script=Cyrillic}/u.test(text)) return "ru";
+
+        const lexicons =
+            window.MRA_CONFIG?.I18N_CONFIG?.SENTIMENT_LEXICON || {};
+
+        if (/\p{Script=Han}/u.test(text)) {
+            const isChinese = (lexicons.zh?.HINTS || []).some((hint) =>
+                text.includes(hint)
+            );
+            return isChinese || pageLocale !== "ja" ? "zh" : "ja";
+        }
+        const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+        let best = null;
+        let bestHits = 0;
+
+        Object.entries(lexicons).forEach(([locale, lexicon]) => {
+            if (!lexicon.HINTS || !lexicon.WORD_BOUNDARY) return;
+            const hits = words.filter((word) =>
+                lexicon.HINTS.includes(word)
+            ).length;
+            // 同数なら表示言語を優先する
+            if (
+                hits > bestHits ||
+                (hits === bestHits && hits > 0 && locale === pageLocale)
+            ) {
+                best = locale;
+                bestHits = hits;
             }
+        });
+
+        if (best) return best;
+        const page = lexicons[pageLocale];
+        return page?.HINTS && page.WORD_BOUNDARY ? pageLocale : "en";
+    }
+
+    /**
+     * 相対日付テキストから投稿日時の推定範囲を求める
+     * 「3週間前」は21〜28日前のように、表示単位の粒度ぶんの幅を持たせる
+     * @param {string} dateText - 日付テキスト
+     * @param {number} referenceTime - 基準時刻（分析実行時刻, ms）
+     * @returns {Object|null} 推定範囲 { earliest, latest, granularity }（解析できない場合null）
+     */
+    static estimateDateRange(dateText, referenceTime = Date.now()) {
+        const dateInfo = TextUtils.parseDateText(dateText, referenceTime);
+        if (dateInfo.daysAgo === null) {
+            return null;
         }
 
+        const dayMs = 24 * 60 * 60 * 1000;
+        const latest = referenceTime - dateInfo.daysAgo * dayMs;
+
         return {
-            isRecent: false,
-            daysAgo: null,
-            type: "unknown",
-            originalText: dateText,
+            earliest: Math.round(latest - dateInfo.unitDays * dayMs),
+            latest: Math.round(latest),
+            granularity: dateInfo.type,
         };
     }
 
+    /**
+     * 推定範囲全体が基準時刻から指定日数以内に収まるか判定
+     * @param {Object|null} dateRange - 推定範囲
+     * @param {number} days - 日数
+     * @param {number} referenceTime - 基準時刻（ms）
+     * @returns {boolean} 確実に期間内であればtrue
+     */
+    static isWithinDays(dateRange, days, referenceTime = Date.now()) {
+        if (!dateRange) return false;
+
+        return dateRange.earliest >= referenceTime - days * 24 * 60 * 60 * 1000;
+    }
+
     /**
      * テキストの感情を簡易分析
+     * レビューの言語（detectTextLocale）の辞書だけで照合し、
+     * 否定語・否定表現（「美味しくない」「not good」）が付いた語は極性を反転する
      * @param {string} text - 分析するテキスト
-     * @returns {Object} 感情分析結果
+     * @returns {Object} 感情分析結果 { score, type, positive, negative }
      */
     static analyzeSentiment(text) {
+        const neutral = { score: 0, type: "neutral", positive: 0, negative: 0 };
+
         if (!text || typeof text !== "string") {
-            return { score: 0, type: "neutral" };
+            return neutral;
         }
 
-        const positiveWords = [
-            // 日本語
-            "良い",
-            "いい",
-            "素晴らしい",
-            "最高",
-            "完璧",
-            "満足",
-            "おすすめ",
-            "美味しい",
-            "おいしい",
-            "快適",
-            "綺麗",
-            "きれい",
-            "親切",
-            "丁寧",
-            // 英語
-            "good",
-            "great",
-            "excellent",
-            "amazing",
-            "perfect",
-            "wonderful",
-            "fantastic",
-            "awesome",
-            "brilliant",
-            "outstanding",
-            "superb",
-        ];
+        const normalizedText = text.normalize("NFKC").toLowerCase();
+        const matched = [];
+        let positive = 0;
+        let negative = 0;
+
+        const locale = TextUtils.detectTextLocale(normalizedText);
+
+        for (const entry of TextUtils.getSentimentTerms(locale)) {
+            entry.regex.lastIndex = 0;
+            let match;
+            while ((match = entry.regex.exec(normalizedText)) !== null) {
+                const start = match.index;
+                const end = start + match[0].length;
+
+                // 長い語から照合し、既に一致した範囲と重なる短い語は数えない
+                if (matched.some(([s, e]) => start < e && end > s)) continue;
+                matched.push([start, end]);
+
+                const negated = TextUtils.isNegated(
+                    normalizedText,
+                    start,
+                    end,
+                    entry.lexicon
+                );
+                const isPositive = entry.polarity > 0 ? !negated : negated;
+                if (isPositive) positive++;
+                else negative++;
+            }
+        }
 
-        const negativeWords = [
-            // 日本語
-            "悪い",
-            "だめ",
-            "ダメ",
-            "最悪",
-            "ひどい",
-            "酷い",
-            "不満",
-            "嫌",
-            "まずい",
-            "マズイ",
-            "汚い",
-            "遅い",
-            "高い",
-            "不親切",
-            "雑",
-            // 英語
-            "bad",
-            "terrible",
-            "awful",
-            "horrible",
-            "disgusting",
-            "worst",
-            "hate",
-            "disappointing",
-            "poor",
-            "slow",
-            "expensive",
-            "rude",
-        ];
+        const score = positive - negative;
+        let type = "neutral";
+        if (score > 0) type = "positive";
+        else if (score < 0) type = "negative";
 
-        const normalizedText = text.toLowerCase();
-        let score = 0;
+        return { score, type, positive, negative };
+    }
 
-        positiveWords.forEach((word) => {
-            const count = (normalizedText.match(new RegExp(word, "g")) || [])
-                .length;
-            score += count;
-        });
+    /**
+     * ロケールの感情辞書の語を正規表現にコンパイル（長い語から順に並べ、結果はロケールごとにキャッシュする）
+     * @param {string} locale - ロケール
+     * @returns {Array<Object>} { regex, polarity, lexicon } の配列
+     */
+    static getSentimentTerms(locale) {
+        if (!TextUtils.sentimentTermCache) {
+            TextUtils.sentimentTermCache = new Map();
+        }
+        if (TextUtils.sentimentTermCache.has(locale)) {
+            return TextUtils.sentimentTermCache.get(locale);
+        }
 
-        negativeWords.forEach((word) => {
-            const count = (normalizedText.match(new RegExp(word, "g")) || [])
-                .length;
-            score -= count;
-        });
+        const lexicon =
+            window.MRA_CONFIG?.I18N_CONFIG?.SENTIMENT_LEXICON?.[locale];
+        const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const terms = [];
+
+        if (lexicon) {
+            [
+                [lexicon.POSITIVE, 1],
+                [lexicon.NEGATIVE, -1],
+            ].forEach(([words, polarity]) => {
+                (words || []).forEach((word) => {
+                    const body = escape(word.toLowerCase());
+                    const source = lexicon.WORD_BOUNDARY
+                        ? `(?<![\\p{L}])${body}(?![\\p{L}])`
+                        : body;
+                    terms.push({
+                        length: word.length,
+                        regex: new RegExp(source, "gu"),
+                        polarity,
+                        lexicon,
+                    });
+                });
+            });
+        }
 
-        let type = "neutral";
-        if (score > 0) type = "positive";
-        else if (score < 0) type = "negative";
+        terms.sort((a, b) => b.length - a.length);
+        TextUtils.sentimentTermCache.set(locale, terms);
+        return terms;
+    }
+
+    /**
+     * 感情語が否定されているか判定
+     * 否定の範囲は同じ節の中に限り、句読点・逆接の接続詞を越えては掛からない
+     * @param {string} text - 正規化済みテキスト
+     * @param {number} start - 感情語の開始位置
+     * @param {number} end - 感情語の終了位置
+     * @param {Object} lexicon - 感情語が属するロケールの辞書
+     * @returns {boolean} 否定されていればtrue
+     */
+    static isNegated(text, start, end, lexicon) {
+        const boundary =
+            window.MRA_CONFIG?.I18N_CONFIG?.CLAUSE_BOUNDARY ||
+            /[,.!?;:、。，！？；：]/;
+
+        // 直後の否定表現は節の終わり（句読点そのものは含める）まで
+        let after = text.slice(end, end + 8);
+        const afterEnd = after.search(boundary);
+        if (afterEnd >= 0) after = after.slice(0, afterEnd + 1);
+
+        if (lexicon.NEGATION_SUFFIX && lexicon.NEGATION_SUFFIX.test(after)) {
+            return true;
+        }
+
+        const negators = lexicon.NEGATORS || [];
+        if (negators.length === 0) return false;
+
+        const before = TextUtils.getNegationScope(
+            text.slice(Math.max(0, start - 24), start),
+            lexicon,
+            boundary
+        );
+        if (!before.trim()) return false;
+
+        // "can't recommend this place enough" などは否定ではなく強調
+        const clause = before + text.slice(start).split(boundary)[0];
+        if (
+            (lexicon.NEGATION_EXCEPTIONS || []).some((regex) =>
+                regex.test(clause)
+            )
+        ) {
+            return false;
+        }
+
+        // 分かち書きする言語: 直前3語以内の否定語（"not really good"）
+        if (lexicon.WORD_BOUNDARY || /\s$/.test(before)) {
+            const words = before
+                .trim()
+                .split(/\s+/)
+                .slice(-3)
+                .map((word) => word.replace(/[^\p{L}']/gu, ""));
+            return words.some((word) => negators.includes(word));
+        }
+
+        // 中国語など: 直前の文字が否定語（"不好"）
+        return negators.some((negator) => before.endsWith(negator));
+    }
+
+    /**
+     * 感情語の直前のテキストから、否定が掛かりうる範囲（同じ節の逆接より後ろ）を取り出す
+     * @param {string} before - 感情語の直前のテキスト
+     * @param {Object} lexicon - 感情語が属するロケールの辞書
+     * @param {RegExp} boundary - 節を区切る句読点
+     * @returns {string} 否定が掛かりうる範囲
+     */
+    static getNegationScope(before, lexicon, boundary) {
+        const clauses = before.split(boundary);
+        let scope = clauses[clauses.length - 1];
+
+        (lexicon.CONTRASTS || []).forEach((contrast) => {
+            const pattern = lexicon.WORD_BOUNDARY
+                ? new RegExp(`(?<![\\p{L}])${contrast}(?![\\p{L}])`, "gu")
+                : new RegExp(contrast, "g");
+            let match;
+            let cut = -1;
+            while ((match = pattern.exec(scope)) !== null) {
+                cut = match.index + match[0].length;
+            }
+            if (cut >= 0) scope = scope.slice(cut);
+        });
 
-        return { score, type };
+        return scope;
     }
 
     /**
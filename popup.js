@@ -8,6 +8,8 @@ class PopupMain {
         this.controllers = {};
         this.components = {};
         this.currentSettings = null;
+        this.historyItems = [];
+        this.historyPage = null;
         this.isInitialized = false;
         this.debugMode = false;
         this.constants = null;
@@ -84,6 +86,9 @@ class PopupMain {
                 SAVE_ANALYSIS_RESULT: "SAVE_ANALYSIS_RESULT",
                 GET_ANALYSIS_HISTORY: "GET_ANALYSIS_HISTORY",
                 MANUAL_ANALYSIS_REQUEST: "MANUAL_ANALYSIS_REQUEST",
+                RESET_ADVANCED_SETTING: "RESET_ADVANCED_SETTING",
+                GET_PLACE_LIST: "GET_PLACE_LIST",
+                GET_PLACE_SNAPSHOTS: "GET_PLACE_SNAPSHOTS",
             },
         };
 
@@ -95,6 +100,10 @@ class PopupMain {
                     showDetailedAnalysis: true,
                     minimumReviewsForAnalysis: 5,
                     suspicionThreshold: 40,
+                    scaleTrustLevels: true,
+                    reviewSampleSize: 50,
+                    dataRetentionDays: 30,
+                    advanced: { detectors: {} },
                 },
             },
         };
@@ -160,7 +169,17 @@ class PopupMain {
             const historyList = document.getElementById("historyList");
             if (window.HistoryList && historyList) {
                 this.components.historyList = new window.HistoryList(
-                    historyList
+                    historyList,
+                    (item) => this.showPlaceDetail(item)
+                );
+            }
+
+            // 場所ごとの推移表示コンポーネント
+            const placeDetail = document.getElementById("placeDetail");
+            if (window.PlaceTrendView && placeDetail) {
+                this.components.placeTrendView = new window.PlaceTrendView(
+                    placeDetail,
+                    () => this.hidePlaceDetail()
                 );
             }
 
@@ -197,9 +216,20 @@ class PopupMain {
                 );
             }
 
+            // 履歴の続きを読み込むボタン
+            const historyMoreBtn = document.getElementById("historyMoreBtn");
+            if (historyMoreBtn) {
+                historyMoreBtn.addEventListener("click", () =>
+                    this.loadHistory({ append: true })
+                );
+            }
+
+            // 詳細設定の入力欄
+            this.renderAdvancedSettings();
+
             // 設定変更のリスナー
             const settingsInputs = document.querySelectorAll(
-                "#analysisMode, #showDetailedAnalysis, #minimumReviews, #suspicionThreshold"
+                "#analysisMode, #showDetailedAnalysis, #minimumReviews, #suspicionThreshold, #scaleTrustLevels, #reviewSampleSize, #dataRetentionDays"
             );
             settingsInputs.forEach((input) => {
                 input.addEventListener("change", () =>
@@ -226,6 +256,9 @@ class PopupMain {
             // 履歴を読み込み
             await this.loadHistory();
 
+            // 保存データの概要を読み込み
+            await this.loadStorageSummary();
+
             this.hideLoading();
             this.log("Initial data loaded successfully");
         } catch (error) {
@@ -260,22 +293,174 @@ class PopupMain {
     }
 
     /**
-     * 履歴を読み込み
+     * 履歴を場所ごとに読み込み（append指定時は続きのページを追加）
+     * @param {Object} options - { append }
      */
-    async loadHistory() {
+    async loadHistory({ append = false } = {}) {
         try {
             const response = await this.sendMessage({
-                type: this.constants.MESSAGE_TYPES.GET_ANALYSIS_HISTORY,
-                limit: 5,
+                type: this.constants.MESSAGE_TYPES.GET_PLACE_LIST,
+                offset: append ? this.historyItems.length : 0,
+                limit:
+                    this.constants.ANALYSIS_CONSTANTS?.MAX_DISPLAY_HISTORY || 5,
             });
 
             if (response && response.success) {
-                this.updateHistoryUI(response.data || []);
+                const items = response.data || [];
+                this.historyItems = append
+                    ? [...this.historyItems, ...items]
+                    : items;
+                this.historyPage = response.page || null;
+                this.updateHistoryUI(this.historyItems);
+                this.updateHistoryMoreButton(this.historyPage);
                 this.log("History loaded");
             }
         } catch (error) {
             this.error("History load error:", error);
-            this.updateHistoryUI([]);
+            if (!append) {
+                this.historyItems = [];
+                this.updateHistoryUI([]);
+                this.updateHistoryMoreButton(null);
+            }
+        }
+    }
+
+    /**
+     * 保存データの概要（件数・保存期間・匿名化・前回の削除処理）を読み込み
+     */
+    async loadStorageSummary() {
+        try {
+            const response = await this.sendMessage({
+                type: this.constants.MESSAGE_TYPES.GET_STORAGE_SUMMARY,
+            });
+
+            if (response && response.success) {
+                this.updateStorageSummaryUI(response.data);
+            }
+        } catch (error) {
+            this.error("Storage summary load error:", error);
+            this.updateStorageSummaryUI(null);
+        }
+    }
+
+    /**
+     * 保存データの概要を表示
+     * @param {Object|null} summary - getStorageSummary() の結果
+     */
+    updateStorageSummaryUI(summary) {
+        const container = document.getElementById("storageSummary");
+        if (!container) return;
+
+        container.innerHTML = "";
+        if (!summary) {
+            const dt = document.createElement("dt");
+            dt.textContent = "保存データを取得できませんでした";
+            container.appendChild(dt);
+            return;
+        }
+
+        const formatDate = (timestamp) =>
+            timestamp
+                ? new Date(timestamp).toLocaleString("ja-JP", {
+                      year: "numeric",
+                      month: "2-digit",
+                      day: "2-digit",
+                      hour: "2-digit",
+                      minute: "2-digit",
+                  })
+                : "なし";
+        const cleanup = summary.lastCleanup;
+
+        const rows = [
+            [
+                "分析履歴",
+                `${summary.historyCount}件（${summary.placeCount}か所）`,
+            ],
+            ["キャッシュ", `${summary.cachedResultCount}件`],
+            ["最も古い履歴", formatDate(summary.oldestTimestamp)],
+            ["保存期間", `${summary.retentionDays}日`],
+            [
+                "匿名化",
+                summary.anonymized
+                    ? "有効（URLは場所のみ・レビュー本文はハッシュ化）"
+                    : "無効",
+            ],
+            [
+                "前回の削除",
+                cleanup
+                    ? `${formatDate(cleanup.lastRun)}（履歴${
+                          cleanup.deletedHistory
+                      }件・キャッシュ${cleanup.deletedCache}件）`
+                    : "未実行",
+            ],
+        ];
+        if (typeof summary.bytesInUse === "number") {
+            rows.push([
+                "使用容量",
+                `${(summary.bytesInUse / 1024).toFixed(1)} KB`,
+            ]);
+        }
+
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement("dt");
+            dt.textContent = label;
+            const dd = document.createElement("dd");
+            dd.textContent = value;
+            container.append(dt, dd);
+        });
+    }
+
+    /**
+     * 場所の信頼度スコアとレビュー数の推移を表示
+     * @param {Object} item - 一覧で選択した履歴
+     */
+    async showPlaceDetail(item) {
+        const trendView = this.components.placeTrendView;
+        if (!trendView) return;
+
+        try {
+            const response = await this.sendMessage({
+                type: this.constants.MESSAGE_TYPES.GET_PLACE_SNAPSHOTS,
+                placeKey: item.placeKey,
+            });
+
+            if (!response || !response.success) {
+                throw new Error(
+                    response?.error || "推移を取得できませんでした"
+                );
+            }
+
+            document.getElementById("historyList").hidden = true;
+            this.updateHistoryMoreButton(null);
+            trendView.render(item, response.data || []);
+        } catch (error) {
+            this.error("Place detail load error:", error);
+            this.showError("推移の読み込みに失敗しました: " + error.message);
+        }
+    }
+
+    /**
+     * 推移の表示を閉じて一覧に戻る
+     */
+    hidePlaceDetail() {
+        this.components.placeTrendView?.hide();
+        document.getElementById("historyList").hidden = false;
+        this.updateHistoryMoreButton(this.historyPage);
+    }
+
+    /**
+     * 「もっと見る」ボタンの表示を更新
+     * @param {Object|null} page - { offset, limit, total, hasMore }
+     */
+    updateHistoryMoreButton(page) {
+        const historyMoreBtn = document.getElementById("historyMoreBtn");
+        if (!historyMoreBtn) return;
+
+        historyMoreBtn.hidden = !page?.hasMore;
+        if (page?.hasMore) {
+            historyMoreBtn.textContent = `もっと見る（残り${
+                page.total - this.historyItems.length
+            }件）`;
         }
     }
 
@@ -317,6 +502,29 @@ class PopupMain {
                     settings.settings?.suspicionThreshold || 40;
             }
 
+            const scaleTrustLevels =
+                document.getElementById("scaleTrustLevels");
+            if (scaleTrustLevels) {
+                scaleTrustLevels.checked =
+                    settings.settings?.scaleTrustLevels !== false;
+            }
+
+            const reviewSampleSize =
+                document.getElementById("reviewSampleSize");
+            if (reviewSampleSize) {
+                reviewSampleSize.value =
+                    settings.settings?.reviewSampleSize || 50;
+            }
+
+            const dataRetentionDays =
+                document.getElementById("dataRetentionDays");
+            if (dataRetentionDays) {
+                dataRetentionDays.value =
+                    settings.settings?.dataRetentionDays || 30;
+            }
+
+            this.updateAdvancedSettingsUI(settings.settings?.advanced);
+
             this.log("Settings UI updated");
         } catch (error) {
             this.error("Failed to update settings UI:", error);
@@ -359,10 +567,27 @@ class PopupMain {
      */
     createHistoryElement(item) {
         const div = document.createElement("div");
-        div.className = "history-item";
+        div.className = item.verdict
+            ? `history-item verdict-${item.verdict}`
+            : "history-item";
 
         const scoreColor = this.getScoreColor(item.trustScore);
+        const verdict =
+            window.MRA_CONFIG?.VERDICT_CONFIG.verdicts[item.verdict];
+        const verdictLabel = verdict
+            ? `<span class="verdict-label">${verdict.label}</span>`
+            : "";
         const date = new Date(item.timestamp).toLocaleDateString("ja-JP");
+        const snapshotCount =
+            item.snapshotCount > 1
+                ? `<span class="snapshot-count" title="分析回数">${item.snapshotCount}回</span>`
+                : "";
+        const adjustedRating =
+            typeof item.adjustedRating === "number"
+                ? `<span class="adjusted-rating" title="補正後の平均評価">★${item.adjustedRating.toFixed(
+                      1
+                  )}</span>`
+                : "";
 
         div.innerHTML = `
             <div class="place-name">${this.escapeHtml(item.placeName)}</div>
@@ -370,13 +595,58 @@ class PopupMain {
                 <span class="score-value" style="background-color: ${scoreColor}">
                     ${item.trustScore}
                 </span>
+                ${adjustedRating}
+                ${verdictLabel}
+                ${snapshotCount}
                 <span class="date">${date}</span>
             </div>
+            ${this.createBreakdownHtml(item.breakdown)}
         `;
 
         return div;
     }
 
+    /**
+     * スコアの内訳（基準100からの減点と調整）を作成
+     * @param {Object|null} breakdown - 履歴に保存されたスコア内訳
+     * @returns {string} - HTML文字列
+     */
+    createBreakdownHtml(breakdown) {
+        if (!breakdown || !breakdown.steps) return "";
+
+        const format = (value) => Math.round(value * 10) / 10;
+        const row = (value, label) =>
+            `<div class="breakdown-row"><span>${value}</span>${this.escapeHtml(
+                label
+            )}</div>`;
+
+        const rows = [
+            row(breakdown.baseline, "基準スコア"),
+            ...breakdown.deductions.map((deduction) =>
+                row(`−${format(deduction.deduction)}`, deduction.description)
+            ),
+            ...breakdown.steps
+                .filter((step) => step.before !== step.after)
+                .map((step) =>
+                    row(
+                        step.kind === "delta"
+                            ? format(step.value)
+                            : `×${step.value.toFixed(2)}`,
+                        `${step.label}: ${step.reason}`
+                    )
+                ),
+            breakdown.clamped ? row("↕", "10〜100の範囲に調整") : "",
+            row(`= ${breakdown.finalScore}`, "最終スコア"),
+        ];
+
+        return `
+            <details class="history-breakdown">
+                <summary>スコアの内訳</summary>
+                ${rows.join("")}
+            </details>
+        `;
+    }
+
     /**
      * スコアに対応する色を取得
      */
@@ -485,6 +755,7 @@ class PopupMain {
             if (response && response.success) {
                 this.currentSettings = response.data;
                 this.showSuccess("設定を保存しました");
+                await this.loadStorageSummary();
             } else {
                 throw new Error("Failed to save settings");
             }
@@ -515,10 +786,196 @@ class PopupMain {
                     parseInt(
                         document.getElementById("suspicionThreshold")?.value
                     ) || 40,
+                scaleTrustLevels:
+                    document.getElementById("scaleTrustLevels")?.checked !==
+                    false,
+                reviewSampleSize:
+                    parseInt(
+                        document.getElementById("reviewSampleSize")?.value
+                    ) || 50,
+                dataRetentionDays:
+                    parseInt(
+                        document.getElementById("dataRetentionDays")?.value
+                    ) || 30,
+                advanced: this.collectAdvancedSettingsFromUI(),
             },
         };
     }
 
+    /**
+     * 詳細設定（検出器ごとの有効/無効・重み・スコア上限・閾値）の入力欄を生成
+     */
+    renderAdvancedSettings() {
+        const container = document.getElementById("advancedSettings");
+        const schema = this.config.ADVANCED_SETTINGS_SCHEMA;
+        if (!container) return;
+
+        if (!schema || !this.config.CONFIG_UTILS) {
+            container.closest(".advanced-settings")?.remove();
+            return;
+        }
+
+        container.innerHTML = "";
+
+        Object.keys(this.config.DETECTOR_MANIFEST || {}).forEach((detector) => {
+            const row = document.createElement("div");
+            row.className = "advanced-detector";
+            row.dataset.detector = detector;
+
+            const title = document.createElement("div");
+            title.className = "advanced-detector-title";
+            title.textContent =
+                this.config.DETECTOR_MANIFEST[detector].description || detector;
+            row.appendChild(title);
+
+            Object.keys(schema.fields).forEach((field) => {
+                row.appendChild(this.createAdvancedField(detector, field));
+            });
+
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * 詳細設定の1項目（入力欄とリセットボタン）を作成
+     * @param {string} detector - 検出器のキー
+     * @param {string} field - 項目名
+     * @returns {HTMLElement} - 項目の要素
+     */
+    createAdvancedField(detector, field) {
+        const fieldSchema = this.config.CONFIG_UTILS.getAdvancedFieldSchema(
+            detector,
+            field
+        );
+        const wrapper = document.createElement("label");
+        wrapper.className = `advanced-field advanced-field-${field}`;
+        wrapper.title = fieldSchema.description;
+
+        const input = document.createElement("input");
+        input.dataset.detector = detector;
+        input.dataset.field = field;
+
+        if (fieldSchema.type === "boolean") {
+            input.type = "checkbox";
+        } else {
+            input.type = "number";
+            input.min = fieldSchema.min;
+            input.max = fieldSchema.max;
+            input.step = fieldSchema.step;
+            if (field === "threshold") {
+                input.placeholder = "自動";
+            }
+        }
+
+        const caption = document.createElement("span");
+        caption.textContent =
+            this.config.ADVANCED_SETTINGS_SCHEMA.fields[field].description;
+
+        const resetBtn = document.createElement("button");
+        resetBtn.type = "button";
+        resetBtn.className = "advanced-reset";
+        resetBtn.textContent = "↺";
+        resetBtn.title = "既定値に戻す";
+        resetBtn.addEventListener("click", (event) => {
+            event.preventDefault();
+            this.resetAdvancedSetting(detector, field);
+        });
+
+        wrapper.appendChild(input);
+        wrapper.appendChild(caption);
+        wrapper.appendChild(resetBtn);
+        return wrapper;
+    }
+
+    /**
+     * 詳細設定の入力欄に値を反映
+     * @param {Object} advanced - 詳細設定（settings.advanced）
+     */
+    updateAdvancedSettingsUI(advanced) {
+        if (!this.config.CONFIG_UTILS) return;
+
+        document
+            .querySelectorAll("#advancedSettings input[data-field]")
+            .forEach((input) => {
+                const { detector, field } = input.dataset;
+                const value = this.config.CONFIG_UTILS.getDetectorConfig(
+                    detector,
+                    advanced
+                )[field];
+
+                if (input.type === "checkbox") {
+                    input.checked = value !== false;
+                } else {
+                    input.value = value ?? "";
+                }
+            });
+    }
+
+    /**
+     * 詳細設定の入力欄から既定値と異なる項目だけを収集
+     * @returns {Object} - 詳細設定（settings.advanced）
+     */
+    collectAdvancedSettingsFromUI() {
+        if (!this.config.CONFIG_UTILS) {
+            return (
+                this.currentSettings?.settings?.advanced || { detectors: {} }
+            );
+        }
+
+        const advanced = { detectors: {} };
+
+        document
+            .querySelectorAll("#advancedSettings input[data-field]")
+            .forEach((input) => {
+                const { detector, field } = input.dataset;
+                const defaults =
+                    this.config.CONFIG_UTILS.getDetectorDefaults(detector);
+
+                let value;
+                if (input.type === "checkbox") {
+                    value = input.checked;
+                } else {
+                    value = input.value === "" ? null : parseFloat(input.value);
+                    if (Number.isNaN(value)) value = null;
+                }
+
+                if (value === null || value === defaults[field]) return;
+
+                advanced.detectors[detector] =
+                    advanced.detectors[detector] || {};
+                advanced.detectors[detector][field] = value;
+            });
+
+        return advanced;
+    }
+
+    /**
+     * 詳細設定の1項目を既定値に戻す
+     * @param {string} detector - 検出器のキー
+     * @param {string} field - 項目名
+     */
+    async resetAdvancedSetting(detector, field) {
+        try {
+            const response = await this.sendMessage({
+                type: this.constants.MESSAGE_TYPES.RESET_ADVANCED_SETTING,
+                detector,
+                field,
+            });
+
+            if (response && response.success) {
+                this.currentSettings = response.data;
+                this.updateAdvancedSettingsUI(
+                    this.currentSettings.settings?.advanced
+                );
+            } else {
+                throw new Error("Failed to reset advanced setting");
+            }
+        } catch (error) {
+            this.error("Failed to reset advanced setting:", error);
+            this.showError("詳細設定のリセットに失敗しました");
+        }
+    }
+
     /**
      * Google MapsのURLかどうかを判定する（改善版）
      * @param {string} url - 判定するURL
@@ -33,6 +33,9 @@ class SettingsController {
         const minimumReviews = document.getElementById("minimumReviews");
         const suspicionThreshold =
             document.getElementById("suspicionThreshold");
+        const scaleTrustLevels = document.getElementById("scaleTrustLevels");
+        const reviewSampleSize = document.getElementById("reviewSampleSize");
+        const dataRetentionDays = document.getElementById("dataRetentionDays");
 
         if (analysisMode)
             analysisMode.value = settings.settings?.analysisMode || "standard";
@@ -45,6 +48,14 @@ class SettingsController {
         if (suspicionThreshold)
             suspicionThreshold.value =
                 settings.settings?.suspicionThreshold || 40;
+        if (scaleTrustLevels)
+            scaleTrustLevels.checked =
+                settings.settings?.scaleTrustLevels !== false;
+        if (reviewSampleSize)
+            reviewSampleSize.value = settings.settings?.reviewSampleSize || 50;
+        if (dataRetentionDays)
+            dataRetentionDays.value =
+                settings.settings?.dataRetentionDays || 30;
     }
 
     async saveSettings() {
@@ -85,6 +96,17 @@ class SettingsController {
                     parseInt(
                         document.getElementById("suspicionThreshold")?.value
                     ) || 40,
+                scaleTrustLevels:
+                    document.getElementById("scaleTrustLevels")?.checked !==
+                    false,
+                reviewSampleSize:
+                    parseInt(
+                        document.getElementById("reviewSampleSize")?.value
+                    ) || 50,
+                dataRetentionDays:
+                    parseInt(
+                        document.getElementById("dataRetentionDays")?.value
+                    ) || 30,
             },
         };
     }
@@ -154,11 +176,12 @@ class HistoryController {
         this.constants = window.MRA_CONSTANTS;
     }
 
-    async loadHistory() {
+    async loadHistory(offset = 0) {
         try {
             const response = await chrome.runtime.sendMessage({
-                type: this.constants.MESSAGE_TYPES.GET_ANALYSIS_HISTORY,
-                limit: 5,
+                type: this.constants.MESSAGE_TYPES.GET_PLACE_LIST,
+                offset,
+                limit: this.constants.ANALYSIS_CONSTANTS.MAX_DISPLAY_HISTORY,
             });
 
             if (response && response.success) {
@@ -194,10 +217,27 @@ class HistoryController {
 
     createHistoryItem(item) {
         const div = document.createElement("div");
-        div.className = "history-item";
+        div.className = item.verdict
+            ? `history-item verdict-${item.verdict}`
+            : "history-item";
 
         const scoreColor = this.getScoreColor(item.trustScore);
+        const verdict =
+            window.MRA_CONFIG?.VERDICT_CONFIG.verdicts[item.verdict];
+        const verdictLabel = verdict
+            ? `<span class="verdict-label">${verdict.label}</span>`
+            : "";
         const date = new Date(item.timestamp).toLocaleDateString("ja-JP");
+        const snapshotCount =
+            item.snapshotCount > 1
+                ? `<span class="snapshot-count" title="分析回数">${item.snapshotCount}回</span>`
+                : "";
+        const adjustedRating =
+            typeof item.adjustedRating === "number"
+                ? `<span class="adjusted-rating" title="補正後の平均評価">★${item.adjustedRating.toFixed(
+                      1
+                  )}</span>`
+                : "";
 
         div.innerHTML = `
             <div class="place-name">${this.escapeHtml(item.placeName)}</div>
@@ -205,13 +245,58 @@ class HistoryController {
                 <span class="score-value" style="background-color: ${scoreColor}">
                     ${item.trustScore}
                 </span>
+                ${adjustedRating}
+                ${verdictLabel}
+                ${snapshotCount}
                 <span class="date">${date}</span>
             </div>
+            ${this.createBreakdownHtml(item.breakdown)}
         `;
 
         return div;
     }
 
+    /**
+     * スコアの内訳（基準100からの減点と調整）を作成
+     * @param {Object|null} breakdown - 履歴に保存されたスコア内訳
+     * @returns {string} - HTML文字列
+     */
+    createBreakdownHtml(breakdown) {
+        if (!breakdown || !breakdown.steps) return "";
+
+        const format = (value) => Math.round(value * 10) / 10;
+        const row = (value, label) =>
+            `<div class="breakdown-row"><span>${value}</span>${this.escapeHtml(
+                label
+            )}</div>`;
+
+        const rows = [
+            row(breakdown.baseline, "基準スコア"),
+            ...breakdown.deductions.map((deduction) =>
+                row(`−${format(deduction.deduction)}`, deduction.description)
+            ),
+            ...breakdown.steps
+                .filter((step) => step.before !== step.after)
+                .map((step) =>
+                    row(
+                        step.kind === "delta"
+                            ? format(step.value)
+                            : `×${step.value.toFixed(2)}`,
+                        `${step.label}: ${step.reason}`
+                    )
+                ),
+            breakdown.clamped ? row("↕", "10〜100の範囲に調整") : "",
+            row(`= ${breakdown.finalScore}`, "最終スコア"),
+        ];
+
+        return `
+            <details class="history-breakdown">
+                <summary>スコアの内訳</summary>
+                ${rows.join("")}
+            </details>
+        `;
+    }
+
     getScoreColor(score) {
         if (score >= 80) return "#4caf50";
         if (score >= 60) return "#ff9800";
@@ -300,7 +385,7 @@ class SettingsPanel {
     setupEventListeners() {
         // 設定変更イベントの処理
         const inputs = document.querySelectorAll(
-            "#analysisMode, #showDetailedAnalysis, #minimumReviews, #suspicionThreshold"
+            "#analysisMode, #showDetailedAnalysis, #minimumReviews, #suspicionThreshold, #scaleTrustLevels, #reviewSampleSize, #dataRetentionDays"
         );
         inputs.forEach((input) => {
             input.addEventListener("change", this.onInputChange.bind(this));
@@ -318,8 +403,13 @@ window.SettingsPanel = SettingsPanel;
 
 // src/popup/components/history-list.js
 class HistoryList {
-    constructor(containerElement) {
+    /**
+     * @param {HTMLElement} containerElement - 履歴を表示する要素
+     * @param {Function|null} onSelect - 「推移を見る」を押したときのコールバック (item) => void
+     */
+    constructor(containerElement, onSelect = null) {
         this.container = containerElement;
+        this.onSelect = onSelect;
     }
 
     render(historyData) {
@@ -342,10 +432,27 @@ class HistoryList {
 
     createHistoryElement(item) {
         const div = document.createElement("div");
-        div.className = "history-item";
+        div.className = item.verdict
+            ? `history-item verdict-${item.verdict}`
+            : "history-item";
 
         const scoreColor = this.getScoreColor(item.trustScore);
+        const verdict =
+            window.MRA_CONFIG?.VERDICT_CONFIG.verdicts[item.verdict];
+        const verdictLabel = verdict
+            ? `<span class="verdict-label">${verdict.label}</span>`
+            : "";
         const date = new Date(item.timestamp).toLocaleDateString("ja-JP");
+        const snapshotCount =
+            item.snapshotCount > 1
+                ? `<span class="snapshot-count" title="分析回数">${item.snapshotCount}回</span>`
+                : "";
+        const adjustedRating =
+            typeof item.adjustedRating === "number"
+                ? `<span class="adjusted-rating" title="補正後の平均評価">★${item.adjustedRating.toFixed(
+                      1
+                  )}</span>`
+                : "";
 
         div.innerHTML = `
             <div class="place-name">${this.escapeHtml(item.placeName)}</div>
@@ -353,13 +460,67 @@ class HistoryList {
                 <span class="score-value" style="background-color: ${scoreColor}">
                     ${item.trustScore}
                 </span>
+                ${adjustedRating}
+                ${verdictLabel}
+                ${snapshotCount}
                 <span class="date">${date}</span>
             </div>
+            ${this.createBreakdownHtml(item.breakdown)}
         `;
 
+        if (this.onSelect && item.placeKey) {
+            const trendButton = document.createElement("button");
+            trendButton.type = "button";
+            trendButton.className = "trend-link";
+            trendButton.textContent = "推移を見る";
+            trendButton.addEventListener("click", () => this.onSelect(item));
+            div.appendChild(trendButton);
+        }
+
         return div;
     }
 
+    /**
+     * スコアの内訳（基準100からの減点と調整）を作成
+     * @param {Object|null} breakdown - 履歴に保存されたスコア内訳
+     * @returns {string} - HTML文字列
+     */
+    createBreakdownHtml(breakdown) {
+        if (!breakdown || !breakdown.steps) return "";
+
+        const format = (value) => Math.round(value * 10) / 10;
+        const row = (value, label) =>
+            `<div class="breakdown-row"><span>${value}</span>${this.escapeHtml(
+                label
+            )}</div>`;
+
+        const rows = [
+            row(breakdown.baseline, "基準スコア"),
+            ...breakdown.deductions.map((deduction) =>
+                row(`−${format(deduction.deduction)}`, deduction.description)
+            ),
+            ...breakdown.steps
+                .filter((step) => step.before !== step.after)
+                .map((step) =>
+                    row(
+                        step.kind === "delta"
+                            ? format(step.value)
+                            : `×${step.value.toFixed(2)}`,
+                        `${step.label}: ${step.reason}`
+                    )
+                ),
+            breakdown.clamped ? row("↕", "10〜100の範囲に調整") : "",
+            row(`= ${breakdown.finalScore}`, "最終スコア"),
+        ];
+
+        return `
+            <details class="history-breakdown">
+                <summary>スコアの内訳</summary>
+                ${rows.join("")}
+            </details>
+        `;
+    }
+
     getScoreColor(score) {
         if (score >= 80) return "#4caf50";
         if (score >= 60) return "#ff9800";
@@ -375,3 +536,194 @@ class HistoryList {
 }
 
 window.HistoryList = HistoryList;
+
+// src/popup/components/place-trend-view.js
+/**
+ * 場所ごとの信頼度スコアとレビュー数の推移を表示するコンポーネント
+ */
+class PlaceTrendView {
+    /**
+     * @param {HTMLElement} containerElement - 表示する要素
+     * @param {Function|null} onClose - 「一覧に戻る」を押したときのコールバック
+     */
+    constructor(containerElement, onClose = null) {
+        this.container = containerElement;
+        this.onClose = onClose;
+        this.chartSize = { width: 300, height: 120, padding: 24 };
+    }
+
+    /**
+     * 推移を表示
+     * @param {Object} item - 一覧で選択した履歴（最新のスナップショット）
+     * @param {Array<Object>} snapshots - スナップショット（古い順）
+     */
+    render(item, snapshots) {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="place-detail-header">
+                <button type="button" class="trend-back">← 一覧に戻る</button>
+                <div class="place-name">${this.escapeHtml(item.placeName)}</div>
+            </div>
+            ${
+                snapshots.length >= 2
+                    ? this.createChartSvg(snapshots)
+                    : '<div class="empty-history">推移を表示するには2回以上の分析が必要です</div>'
+            }
+            <div class="trend-legend">
+                <span class="legend-score">信頼度スコア</span>
+                <span class="legend-reviews">レビュー数</span>
+            </div>
+            <div class="trend-table">
+                ${snapshots
+                    .slice()
+                    .reverse()
+                    .map((snapshot) => this.createSnapshotRow(snapshot))
+                    .join("")}
+            </div>
+        `;
+
+        this.container
+            .querySelector(".trend-back")
+            .addEventListener("click", () => this.onClose?.());
+        this.container.hidden = false;
+    }
+
+    /**
+     * 推移の表示を閉じる
+     */
+    hide() {
+        if (!this.container) return;
+        this.container.hidden = true;
+        this.container.innerHTML = "";
+    }
+
+    /**
+     * スコア（左軸 0-100）とレビュー数（右軸 0-最大値）の折れ線グラフを作成
+     * @param {Array<Object>} snapshots - スナップショット（古い順）
+     * @returns {string} - SVG文字列
+     */
+    createChartSvg(snapshots) {
+        const { width, height, padding } = this.chartSize;
+        const times = snapshots.map((s) => new Date(s.timestamp).getTime());
+        const minTime = Math.min(...times);
+        const timeSpan = Math.max(...times) - minTime;
+        const maxReviews = Math.max(
+            1,
+            ...snapshots.map((s) => s.totalReviews || 0)
+        );
+
+        // 同時刻のスナップショットしかない場合は等間隔に並べる
+        const x = (i) =>
+            padding +
+            (width - padding * 2) *
+                (timeSpan > 0
+                    ? (times[i] - minTime) / timeSpan
+                    : i / (snapshots.length - 1));
+        const y = (ratio) => height - padding - (height - padding * 2) * ratio;
+
+        const scorePoints = snapshots.map((s, i) => [
+            x(i),
+            y(s.trustScore / 100),
+        ]);
+        const reviewPoints = snapshots.map((s, i) => [
+            x(i),
+            y((s.totalReviews || 0) / maxReviews),
+        ]);
+        const polyline = (points, className) =>
+            `<polyline class="${className}" points="${points
+                .map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`)
+                .join(" ")}" />`;
+        const circles = (points, className, label) =>
+            points
+                .map(
+                    ([px, py], i) =>
+                        `<circle class="${className}" cx="${px.toFixed(
+                            1
+                        )}" cy="${py.toFixed(
+                            1
+                        )}" r="2.5"><title>${this.formatDate(
+                            snapshots[i].timestamp
+                        )} ${label(snapshots[i])}</title></circle>`
+                )
+                .join("");
+
+        return `
+            <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img"
+                aria-label="信頼度スコアとレビュー数の推移">
+                <line class="trend-axis" x1="${padding}" y1="${y(0)}" x2="${
+            width - padding
+        }" y2="${y(0)}" />
+                <text class="trend-label" x="${padding - 4}" y="${
+            y(1) + 4
+        }" text-anchor="end">100</text>
+                <text class="trend-label" x="${padding - 4}" y="${
+            y(0) + 4
+        }" text-anchor="end">0</text>
+                <text class="trend-label" x="${width - padding + 4}" y="${
+            y(1) + 4
+        }">${maxReviews}</text>
+                ${polyline(reviewPoints, "trend-reviews")}
+                ${polyline(scorePoints, "trend-score")}
+                ${circles(
+                    reviewPoints,
+                    "trend-reviews",
+                    (s) => `${s.totalReviews}件`
+                )}
+                ${circles(
+                    scorePoints,
+                    "trend-score",
+                    (s) => `スコア${s.trustScore}`
+                )}
+                <text class="trend-label" x="${padding}" y="${
+            height - 6
+        }">${this.formatDate(snapshots[0].timestamp)}</text>
+                <text class="trend-label" x="${width - padding}" y="${
+            height - 6
+        }" text-anchor="end">${this.formatDate(
+            snapshots[snapshots.length - 1].timestamp
+        )}</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * スナップショット1件の行を作成
+     * @param {Object} snapshot - スナップショット
+     * @returns {string} - HTML文字列
+     */
+    createSnapshotRow(snapshot) {
+        const adjustedRating =
+            typeof snapshot.adjustedRating === "number"
+                ? `★${snapshot.adjustedRating.toFixed(1)}`
+                : "";
+        const patternCount = Array.isArray(snapshot.suspiciousPatterns)
+            ? snapshot.suspiciousPatterns.length
+            : 0;
+
+        return `
+            <div class="trend-row">
+                <span class="date">${this.formatDate(snapshot.timestamp)}</span>
+                <span class="trend-row-score">${snapshot.trustScore}</span>
+                <span>${snapshot.totalReviews ?? "-"}件</span>
+                <span class="adjusted-rating">${adjustedRating}</span>
+                <span title="検出パターン数">⚠${patternCount}</span>
+            </div>
+        `;
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString("ja-JP", {
+            month: "numeric",
+            day: "numeric",
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement("div");
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.PlaceTrendView = PlaceTrendView;
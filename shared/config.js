@@ -10,8 +10,12 @@ const DEFAULT_SETTINGS = {
         showDetailedAnalysis: true,
         minimumReviewsForAnalysis: 5,
         suspicionThreshold: 40,
+        scaleTrustLevels: true,
         autoAnalysis: true,
         debugMode: false,
+        reviewSampleSize: 50,
+        dataRetentionDays: 30, // SECURITY_CONFIG.DATA_RETENTION_DAYS
+        advanced: { detectors: {} },
     },
 };
 
@@ -52,6 +56,11 @@ const SETTINGS_SCHEMA = {
                 default: 40,
                 description: "疑念を示すスコア閾値",
             },
+            scaleTrustLevels: {
+                type: "boolean",
+                default: true,
+                description: "信頼度レベルの境界を疑念閾値に合わせて伸縮する",
+            },
             autoAnalysis: {
                 type: "boolean",
                 default: true,
@@ -62,6 +71,61 @@ const SETTINGS_SCHEMA = {
                 default: false,
                 description: "デバッグモード",
             },
+            reviewSampleSize: {
+                type: "number",
+                enum: [20, 50, 100, 200],
+                min: 1,
+                max: 200,
+                default: 50,
+                description: "自動スクロールで収集するレビュー数",
+            },
+            dataRetentionDays: {
+                type: "number",
+                enum: [7, 30, 90, 365],
+                min: 1,
+                max: 365,
+                default: 30,
+                description: "分析履歴を保存する日数",
+            },
+            advanced: {
+                type: "object",
+                validator: "validateAdvancedSettings",
+                default: { detectors: {} },
+                description: "検出器ごとの詳細設定（変更した項目のみ保存）",
+            },
+        },
+    },
+};
+
+/**
+ * 詳細設定（検出器ごとの有効/無効・重み・スコア上限・閾値）の共通の項目定義
+ * 検出器ごとの範囲は DETECTOR_MANIFEST の configSchema で上書きする
+ * 既定値は enabled が true、weight / maxScore が DETECTOR_MANIFEST の値、
+ * threshold が null（分析モードや店舗カテゴリに応じた自動の閾値）
+ */
+const ADVANCED_SETTINGS_SCHEMA = {
+    fields: {
+        enabled: {
+            type: "boolean",
+            description: "有効",
+        },
+        weight: {
+            type: "number",
+            min: 0,
+            max: 3,
+            step: 0.1,
+            description: "重み",
+        },
+        maxScore: {
+            type: "number",
+            min: 0,
+            max: 100,
+            step: 5,
+            description: "スコア上限",
+        },
+        threshold: {
+            type: "number",
+            description: "閾値",
         },
     },
 };
@@ -220,6 +284,33 @@ const PERFORMANCE_CONFIG = {
 
     // メモリ使用量制限
     MAX_CACHED_RESULTS: 50,
+
+    // 分析結果キャッシュ（chrome.storage.local）のキー
+    RESULT_CACHE_STORAGE_KEY: "resultCache",
+
+    // 分析結果に影響する設定（変更されたらキャッシュを使わず再分析する）
+    CACHE_SIGNATURE_SETTINGS: [
+        "analysisMode",
+        "minimumReviewsForAnalysis",
+        "suspicionThreshold",
+        "scaleTrustLevels",
+        "reviewSampleSize",
+        "advanced",
+    ],
+};
+
+/**
+ * 分析履歴データベース（IndexedDB）の設定
+ */
+const HISTORY_DB_CONFIG = {
+    NAME: "mra-history",
+    // 2: 場所ごとの時系列（placeKeyインデックス）を追加
+    // 3: placeKeyをURLから取り出した場所IDで付け直す（MRA_PLACE_IDENTITY）
+    VERSION: 3,
+    STORE: "analyses",
+
+    // 移行元（chrome.storage.local の配列）のキー
+    LEGACY_STORAGE_KEY: "analysisHistory",
 };
 
 /**
@@ -240,61 +331,967 @@ const I18N_CONFIG = {
         "zh",
     ],
 
-    // 日付パターン（各言語での「最近」を示すパターン）
-    RECENT_DATE_PATTERNS: {
-        ja: [/(\d+)日前/, /(\d+)週間前/, /(\d+)時間前/, /(\d+)分前/],
-        en: [
-            /(\d+)\s+days?\s+ago/,
-            /(\d+)\s+weeks?\s+ago/,
-            /(\d+)\s+hours?\s+ago/,
-            /(\d+)\s+minutes?\s+ago/,
+    // 相対日付パターン（「3週間前」「a month ago」など）
+    // {n} は数字またはNUMERALSの語（"a"、"einem"、"한" など）に置き換えてから照合する
+    RELATIVE_DATE_PATTERNS: {
+        // 単位ごとの日数
+        UNIT_DAYS: {
+            minutes: 1 / 1440,
+            hours: 1 / 24,
+            days: 1,
+            weeks: 7,
+            months: 30,
+            years: 365,
+        },
+
+        // 編集済みマーカー（解析前に取り除く）
+        EDITED_MARKERS: [
+            /[(（]?\s*(?:edited|編集済み|bearbeitet|modifié|editado|editada|modificato|modificata|изменено|수정됨|已编辑|已編輯)\s*[)）]?/i,
+        ],
+
+        // 投稿元の表示（「3 months ago on Google」「1 か月前に Google で」。解析前に取り除く）
+        SOURCE_MARKERS: [
+            /\s*(?:on|auf|sur|en|su|no|на|в)\s+Google\s*$/i,
+            /\s*に?\s*Google\s*(?:で|에서)\s*$/i,
+        ],
+
+        // 語で表された数
+        NUMERALS: {
+            ja: { 一: 1, 二: 2, 三: 3 },
+            en: { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5 },
+            de: { ein: 1, einem: 1, einer: 1, zwei: 2, drei: 3, vier: 4 },
+            fr: { un: 1, une: 1, deux: 2, trois: 3, quatre: 4 },
+            es: { un: 1, una: 1, dos: 2, tres: 3, cuatro: 4 },
+            it: { un: 1, una: 1, due: 2, tre: 3, quattro: 4 },
+            pt: { um: 1, uma: 1, dois: 2, duas: 2, três: 3, quatro: 4 },
+            ru: { один: 1, одну: 1, два: 2, две: 2, три: 3, четыре: 4 },
+            ko: { 한: 1, 두: 2, 세: 3, 네: 4 },
+            zh: { 一: 1, 两: 2, 兩: 2, 二: 2, 三: 3, 四: 4 },
+        },
+
+        // value を持つパターンは数を含まない表現（「昨日」など）
+        // ru の「месяц назад」のように数を省略した表現は1として扱う
+        LOCALES: {
+            ja: [
+                { pattern: "{n}\\s*分前", unit: "minutes" },
+                { pattern: "{n}\\s*時間前", unit: "hours" },
+                { pattern: "{n}\\s*日前", unit: "days" },
+                { pattern: "{n}\\s*週間前", unit: "weeks" },
+                { pattern: "{n}\\s*[かヶカケ]?月前", unit: "months" },
+                { pattern: "{n}\\s*年前", unit: "years" },
+                { pattern: "一昨日", unit: "days", value: 2 },
+                { pattern: "昨日", unit: "days", value: 1 },
+            ],
+            en: [
+                { pattern: "\\b{n}\\s+minutes?\\s+ago", unit: "minutes" },
+                { pattern: "\\b{n}\\s+hours?\\s+ago", unit: "hours" },
+                { pattern: "\\b{n}\\s+days?\\s+ago", unit: "days" },
+                { pattern: "\\b{n}\\s+weeks?\\s+ago", unit: "weeks" },
+                { pattern: "\\b{n}\\s+months?\\s+ago", unit: "months" },
+                { pattern: "\\b{n}\\s+years?\\s+ago", unit: "years" },
+                { pattern: "\\byesterday\\b", unit: "days", value: 1 },
+            ],
+            de: [
+                { pattern: "vor\\s+{n}\\s+Minuten?", unit: "minutes" },
+                { pattern: "vor\\s+{n}\\s+Stunden?", unit: "hours" },
+                { pattern: "vor\\s+{n}\\s+Tag(?:en)?", unit: "days" },
+                { pattern: "vor\\s+{n}\\s+Wochen?", unit: "weeks" },
+                { pattern: "vor\\s+{n}\\s+Monat(?:en)?", unit: "months" },
+                { pattern: "vor\\s+{n}\\s+Jahr(?:en)?", unit: "years" },
+                { pattern: "\\bgestern\\b", unit: "days", value: 1 },
+            ],
+            fr: [
+                { pattern: "il\\s+y\\s+a\\s+{n}\\s+minutes?", unit: "minutes" },
+                { pattern: "il\\s+y\\s+a\\s+{n}\\s+heures?", unit: "hours" },
+                { pattern: "il\\s+y\\s+a\\s+{n}\\s+jours?", unit: "days" },
+                { pattern: "il\\s+y\\s+a\\s+{n}\\s+semaines?", unit: "weeks" },
+                { pattern: "il\\s+y\\s+a\\s+{n}\\s+mois", unit: "months" },
+                { pattern: "il\\s+y\\s+a\\s+{n}\\s+ans?", unit: "years" },
+                { pattern: "\\bhier\\b", unit: "days", value: 1 },
+            ],
+            es: [
+                { pattern: "hace\\s+{n}\\s+minutos?", unit: "minutes" },
+                { pattern: "hace\\s+{n}\\s+horas?", unit: "hours" },
+                { pattern: "hace\\s+{n}\\s+días?", unit: "days" },
+                { pattern: "hace\\s+{n}\\s+semanas?", unit: "weeks" },
+                { pattern: "hace\\s+{n}\\s+mes(?:es)?", unit: "months" },
+                { pattern: "hace\\s+{n}\\s+años?", unit: "years" },
+                { pattern: "\\bayer\\b", unit: "days", value: 1 },
+            ],
+            it: [
+                { pattern: "\\b{n}\\s+minut[oi]\\s+fa", unit: "minutes" },
+                { pattern: "\\b{n}\\s+or[ae]\\s+fa", unit: "hours" },
+                { pattern: "\\b{n}\\s+giorn[oi]\\s+fa", unit: "days" },
+                { pattern: "\\b{n}\\s+settiman[ae]\\s+fa", unit: "weeks" },
+                { pattern: "\\b{n}\\s+mes[ei]\\s+fa", unit: "months" },
+                { pattern: "\\b{n}\\s+ann[oi]\\s+fa", unit: "years" },
+                { pattern: "\\bieri\\b", unit: "days", value: 1 },
+            ],
+            pt: [
+                { pattern: "há\\s+{n}\\s+minutos?", unit: "minutes" },
+                { pattern: "há\\s+{n}\\s+horas?", unit: "hours" },
+                { pattern: "há\\s+{n}\\s+dias?", unit: "days" },
+                { pattern: "há\\s+{n}\\s+semanas?", unit: "weeks" },
+                { pattern: "há\\s+{n}\\s+(?:mês|meses)", unit: "months" },
+                { pattern: "há\\s+{n}\\s+anos?", unit: "years" },
+                { pattern: "\\bontem\\b", unit: "days", value: 1 },
+            ],
+            ru: [
+                { pattern: "(?:{n}\\s+)?минут\\S*\\s+назад", unit: "minutes" },
+                { pattern: "(?:{n}\\s+)?час\\S*\\s+назад", unit: "hours" },
+                { pattern: "{n}\\s+(?:день|дня|дней)\\s+назад", unit: "days" },
+                { pattern: "(?:{n}\\s+)?недел\\S*\\s+назад", unit: "weeks" },
+                { pattern: "(?:{n}\\s+)?месяц\\S*\\s+назад", unit: "months" },
+                {
+                    pattern: "(?:{n}\\s+)?(?:год|года|лет)\\s+назад",
+                    unit: "years",
+                },
+                { pattern: "вчера", unit: "days", value: 1 },
+            ],
+            ko: [
+                { pattern: "{n}\\s*분\\s*전", unit: "minutes" },
+                { pattern: "{n}\\s*시간\\s*전", unit: "hours" },
+                { pattern: "{n}\\s*일\\s*전", unit: "days" },
+                { pattern: "{n}\\s*주\\s*전", unit: "weeks" },
+                { pattern: "{n}\\s*(?:개월|달)\\s*전", unit: "months" },
+                { pattern: "{n}\\s*년\\s*전", unit: "years" },
+                { pattern: "어제", unit: "days", value: 1 },
+            ],
+            zh: [
+                { pattern: "{n}\\s*分(?:钟|鐘)前", unit: "minutes" },
+                { pattern: "{n}\\s*(?:个|個)?小(?:时|時)前", unit: "hours" },
+                { pattern: "{n}\\s*天前", unit: "days" },
+                { pattern: "{n}\\s*(?:周|週|星期)前", unit: "weeks" },
+                { pattern: "{n}\\s*(?:个|個)月前", unit: "months" },
+                { pattern: "{n}\\s*年前", unit: "years" },
+                { pattern: "昨天", unit: "days", value: 1 },
+            ],
+        },
+    },
+
+    // 折りたたみ展開ボタンのラベル（「もっと見る」など）
+    // 「その他の操作」メニュー等を誤って押さないよう完全一致で判定する
+    EXPAND_BUTTON_LABELS: [
+        /^(?:See\s+)?more$/i,
+        /^もっと見る$/,
+        /^(?:Mehr|Mehr anzeigen)$/i,
+        /^(?:Plus|Voir plus)$/i,
+        /^(?:Más|Ver más)$/i,
+        /^(?:Altro|Mostra altro)$/i,
+        /^(?:Mais|Ver mais)$/i,
+        /^(?:Ещё|Еще)$/i,
+        /^(?:자세히|더보기)$/,
+        /^(?:更多|顯示更多|显示更多|展开)$/,
+    ],
+
+    // 店舗カテゴリ（タイトル下のカテゴリ表示）の判定パターン
+    // 上から順に最初に一致したものを採用するため、より具体的なカテゴリを先に置く
+    // （「ホテル内レストラン」「Hotel restaurant」は飲食店、「バーバー」は理容として扱う）
+    // 自動車は販売店のみを対象とし、整備工場・修理店は一致させない
+    CATEGORY_PATTERNS: {
+        clinic: [
+            /病院|医院|クリニック|診療所|歯科|動物病院/,
+            /\b(?:hospital|clinic|doctor|dentist|dental|medical|physician|veterinar)/i,
+            /Klinik|Krankenhaus|Arzt|Zahnarzt|Praxis/i,
+            /hôpital|clinique|médecin|dentiste|cabinet\s+médical/i,
+            /hospital|clínica|médico|dentista|ospedale|clinica|medico/i,
+            /больниц|клиник|стоматолог|врач/i,
+            /병원|의원|치과|클리닉/,
+            /医院|醫院|诊所|診所|牙科/,
+        ],
+        beauty: [
+            /美容|ヘアサロン|理容|バーバー|ネイル|エステ/,
+            /\b(?:hair|beauty|nail)\s+salon|\bbarber|\bspa\b/i,
+            /Friseur|Kosmetik|Nagelstudio/i,
+            /coiffeur|salon\s+de\s+beauté|institut\s+de\s+beauté/i,
+            /peluquería|salón\s+de\s+belleza|parrucchiere|cabeleireiro/i,
+            /парикмахерск|салон\s+красоты/i,
+            /미용실|헤어샵|네일/,
+            /美容院|理发|理髮|美甲/,
         ],
-        de: [
-            /vor\s+(\d+)\s+Tagen?/,
-            /vor\s+(\d+)\s+Wochen?/,
-            /vor\s+(\d+)\s+Stunden?/,
+        restaurant: [
+            /レストラン|食堂|料理|居酒屋|ラーメン|寿司|焼肉|カフェ|喫茶|ベーカリー|バー/,
+            /\b(?:restaurant|cafe|coffee|bar|pub|bistro|bakery|diner|pizzeria|eatery|food)\b/i,
+            /Restaurant|Gaststätte|Café|Kneipe|Bäckerei|Imbiss/i,
+            /restaurant|brasserie|boulangerie/i,
+            /restaurante|cafetería|ristorante|trattoria|pizzeria|lanchonete/i,
+            /ресторан|кафе|кофейн|столов/i,
+            /음식점|식당|레스토랑|카페|주점/,
+            /餐厅|餐廳|饭馆|飯館|咖啡|小吃|酒吧/,
         ],
-        fr: [
-            /il\s+y\s+a\s+(\d+)\s+jours?/,
-            /il\s+y\s+a\s+(\d+)\s+semaines?/,
-            /il\s+y\s+a\s+(\d+)\s+heures?/,
+        hotel: [
+            /ホテル|旅館|宿泊|ゲストハウス|ホステル/,
+            /\b(?:hotel|motel|inn|hostel|resort|guest\s*house|b&b)\b/i,
+            /Hotel|Pension|Gasthof|Unterkunft/i,
+            /hôtel|auberge|chambre\s+d'hôtes/i,
+            /hotel|hostal|albergo|pousada|pensione/i,
+            /гостиниц|отель|хостел/i,
+            /호텔|모텔|게스트하우스|리조트/,
+            /酒店|飯店|饭店|旅馆|旅館|民宿|宾馆|賓館/,
         ],
-        es: [
-            /hace\s+(\d+)\s+días?/,
-            /hace\s+(\d+)\s+semanas?/,
-            /hace\s+(\d+)\s+horas?/,
+        car_dealer: [
+            /自動車(?:販売|ディーラー)|カーディーラー|中古車(?:販売|店)?|車販売/,
+            /\b(?:car|auto(?:mobile)?|vehicle)\s+dealer|\bused\s+car/i,
+            /Autohaus|Autohändler|Gebrauchtwagen/i,
+            /concessionnaire|voitures\s+d'occasion/i,
+            /concesionario|concessionaria|concessionária/i,
+            /автосалон|автодилер/i,
+            /자동차\s*(?:대리점|판매)|중고차/,
+            /汽车经销商|汽車經銷商|二手车|二手車|车行|車行/,
         ],
     },
+
+    // オーナー返信の見出し（「オーナーからの返信」など）
+    OWNER_RESPONSE_LABELS: [
+        /Response\s+from\s+the\s+owner/i,
+        /オーナーからの返信/,
+        /Antwort\s+vom\s+Inhaber/i,
+        /Réponse\s+du\s+propriétaire/i,
+        /Respuesta\s+del\s+propietario/i,
+        /Risposta\s+del\s+proprietario/i,
+        /Resposta\s+do\s+proprietário/i,
+        /Ответ\s+владельца/i,
+        /소유자\s*답글|사장님\s*답글/,
+        /業主回覆|商家回复|店主回复|业主回复/,
+    ],
+
+    // 見返り（割引・無料サービス等）を示唆する表現
+    // 「無料駐車場」「gluten free」のような普通の用法を拾わないよう、
+    // 同じ文に INCENTIVE_CONTEXT_PATTERNS（レビュー・星評価を指す語）があるときだけ見返りとみなす
+    // \b はASCII以外の文字（"cupón" の ó など）を単語の一部とみなさないため、\p{L} で語の境界を判定する
+    INCENTIVE_PATTERNS: [
+        /無料|サービスして|割引|クーポン|プレゼント|特典/,
+        /(?<![\p{L}])(?:free|discount|coupon|voucher|gift|complimentary|in\s+exchange)(?![\p{L}])/iu,
+        /(?<![\p{L}])(?:gratis|kostenlos|gutschein|rabatt)(?![\p{L}])/iu,
+        /(?<![\p{L}])(?:gratuit|offert|réduction|bon\s+d'achat)(?![\p{L}])/iu,
+        /(?<![\p{L}])(?:descuento|cupón|regalo|gratuito)(?![\p{L}])/iu,
+        /(?<![\p{L}])(?:sconto|omaggio|buono)(?![\p{L}])/iu,
+        /бесплатн|скидк|подар/iu,
+        /무료|할인|쿠폰|서비스\s*받/u,
+        /免费|免費|折扣|优惠券|優惠券|赠送|贈送/u,
+    ],
+
+    // 見返りの対象がレビュー・星評価であることを示す語
+    INCENTIVE_CONTEXT_PATTERNS: [
+        /口コミ|クチコミ|レビュー|投稿|星[1-5１-５]|星5つ|[★☆]/,
+        /(?<![\p{L}])(?:reviews?|rating|stars?|\d-star)(?![\p{L}])/iu,
+        /(?<![\p{L}])(?:bewertung(?:en)?|rezension|sterne)(?![\p{L}])/iu,
+        /(?<![\p{L}])(?:avis|étoiles?)(?![\p{L}])/iu,
+        /(?<![\p{L}])(?:reseñas?|opinión|valoración|estrellas?)(?![\p{L}])/iu,
+        /(?<![\p{L}])(?:recensione|stelle)(?![\p{L}])/iu,
+        /(?<![\p{L}])(?:avaliação|estrelas?)(?![\p{L}])/iu,
+        /отзыв|звезд/iu,
+        /리뷰|후기|별점/u,
+        /评论|評論|好评|好評|评价|評價|五星/u,
+    ],
+
+    // 見返りの表現と文脈の語を同じ文として照合する区切り
+    INCENTIVE_SENTENCE_BOUNDARY: /[。．！？!?\n]|\.(?!\d)/,
+
+    // 投稿者情報パターン（投稿者名の下に表示される「N件のクチコミ・写真M枚」など）
+    REVIEWER_PATTERNS: {
+        LOCAL_GUIDE: [
+            /Local\s*Guide/i,
+            /ローカルガイド/,
+            /Guide\s+local/i,
+            /Guida\s+locale/i,
+            /Guia\s+local/i,
+            /Местный\s+эксперт/i,
+            /로컬\s*가이드/,
+            /在地嚮導|本地向导|本地指南/,
+        ],
+        LEVEL: [
+            /Level\s*(\d+)/i,
+            /レベル\s*(\d+)/,
+            /Stufe\s*(\d+)/i,
+            /Niveau\s*(\d+)/i,
+            /Nivel\s*(\d+)/i,
+            /Livello\s*(\d+)/i,
+            /Уровень\s*(\d+)/i,
+            /레벨\s*(\d+)/,
+            /(\d+)\s*级/,
+        ],
+        REVIEW_COUNT: [
+            /クチコミ\s*(\d[\d,]*)\s*件/,
+            /(\d[\d,]*)\s*件のクチコミ/,
+            /리뷰\s*(\d[\d,]*)\s*개/,
+            /(\d[\d,.]*)\s*(?:reviews?|Rezensionen|Rezension|Bewertungen|Bewertung|avis|reseñas?|recensioni|recensione|avaliações|avaliação|отзыв\S*|則評論|条评价|条评论)/i,
+        ],
+        PHOTO_COUNT: [
+            /写真\s*(\d[\d,]*)\s*枚/,
+            /사진\s*(\d[\d,]*)\s*장/,
+            /(\d[\d,.]*)\s*(?:photos?|Fotos?|foto|фото\S*|張相片|张照片)/i,
+        ],
+    },
+
+    // 感情分析の辞書（ロケールごと）
+    // WORD_BOUNDARY: 単語単位で照合するか（日本語・中国語・韓国語は語幹の部分一致）
+    // NEGATORS: 直前の語（日本語・中国語は直前の文字）にあれば極性を反転する否定語
+    // NEGATION_SUFFIX: 直後に続けば極性を反転する否定表現（「美味しくない」「좋지 않다」）
+    // CONTRASTS: 否定の範囲を区切る逆接の接続詞（"not cheap but good" の good は否定しない）
+    // NEGATION_EXCEPTIONS: 同じ節にあれば否定ではなく強調とみなす表現（"can't recommend enough"）
+    // HINTS: レビューの言語を推定する頻出語（ラテン文字の語、中国語は漢字）。"toll"・"sale" など別言語の語を数えないため
+    SENTIMENT_LEXICON: {
+        ja: {
+            WORD_BOUNDARY: false,
+            POSITIVE: [
+                "美味し",
+                "おいし",
+                "素晴らし",
+                "すばらし",
+                "最高",
+                "完璧",
+                "満足",
+                "おすすめ",
+                "オススメ",
+                "快適",
+                "綺麗",
+                "きれい",
+                "親切",
+                "丁寧",
+                "良か",
+                "良い",
+                "良く",
+                "よかった",
+                "楽し",
+                "感動",
+                "リピート",
+                "また来たい",
+            ],
+            NEGATIVE: [
+                "不味",
+                "マズ",
+                "最悪",
+                "ひど",
+                "酷",
+                "不満",
+                "汚",
+                "不親切",
+                "残念",
+                "がっかり",
+                "二度と",
+                "失礼",
+                "態度が悪",
+                "悪い",
+                "悪か",
+                "悪く",
+                "高すぎ",
+                "待たされ",
+                "うるさ",
+            ],
+            NEGATORS: [],
+            // 活用形（〜くない・〜じゃない・〜ではない・〜できない・〜ません・〜ず）に限り、
+            // 「綺麗なかんじ」「なかなか」のような「な」で始まる別の語は否定とみなさない
+            // 語幹が「く」で終わる語（「良く」）は直後の「ない」をそのまま否定とする
+            NEGATION_SUFFIX:
+                /^(?:(?:く|じゃ|では|でき|し|はし)(?:ない|なかっ|なく|なけれ|ありません)|(?:ない|なかっ|なくて|ありません)(?![いうえおすらりるれろ])|[\u3040-\u309f]{0,2}?(?:ません|ず(?:[にの]|(?![\u3040-\u309f]))))/,
+        },
+        en: {
+            WORD_BOUNDARY: true,
+            POSITIVE: [
+                "good",
+                "great",
+                "excellent",
+                "amazing",
+                "perfect",
+                "wonderful",
+                "fantastic",
+                "awesome",
+                "delicious",
+                "friendly",
+                "recommend",
+                "love",
+                "loved",
+                "best",
+                "clean",
+                "tasty",
+                "helpful",
+            ],
+            NEGATIVE: [
+                "bad",
+                "terrible",
+                "awful",
+                "horrible",
+                "disgusting",
+                "worst",
+                "hate",
+                "disappointing",
+                "disappointed",
+                "poor",
+                "rude",
+                "dirty",
+                "overpriced",
+                "never again",
+                "waste",
+            ],
+            NEGATORS: [
+                "not",
+                "no",
+                "never",
+                "isn't",
+                "wasn't",
+                "aren't",
+                "weren't",
+                "don't",
+                "didn't",
+                "doesn't",
+                "can't",
+                "cannot",
+                "won't",
+                "hardly",
+            ],
+            CONTRASTS: ["but", "however", "although", "though", "yet"],
+            NEGATION_EXCEPTIONS: [/\benough\b/],
+            HINTS: [
+                "the",
+                "and",
+                "was",
+                "were",
+                "is",
+                "with",
+                "very",
+                "this",
+                "we",
+                "they",
+            ],
+        },
+        de: {
+            WORD_BOUNDARY: true,
+            POSITIVE: [
+                "gut",
+                "super",
+                "lecker",
+                "toll",
+                "freundlich",
+                "empfehlenswert",
+                "ausgezeichnet",
+                "perfekt",
+                "sauber",
+            ],
+            NEGATIVE: [
+                "schlecht",
+                "schrecklich",
+                "unfreundlich",
+                "enttäuschend",
+                "enttäuscht",
+                "dreckig",
+                "schmutzig",
+                "teuer",
+                "nie wieder",
+            ],
+            NEGATORS: ["nicht", "kein", "keine", "nie"],
+            CONTRASTS: ["aber", "doch", "jedoch", "sondern"],
+            HINTS: [
+                "der",
+                "die",
+                "das",
+                "und",
+                "ist",
+                "war",
+                "sehr",
+                "nicht",
+                "mit",
+                "ein",
+            ],
+        },
+        fr: {
+            WORD_BOUNDARY: true,
+            POSITIVE: [
+                "bon",
+                "bonne",
+                "excellent",
+                "délicieux",
+                "parfait",
+                "super",
+                "agréable",
+                "sympa",
+                "recommande",
+            ],
+            NEGATIVE: [
+                "mauvais",
+                "horrible",
+                "décevant",
+                "déçu",
+                "sale",
+                "désagréable",
+                "nul",
+                "cher",
+                "jamais plus",
+            ],
+            NEGATORS: ["pas", "jamais", "aucun"],
+            CONTRASTS: ["mais", "cependant", "pourtant"],
+            HINTS: [
+                "le",
+                "les",
+                "et",
+                "est",
+                "très",
+                "avec",
+                "pas",
+                "une",
+                "des",
+                "nous",
+            ],
+        },
+        es: {
+            WORD_BOUNDARY: true,
+            POSITIVE: [
+                "bueno",
+                "buena",
+                "excelente",
+                "delicioso",
+                "rico",
+                "perfecto",
+                "genial",
+                "amable",
+                "recomiendo",
+            ],
+            NEGATIVE: [
+                "malo",
+                "mala",
+                "horrible",
+                "terrible",
+                "decepcionante",
+                "sucio",
+                "caro",
+                "grosero",
+                "pésimo",
+            ],
+            NEGATORS: ["no", "nunca", "ni"],
+            CONTRASTS: ["pero", "sino", "aunque"],
+            HINTS: [
+                "el",
+                "los",
+                "y",
+                "es",
+                "muy",
+                "con",
+                "pero",
+                "una",
+                "del",
+                "fue",
+            ],
+        },
+        it: {
+            WORD_BOUNDARY: true,
+            POSITIVE: [
+                "buono",
+                "buona",
+                "ottimo",
+                "eccellente",
+                "delizioso",
+                "perfetto",
+                "gentile",
+                "consiglio",
+            ],
+            NEGATIVE: [
+                "cattivo",
+                "pessimo",
+                "orribile",
+                "deludente",
+                "sporco",
+                "caro",
+                "scortese",
+            ],
+            NEGATORS: ["non", "mai"],
+            CONTRASTS: ["ma", "però", "tuttavia"],
+            HINTS: [
+                "il",
+                "gli",
+                "e",
+                "è",
+                "molto",
+                "con",
+                "non",
+                "una",
+                "della",
+                "era",
+            ],
+        },
+        pt: {
+            WORD_BOUNDARY: true,
+            POSITIVE: [
+                "bom",
+                "boa",
+                "ótimo",
+                "excelente",
+                "delicioso",
+                "perfeito",
+                "simpático",
+                "recomendo",
+            ],
+            NEGATIVE: [
+                "ruim",
+                "péssimo",
+                "horrível",
+                "decepcionante",
+                "sujo",
+                "caro",
+                "grosseiro",
+            ],
+            NEGATORS: ["não", "nunca", "nem"],
+            CONTRASTS: ["mas", "porém", "embora"],
+            HINTS: [
+                "o",
+                "os",
+                "e",
+                "é",
+                "muito",
+                "com",
+                "não",
+                "uma",
+                "do",
+                "foi",
+            ],
+        },
+        ru: {
+            WORD_BOUNDARY: true,
+            POSITIVE: [
+                "хорошо",
+                "хороший",
+                "отлично",
+                "отличный",
+                "вкусно",
+                "вкусный",
+                "прекрасно",
+                "рекомендую",
+            ],
+            NEGATIVE: [
+                "плохо",
+                "плохой",
+                "ужасно",
+                "ужасный",
+                "невкусно",
+                "грязно",
+                "дорого",
+                "грубый",
+            ],
+            NEGATORS: ["не", "нет", "никогда"],
+            CONTRASTS: ["но", "однако", "зато"],
+        },
+        ko: {
+            WORD_BOUNDARY: false,
+            POSITIVE: ["좋", "맛있", "최고", "친절", "깨끗", "추천", "만족"],
+            NEGATIVE: [
+                "별로",
+                "맛없",
+                "최악",
+                "불친절",
+                "더럽",
+                "실망",
+                "비싸",
+            ],
+            NEGATORS: ["안", "못"],
+            CONTRASTS: ["하지만", "그런데", "그러나"],
+            NEGATION_SUFFIX: /^[가-힣]{0,2}\s?(?:지\s?않|지\s?못)/,
+        },
+        zh: {
+            WORD_BOUNDARY: false,
+            POSITIVE: [
+                "好吃",
+                "好",
+                "棒",
+                "美味",
+                "满意",
+                "滿意",
+                "推荐",
+                "推薦",
+                "干净",
+                "乾淨",
+                "热情",
+                "熱情",
+            ],
+            NEGATIVE: [
+                "难吃",
+                "難吃",
+                "差",
+                "糟糕",
+                "失望",
+                "脏",
+                "髒",
+                "贵",
+                "貴",
+                "不满",
+                "不滿",
+            ],
+            NEGATORS: ["不", "没", "沒", "无", "無", "别", "別"],
+            CONTRASTS: ["但", "可是", "不过", "不過", "然而"],
+            HINTS: [
+                "的",
+                "了",
+                "是",
+                "很",
+                "也",
+                "都",
+                "这",
+                "這",
+                "我们",
+                "没有",
+            ],
+        },
+    },
+
+    // 否定の範囲を区切る句読点（否定語はこれを越えて後ろの語に掛からない）
+    CLAUSE_BOUNDARY: /[,.!?;:、。，！？；：]/,
+
+    // 星評価パターン（各言語でのレビュー単位の星評価aria-label）
+    // より具体的なパターン（「5つ星のうち4」など）を先に並べる
+    STAR_RATING_PATTERNS: {
+        ja: [
+            /5\s*つ星のうち\s*(\d(?:\.\d)?)/,
+            /(\d(?:\.\d)?)\s*つ星/,
+            /星\s*(\d(?:\.\d)?)\s*つ/,
+        ],
+        en: [
+            /(\d(?:\.\d)?)\s+out\s+of\s+5/i,
+            /rated\s+(\d(?:\.\d)?)/i,
+            /(\d(?:\.\d)?)\s*stars?/i,
+        ],
+        de: [/(\d(?:,\d)?)\s+von\s+5/i, /(\d(?:,\d)?)\s*Sterne?/i],
+        fr: [/(\d(?:,\d)?)\s+sur\s+5/i, /(\d(?:,\d)?)\s*étoiles?/i],
+        es: [/(\d(?:,\d)?)\s+de\s+5/i, /(\d(?:,\d)?)\s*estrellas?/i],
+        it: [/(\d(?:,\d)?)\s+su\s+5/i, /(\d(?:,\d)?)\s*stell[ae]/i],
+        pt: [/(\d(?:,\d)?)\s+de\s+5/i, /(\d(?:,\d)?)\s*estrelas?/i],
+        ru: [/(\d(?:,\d)?)\s+из\s+5/i, /(\d(?:,\d)?)\s*звезд/i],
+        ko: [/별표\s*5개\s*중\s*(\d(?:\.\d)?)/, /별표\s*(\d(?:\.\d)?)\s*개/],
+        zh: [/(\d(?:\.\d)?)\s*(?:星|顆星|颗星)/],
+    },
 };
 
 /**
- * 分析アルゴリズムの重み設定
+ * 検出器のマニフェスト（検出器のメタデータを定義する唯一の表）
+ * 既定の重み・スコア上限・説明と、詳細設定で変更できる項目の範囲（configSchema）を持つ。
+ * 詳細設定の検証（CONFIG_VALIDATORS）・既定値（CONFIG_UTILS.getDetectorDefaults）・
+ * ポップアップの詳細設定欄・コンテンツ側の DetectorRegistry はすべてこの表を参照するため、
+ * 検出器を追加する場合はここに1件追加し、検出関数を DetectorRegistry に登録するだけでよい
  */
-const ANALYSIS_WEIGHTS = {
+const DETECTOR_MANIFEST = {
     polarizedRatings: {
+        description: "極端な評価の偏り",
         weight: 1.0,
         maxScore: 90,
-        description: "極端な評価の偏り",
+        configSchema: {
+            threshold: {
+                min: 0.3,
+                max: 1,
+                step: 0.05,
+                description: "★1と★5が占める比率",
+            },
+        },
     },
     burstPosting: {
+        description: "短期間での集中投稿",
         weight: 0.8,
         maxScore: 80,
-        description: "短期間での集中投稿",
+        configSchema: {
+            threshold: {
+                min: 0.0001,
+                max: 0.2,
+                step: 0.001,
+                description: "有意水準（p値）",
+            },
+        },
     },
     shortReviews: {
+        description: "極端に短いレビュー",
         weight: 0.6,
         maxScore: 60,
-        description: "極端に短いレビュー",
+        configSchema: {
+            threshold: {
+                min: 0,
+                max: 1,
+                step: 0.05,
+                description: "短いレビューの比率",
+            },
+        },
     },
     duplicatePatterns: {
+        description: "類似・重複レビュー",
         weight: 1.2,
         maxScore: 100,
-        description: "類似・重複レビュー",
+        configSchema: {
+            threshold: {
+                min: 0.2,
+                max: 1,
+                step: 0.05,
+                description: "同じグループとみなす類似度",
+            },
+        },
     },
     newAccounts: {
+        description: "新規アカウントからの投稿",
         weight: 0.5,
         maxScore: 50,
-        description: "新規アカウントからの投稿",
+        configSchema: {
+            threshold: {
+                min: 0,
+                max: 1,
+                step: 0.05,
+                description: "新規アカウントの比率",
+            },
+        },
+    },
+    ratingShift: {
+        description: "最近の評価分布の変化",
+        weight: 0.8,
+        maxScore: 70,
+        configSchema: {
+            threshold: {
+                min: 0,
+                max: 1,
+                step: 0.05,
+                description: "評価分布の変化量（全変動距離）",
+            },
+        },
+    },
+    ownerReplies: {
+        description: "オーナー返信の不自然な傾向",
+        weight: 0.6,
+        maxScore: 50,
+        configSchema: {
+            threshold: {
+                min: 0,
+                max: 1,
+                step: 0.05,
+                description: "各兆候を検出とみなす比率",
+            },
+        },
+    },
+    sentimentMismatch: {
+        description: "星評価と本文の食い違い",
+        weight: 0.7,
+        maxScore: 60,
+        configSchema: {
+            threshold: {
+                min: 0,
+                max: 1,
+                step: 0.05,
+                description: "評価と本文が食い違うレビューの比率",
+            },
+        },
+    },
+};
+
+/**
+ * 評価分布の適合度検定に使う参照分布
+ * レビュー件数（reviewCount）ごとのプロファイルに、平均評価の異なる典型的な店舗の分布を持つ。
+ * 対象の平均評価に合わせて隣り合う分布を混合し、さらに件数の対数で2つのプロファイルを混合する
+ * 件数の少ない店舗は★1と★5に偏りやすく、件数が増えるほど★2〜★4が増えて分布がなだらかになる
+ */
+const RATING_REFERENCE_DISTRIBUTIONS = [
+    {
+        reviewCount: 50, // 件数の少ない店舗
+        distributions: [
+            { 1: 0.82, 2: 0.06, 3: 0.03, 4: 0.02, 5: 0.07 }, // 平均 約1.5
+            { 1: 0.6, 2: 0.08, 3: 0.06, 4: 0.05, 5: 0.21 }, // 平均 約2.2
+            { 1: 0.36, 2: 0.07, 3: 0.09, 4: 0.11, 5: 0.37 }, // 平均 約3.1
+            { 1: 0.2, 2: 0.05, 3: 0.09, 4: 0.18, 5: 0.48 }, // 平均 約3.7
+            { 1: 0.09, 2: 0.03, 3: 0.06, 4: 0.2, 5: 0.62 }, // 平均 約4.2
+            { 1: 0.04, 2: 0.02, 3: 0.03, 4: 0.12, 5: 0.79 }, // 平均 約4.6
+            { 1: 0.015, 2: 0.005, 3: 0.01, 4: 0.05, 5: 0.92 }, // 平均 約4.9
+        ],
+    },
+    {
+        reviewCount: 1000, // 件数の多い店舗
+        distributions: [
+            { 1: 0.8, 2: 0.08, 3: 0.04, 4: 0.03, 5: 0.05 }, // 平均 約1.5
+            { 1: 0.55, 2: 0.12, 3: 0.1, 4: 0.08, 5: 0.15 }, // 平均 約2.2
+            { 1: 0.3, 2: 0.12, 3: 0.16, 4: 0.17, 5: 0.25 }, // 平均 約3.0
+            { 1: 0.15, 2: 0.08, 3: 0.15, 4: 0.25, 5: 0.37 }, // 平均 約3.6
+            { 1: 0.06, 2: 0.04, 3: 0.1, 4: 0.3, 5: 0.5 }, // 平均 約4.1
+            { 1: 0.03, 2: 0.02, 3: 0.05, 4: 0.2, 5: 0.7 }, // 平均 約4.5
+            { 1: 0.01, 2: 0.01, 3: 0.02, 4: 0.08, 5: 0.88 }, // 平均 約4.8
+        ],
+    },
+];
+
+/**
+ * 店舗カテゴリごとの基準プロファイル
+ * 業種によって自然なレビューの傾向が異なるため、検出の閾値をカテゴリごとに切り替える
+ * 指定のない項目は default の値を使う
+ */
+const CATEGORY_BASELINES = {
+    default: {
+        label: "一般",
+        POLARIZED_THRESHOLD_OFFSET: 0, // 分析モードごとの極端評価の閾値への加算
+        SHORT_REVIEW_THRESHOLD: 0.4,
+        NEW_ACCOUNT_THRESHOLD: 0.3,
+        RATING_SHIFT_THRESHOLD: 0.3,
+        EXPECTED_PHOTO_RATIO: 0.15, // 写真付きレビューの標準的な比率
+    },
+    restaurant: {
+        label: "飲食店",
+        SHORT_REVIEW_THRESHOLD: 0.45, // 「美味しい」だけの短いレビューが多い
+        EXPECTED_PHOTO_RATIO: 0.3,
+    },
+    hotel: {
+        label: "宿泊施設",
+        SHORT_REVIEW_THRESHOLD: 0.3, // 詳しく書かれることが多い
+        NEW_ACCOUNT_THRESHOLD: 0.35, // 旅行者が一度だけ投稿することが多い
+        EXPECTED_PHOTO_RATIO: 0.25,
+    },
+    clinic: {
+        label: "医療機関",
+        POLARIZED_THRESHOLD_OFFSET: 0.1, // 不満の★1と感謝の★5に分かれやすい
+        NEW_ACCOUNT_THRESHOLD: 0.45, // 患者は投稿履歴の少ないアカウントが多い
+        EXPECTED_PHOTO_RATIO: 0.02,
+    },
+    car_dealer: {
+        label: "自動車販売",
+        POLARIZED_THRESHOLD_OFFSET: 0.1,
+        SHORT_REVIEW_THRESHOLD: 0.35,
+        NEW_ACCOUNT_THRESHOLD: 0.45, // 購入者が一度だけ投稿することが多い
+        EXPECTED_PHOTO_RATIO: 0.1,
+    },
+    beauty: {
+        label: "美容・理容",
+        POLARIZED_THRESHOLD_OFFSET: 0.05,
+        NEW_ACCOUNT_THRESHOLD: 0.4,
+        EXPECTED_PHOTO_RATIO: 0.1,
+    },
+};
+
+/**
+ * 個々のレビューの疑わしさスコア（0-100）に加算する点数
+ */
+const REVIEW_SIGNAL_WEIGHTS = {
+    duplicateCluster: {
+        score: 35,
+        description: "類似レビューのグループに含まれる",
+    },
+    burstWindow: {
+        score: 20,
+        description: "集中投稿の期間に投稿された",
+    },
+    newAccount: {
+        score: 25,
+        description: "投稿履歴がほとんどないアカウント",
+    },
+    sentimentMismatch: {
+        score: 25,
+        description: "星評価と本文の内容が食い違う",
+    },
+    noText: {
+        score: 20,
+        description: "本文のない極端な評価",
+    },
+    shortText: {
+        score: 15,
+        description: "極端に短い本文",
+    },
+};
+
+/**
+ * 判定（疑わしい / 要注意 / 問題なし）の設定
+ * 疑念度（100 - 信頼度スコア）が suspicionThreshold 以上なら「疑わしい」と判定する
+ */
+const VERDICT_CONFIG = {
+    CAUTION_MARGIN: 15, // 閾値の手前この幅までを「要注意」とする
+    DEFAULT_SUSPICION_THRESHOLD: 40, // 信頼度レベルの既定の境界に対応する疑念閾値
+    verdicts: {
+        suspicious: { label: "疑わしい", color: "#d32f2f" },
+        caution: { label: "要注意", color: "#f57c00" },
+        trustworthy: { label: "問題なし", color: "#388e3c" },
     },
 };
 
@@ -350,7 +1347,12 @@ const SECURITY_CONFIG = {
 
     // プライバシー保護
     ANONYMIZE_USER_DATA: true,
-    DATA_RETENTION_DAYS: 30,
+    DATA_RETENTION_DAYS: 30, // 既定値（設定の dataRetentionDays で変更できる）
+
+    // 保持期間を過ぎたデータの定期削除（chrome.alarms）
+    RETENTION_ALARM_NAME: "mra-retention",
+    RETENTION_CHECK_INTERVAL_MINUTES: 60 * 24,
+    RETENTION_STATUS_STORAGE_KEY: "retentionStatus",
 };
 
 /**
@@ -419,11 +1421,18 @@ const CONFIG_VALIDATORS = {
                         typeof value === "boolean" ? value : config.default;
                     break;
 
+                case "object":
+                    validated[key] = config.validator
+                        ? this[config.validator](value)
+                        : config.default;
+                    break;
+
                 case "number":
                     if (
                         typeof value === "number" &&
                         value >= (config.min || -Infinity) &&
-                        value <= (config.max || Infinity)
+                        value <= (config.max || Infinity) &&
+                        (!config.enum || config.enum.includes(value))
                     ) {
                         validated[key] = value;
                     } else {
@@ -438,6 +1447,48 @@ const CONFIG_VALIDATORS = {
 
         return validated;
     },
+
+    /**
+     * 詳細設定を検証する
+     * 不明な検出器・項目や範囲外の値は取り除く（取り除いた項目は既定値が使われる）
+     * @param {Object} advanced - 詳細設定
+     * @returns {Object} - 検証済みの詳細設定
+     */
+    validateAdvancedSettings(advanced) {
+        const validated = { detectors: {} };
+        const detectors =
+            advanced && typeof advanced.detectors === "object"
+                ? advanced.detectors || {}
+                : {};
+
+        Object.keys(DETECTOR_MANIFEST).forEach((key) => {
+            const overrides = detectors[key];
+            if (!overrides || typeof overrides !== "object") return;
+
+            const fields = {};
+            Object.keys(ADVANCED_SETTINGS_SCHEMA.fields).forEach((field) => {
+                const config = CONFIG_UTILS.getAdvancedFieldSchema(key, field);
+                const value = overrides[field];
+
+                if (config.type === "boolean") {
+                    if (typeof value === "boolean") fields[field] = value;
+                } else if (
+                    typeof value === "number" &&
+                    Number.isFinite(value) &&
+                    value >= config.min &&
+                    value <= config.max
+                ) {
+                    fields[field] = value;
+                }
+            });
+
+            if (Object.keys(fields).length > 0) {
+                validated.detectors[key] = fields;
+            }
+        });
+
+        return validated;
+    },
 };
 
 /**
@@ -481,16 +1532,174 @@ const CONFIG_UTILS = {
     hasSettingsChanged(oldSettings, newSettings) {
         return JSON.stringify(oldSettings) !== JSON.stringify(newSettings);
     },
+
+    /**
+     * 分析結果に影響する設定だけを取り出した署名を作成（キャッシュの有効性判定用）
+     * @param {Object} settings - 分析設定（settings.settings）
+     * @returns {string} - 設定の署名
+     */
+    getAnalysisSettingsSignature(settings) {
+        return JSON.stringify(
+            PERFORMANCE_CONFIG.CACHE_SIGNATURE_SETTINGS.map(
+                (key) => settings?.[key] ?? null
+            )
+        );
+    },
+
+    /**
+     * 詳細設定の項目のスキーマを取得（検出器ごとの configSchema で共通定義を上書き）
+     * @param {string} detectorKey - 検出器のキー（DETECTOR_MANIFESTのキー）
+     * @param {string} field - 項目名
+     * @returns {Object} - 項目のスキーマ
+     */
+    getAdvancedFieldSchema(detectorKey, field) {
+        return {
+            ...ADVANCED_SETTINGS_SCHEMA.fields[field],
+            ...(DETECTOR_MANIFEST[detectorKey]?.configSchema?.[field] || {}),
+        };
+    },
+
+    /**
+     * 検出器の既定値を取得
+     * @param {string} detectorKey - 検出器のキー
+     * @param {Object} detector - 検出器の定義（省略時は DETECTOR_MANIFEST の値）
+     * @returns {Object} - { enabled, weight, maxScore, threshold }
+     */
+    getDetectorDefaults(
+        detectorKey,
+        detector = DETECTOR_MANIFEST[detectorKey]
+    ) {
+        return {
+            enabled: true,
+            weight: detector?.weight ?? 1.0,
+            maxScore: detector?.maxScore ?? 100,
+            threshold: null,
+        };
+    },
+
+    /**
+     * 詳細設定を反映した検出器の設定を取得
+     * @param {string} detectorKey - 検出器のキー
+     * @param {Object} advanced - 詳細設定（settings.advanced）
+     * @param {Object} detector - 検出器の定義（省略時は DETECTOR_MANIFEST の値）
+     * @returns {Object} - { enabled, weight, maxScore, threshold }（thresholdがnullなら自動）
+     */
+    getDetectorConfig(detectorKey, advanced, detector) {
+        return {
+            ...this.getDetectorDefaults(detectorKey, detector),
+            ...(advanced?.detectors?.[detectorKey] || {}),
+        };
+    },
+
+    /**
+     * 詳細設定の1項目を既定値に戻す
+     * @param {Object} advanced - 詳細設定
+     * @param {string} detectorKey - 検出器のキー
+     * @param {string} field - 項目名
+     * @returns {Object} - 項目を取り除いた詳細設定
+     */
+    resetAdvancedField(advanced, detectorKey, field) {
+        const reset = JSON.parse(JSON.stringify(advanced || { detectors: {} }));
+        reset.detectors = reset.detectors || {};
+
+        const overrides = reset.detectors[detectorKey];
+        if (overrides) {
+            delete overrides[field];
+            if (Object.keys(overrides).length === 0) {
+                delete reset.detectors[detectorKey];
+            }
+        }
+
+        return reset;
+    },
+
+    /**
+     * 信頼度スコアと疑念閾値から判定を取得
+     * 疑わしさが閾値を超えた場合に「疑わしい」とする（境界の値は信頼度レベルと同じく上側に含める。
+     * 既定では信頼度60は「概ね信頼できます」かつ「要注意」）
+     * @param {number} trustScore - 信頼度スコア (0-100)
+     * @param {number} suspicionThreshold - 疑念閾値 (0-100)
+     * @returns {Object} - { key, label, color, suspicion, threshold }
+     */
+    getVerdict(
+        trustScore,
+        suspicionThreshold = DEFAULT_SETTINGS.settings.suspicionThreshold
+    ) {
+        const suspicion = 100 - trustScore;
+        let key = "trustworthy";
+        if (suspicion > suspicionThreshold) {
+            key = "suspicious";
+        } else if (
+            suspicion >
+            suspicionThreshold - VERDICT_CONFIG.CAUTION_MARGIN
+        ) {
+            key = "caution";
+        }
+
+        return {
+            key,
+            ...VERDICT_CONFIG.verdicts[key],
+            suspicion,
+            threshold: suspicionThreshold,
+        };
+    },
+
+    /**
+     * 信頼度レベルの境界を疑念閾値に合わせて伸縮
+     * 既定の閾値に対応する境界（100 - 既定の閾値）がユーザーの閾値に対応する境界に重なるよう、
+     * その上下をそれぞれ線形に伸縮する（既定の閾値のときは元の境界のまま）
+     * @param {Object} thresholds - 既定の境界（TRUST_SCORE_THRESHOLDS）
+     * @param {number} suspicionThreshold - 疑念閾値 (0-100)
+     * @returns {Object} - 伸縮後の境界
+     */
+    scaleTrustScoreThresholds(thresholds, suspicionThreshold) {
+        const from = 100 - VERDICT_CONFIG.DEFAULT_SUSPICION_THRESHOLD;
+        const to = Math.max(1, Math.min(99, 100 - suspicionThreshold));
+        const scale = (value) =>
+            value <= from
+                ? (value * to) / from
+                : to + ((value - from) * (100 - to)) / (100 - from);
+
+        const scaled = {};
+        Object.keys(thresholds).forEach((key) => {
+            scaled[key] = Math.round(scale(thresholds[key]));
+        });
+        return scaled;
+    },
+
+    /**
+     * 店舗カテゴリの基準プロファイルを取得
+     * @param {string|null} categoryKey - カテゴリのキー
+     * @returns {Object} - default を上書きしたプロファイル（keyを含む）
+     */
+    getCategoryBaseline(categoryKey) {
+        const key =
+            categoryKey && CATEGORY_BASELINES[categoryKey]
+                ? categoryKey
+                : "default";
+
+        return {
+            ...CATEGORY_BASELINES.default,
+            ...CATEGORY_BASELINES[key],
+            key,
+        };
+    },
 };
 
 // 設定をオブジェクトとしてまとめる
 const MRA_CONFIG = {
     DEFAULT_SETTINGS,
     SETTINGS_SCHEMA,
+    ADVANCED_SETTINGS_SCHEMA,
     URL_PATTERNS,
     PERFORMANCE_CONFIG,
+    HISTORY_DB_CONFIG,
     I18N_CONFIG,
-    ANALYSIS_WEIGHTS,
+    DETECTOR_MANIFEST,
+    REVIEW_SIGNAL_WEIGHTS,
+    RATING_REFERENCE_DISTRIBUTIONS,
+    CATEGORY_BASELINES,
+    VERDICT_CONFIG,
     FEATURE_FLAGS,
     API_CONFIG,
     SECURITY_CONFIG,
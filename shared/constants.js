@@ -10,6 +10,12 @@ const MESSAGE_TYPES = {
     GET_ANALYSIS_HISTORY: "GET_ANALYSIS_HISTORY",
     PAGE_LOADED: "PAGE_LOADED",
     MANUAL_ANALYSIS_REQUEST: "MANUAL_ANALYSIS_REQUEST",
+    RESET_ADVANCED_SETTING: "RESET_ADVANCED_SETTING",
+    GET_PLACE_LIST: "GET_PLACE_LIST",
+    GET_PLACE_SNAPSHOTS: "GET_PLACE_SNAPSHOTS",
+    GET_CACHED_RESULT: "GET_CACHED_RESULT",
+    SAVE_CACHED_RESULT: "SAVE_CACHED_RESULT",
+    GET_STORAGE_SUMMARY: "GET_STORAGE_SUMMARY",
 };
 
 /**
@@ -39,6 +45,9 @@ const PATTERN_TYPES = {
     SHORT_REVIEWS: "short_reviews",
     DUPLICATE_PATTERNS: "duplicate_patterns",
     NEW_ACCOUNTS: "new_accounts",
+    RATING_SHIFT: "rating_shift",
+    OWNER_REPLIES: "owner_replies",
+    SENTIMENT_MISMATCH: "sentiment_mismatch",
 };
 
 /**
@@ -65,10 +74,24 @@ const SELECTORS = {
             ".DUwDvf.lfPIob",
         ],
         REVIEW_TEXT: ["[data-expandable-section]", ".MyEned", ".wiI7pd"],
+        OWNER_RESPONSE: {
+            CONTAINER: [".CDe7pd", ".section-review-owner-response"],
+            TEXT: [".wiI7pd", ".section-review-owner-response-text"],
+            DATE: [".DZSIDd", ".section-review-owner-response-subtitle"],
+        },
+        EXPAND_BUTTONS: [
+            "button.w8nwRe.kyuRq",
+            'button[jsaction*="expandReview"]',
+        ],
         AUTHOR_INFO: ['[aria-label*="Photo"]', ".d4r55"],
         DATE_INFO: [".rsqaWe", ".DU9Pgb"],
         PHOTOS: ["[data-photo-index]", 'img[src*="googleusercontent"]'],
         OVERALL_RATING: '[jsaction*="pane.rating"]',
+        PLACE_CATEGORY: ['button[jsaction*="category"]', ".DkEaL"],
+        DISPLAYED_RATING: [
+            "div.fontDisplayLarge",
+            '.F7nice span[aria-hidden="true"]',
+        ],
         REVIEW_COUNT: '[aria-label*="reviews"]',
     },
 
@@ -92,6 +115,10 @@ const TIME_CONSTANTS = {
     MESSAGE_TIMEOUT: 5000, // メッセージタイムアウト (ms)
     SUCCESS_HIDE_DELAY: 3000, // 成功メッセージ非表示遅延 (ms)
     ERROR_HIDE_DELAY: 5000, // エラーメッセージ非表示遅延 (ms)
+    REVIEW_SCROLL_INTERVAL: 800, // レビュー欄の自動スクロール間隔 (ms)
+    REVIEW_SAMPLING_TIMEOUT: 30000, // レビュー収集のタイムアウト (ms)
+    REVIEW_EXPAND_DELAY: 300, // 「もっと見る」展開後の再描画待ち (ms)
+    REVIEW_BADGE_REFRESH_DELAY: 200, // レビュー欄の再描画後にバッジを付け直すまでの待ち (ms)
 };
 
 /**
@@ -115,6 +142,8 @@ const UI_CONSTANTS = {
         ENABLED: "enabled",
         DISABLED: "disabled",
         EMPTY_HISTORY: "empty-history",
+        REVIEW_BADGE: "mra-review-badge",
+        HIDDEN_REVIEW: "mra-hidden-review",
     },
 
     COLORS: {
@@ -136,19 +165,80 @@ const ANALYSIS_CONSTANTS = {
         [ANALYSIS_MODES.LENIENT]: 0.8,
     },
 
-    // その他の検出閾値
-    BURST_POSTING_THRESHOLD: 0.3,
-    SHORT_REVIEW_THRESHOLD: 0.4,
-    NEW_ACCOUNT_THRESHOLD: 0.3,
-    TEXT_SIMILARITY_THRESHOLD: 0.8,
+    // その他の検出閾値（カテゴリごとの閾値は MRA_CONFIG.CATEGORY_BASELINES）
+    RECENT_REVIEW_DAYS: 30, // 「最近」とみなす期間（日）
+    NEW_ACCOUNT_MAX_REVIEWS: 1, // この件数以下の投稿履歴を新規アカウントとみなす
+    MIN_PROFILED_REVIEWS: 3, // 新規アカウント判定に必要な投稿者情報付きレビュー数
+
+    // 類似・重複レビューの検出（シングリング + MinHash LSH）
+    // 16バンド×4行のとき、Jaccard係数が約0.5を超えるペアが候補になりやすい
+    NEAR_DUPLICATE: {
+        SIMILARITY_THRESHOLD: 0.5, // 同一クラスタとみなすJaccard係数
+        CHAR_SHINGLE_SIZE: 3, // 日本語・中国語の文字n-gram
+        WORD_SHINGLE_SIZE: 2, // 分かち書きする言語の単語n-gram
+        MIN_SHINGLES: 3, // 比較に必要な最小シングル数（短すぎる文を除外）
+        NUM_HASHES: 64,
+        BANDS: 16,
+    },
+    DUPLICATE_CLUSTER_REPORT_LIMIT: 3, // メタデータに含めるクラスタ数
+
+    // 評価分布比較に必要な星評価付きレビュー数
+    MIN_RATED_REVIEWS: 5,
+
+    // 集中投稿（週単位のヒストグラム）の検出
+    BURST_WINDOW_WEEKS: 1, // 急増を判定するウィンドウの幅（週）
+    BURST_MIN_WEEKS: 4, // 平常時の投稿ペースの算出に必要な週数
+    BURST_MIN_REVIEWS: 5, // ウィンドウ内で急増とみなす最小件数
+    BURST_MIN_BASELINE: 0.25, // 平常時の投稿ペースの下限（件/週）
+    BURST_P_VALUE: 0.01, // 有意水準（週数で補正して使用）
+
+    // 星評価と本文の感情の食い違い
+    SENTIMENT_MISMATCH_MIN_SCORE: 2, // 食い違いとみなす感情スコアの絶対値
+    SENTIMENT_MISMATCH_THRESHOLD: 0.15, // 食い違いレビューの比率の閾値
+
+    // レビューごとの疑わしさの表示レベル（スコアの下限）
+    REVIEW_SUSPICION_LEVELS: {
+        HIGH: 50,
+        MEDIUM: 25,
+    },
+
+    // 評価分布の適合度検定（G検定）
+    RATING_FIT_MIN_REVIEWS: 5, // 検定に必要なレビュー数
+    RATING_FIT_EFFECTIVE_SAMPLE: 200, // 件数の上限（大量のレビューで僅かな差が有意になりすぎないように）
+    RATING_FIT_SIGNIFICANCE: 0.05, // 不自然な分布とみなすp値
+    RATING_FIT_NATURAL_P_VALUE: 0.5, // 自然な分布とみなすp値
+    RATING_FIT_MAX_PENALTY: 0.1, // 不自然な分布に対する最大減点率
+
+    // スコアの不確かさ（収集したレビューの再標本化による推定）
+    SCORE_INTERVAL: {
+        ITERATIONS: 40, // 再標本化の回数
+        MIN_SAMPLE: 10, // 推定に必要なレビュー数
+        Z_VALUE: 1.96, // 95%区間
+        INCONCLUSIVE_MARGIN: 15, // この幅（±）以上なら結論を出せないとみなす
+    },
+
+    // 補正後の評価（疑わしさに応じてレビューの重みを下げる）
+    ADJUSTED_RATING_MIN_SAMPLE: 5, // 補正に必要な星評価付きレビュー数
+    ADJUSTED_RATING_PRIOR_WEIGHT: 2, // 星ごとの残存率を全体の残存率に寄せる強さ（件数換算）
+
+    // オーナー返信の分析
+    MIN_OWNER_REPLIES: 3, // 返信傾向の分析に必要な返信数
+    OWNER_REPLY_NEGATIVE_RATIO: 0.8, // 返信先に占める低評価（★2以下）の比率
+    OWNER_REPLY_TEMPLATE_SIMILARITY: 0.4, // 定型文とみなす返信同士の平均類似度（シングルのJaccard係数。書き出しと結びが共通なら0.5前後）
+    OWNER_REPLY_DUPLICATE_SIMILARITY: 0.8, // コピー&ペーストとみなす類似度（宛名だけ違う返信で0.85〜0.95）
+    OWNER_REPLY_SIGNAL_THRESHOLD: 0.3, // 各兆候を検出とみなす比率
+
+    // 自動スクロールで新しいレビューが増えない状態を許容する回数
+    SAMPLING_MAX_IDLE_ROUNDS: 4,
 
     // レビュー文字数
     SHORT_REVIEW_LENGTH: 10,
     SUSPICIOUS_REVIEW_LENGTH: 20,
 
-    // 履歴保持件数
-    MAX_HISTORY_ITEMS: 20,
-    MAX_DISPLAY_HISTORY: 5,
+    // 履歴保持件数（IndexedDBに保存するため数千件まで保持できる）
+    MAX_HISTORY_ITEMS: 5000,
+    MAX_DISPLAY_HISTORY: 5, // ポップアップで1回に読み込む件数
+    MAX_TREND_POINTS: 50, // 場所ごとの推移グラフに表示する最大件数
 };
 
 /**
@@ -0,0 +1,178 @@
+// src/shared/place-identity.js - Service Worker対応版
+
+/**
+ * Google MapsのURLから場所を識別する情報を取り出すユーティリティ
+ * 同じ場所でもズーム・表示位置・クエリ・国別ドメインによってURLが変わるため、
+ * 履歴の重複排除・検索やキャッシュにはURLではなく getKey() のキーを使う
+ *
+ * キーの優先順位:
+ *   1. cid:<10進数>   … data= の !1s0x…:0x… / ftid / cid から得た場所ID
+ *   2. place:<名前>@<緯度>,<経度> … data= の !3d…!4d…（場所の座標）がある場合
+ *   3. place:<名前>   … /maps/place/<名前>/ または店舗名
+ */
+const PLACE_IDENTITY = {
+    // 場所の座標を丸める小数点以下の桁数（約100m）
+    COORDINATE_PRECISION: 3,
+
+    /**
+     * URLから場所の識別情報を取り出す
+     * @param {string} url - Google MapsのURL
+     * @param {string} placeName - ページから取得した店舗名（URLに名前がない場合に使用）
+     * @returns {Object} - { key, featureId, cid, name, coordinates, viewport }
+     */
+    parse(url, placeName = null) {
+        const identity = {
+            key: null,
+            featureId: null,
+            cid: null,
+            name: null,
+            coordinates: null,
+            viewport: null,
+        };
+
+        let urlObj = null;
+        try {
+            urlObj = new URL(url);
+        } catch (error) {
+            // URLとして解釈できない場合は店舗名だけで識別する
+        }
+
+        if (urlObj) {
+            const path = this.safeDecode(urlObj.pathname);
+
+            // data= の !1s0x…:0x…、または ftid クエリ
+            const featureMatch =
+                path.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i) ||
+                (urlObj.searchParams.get("ftid") || "").match(
+                    /^(0x[0-9a-f]+:0x[0-9a-f]+)$/i
+                );
+            if (featureMatch) {
+                identity.featureId = featureMatch[1].toLowerCase();
+                identity.cid = this.featureIdToCid(identity.featureId);
+            } else if (/^\d+$/.test(urlObj.searchParams.get("cid") || "")) {
+                identity.cid = urlObj.searchParams.get("cid");
+            }
+
+            // /maps/place/<名前>/
+            const nameMatch = urlObj.pathname.match(/\/maps\/place\/([^/]+)/);
+            if (nameMatch) {
+                identity.name = this.safeDecode(
+                    nameMatch[1].replace(/\+/g, " ")
+                ).trim();
+            }
+
+            // data= の !3d<緯度>!4d<経度> は場所そのものの座標
+            const coordinateMatch = path.match(
+                /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/
+            );
+            if (coordinateMatch) {
+                identity.coordinates = {
+                    lat: parseFloat(coordinateMatch[1]),
+                    lng: parseFloat(coordinateMatch[2]),
+                };
+            }
+
+            // @<緯度>,<経度>,<ズーム> は地図の表示位置（識別には使わない）
+            const viewportMatch = path.match(
+                /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?)z)?/
+            );
+            if (viewportMatch) {
+                identity.viewport = {
+                    lat: parseFloat(viewportMatch[1]),
+                    lng: parseFloat(viewportMatch[2]),
+                    zoom: viewportMatch[3]
+                        ? parseFloat(viewportMatch[3])
+                        : null,
+                };
+            }
+        }
+
+        if (!identity.name && placeName && placeName !== "不明な場所") {
+            identity.name = String(placeName).trim();
+        }
+
+        identity.key = this.createKey(identity);
+        return identity;
+    },
+
+    /**
+     * URLから場所のキーを取得
+     * @param {string} url - Google MapsのURL
+     * @param {string} placeName - 店舗名
+     * @returns {string|null} - 場所のキー（識別できない場合null）
+     */
+    getKey(url, placeName = null) {
+        return this.parse(url, placeName).key;
+    },
+
+    /**
+     * 2つのURLが同じ場所を指しているか判定
+     * @param {string} url1 - URL1
+     * @param {string} url2 - URL2
+     * @returns {boolean} - 同じ場所の場合true
+     */
+    isSamePlace(url1, url2) {
+        const key = this.getKey(url1);
+        return key !== null && key === this.getKey(url2);
+    },
+
+    /**
+     * 識別情報からキーを作成
+     * @param {Object} identity - parse() の結果
+     * @returns {string|null} - 場所のキー
+     */
+    createKey(identity) {
+        if (identity.cid) {
+            return `cid:${identity.cid}`;
+        }
+        if (!identity.name) {
+            return null;
+        }
+
+        const name = identity.name.normalize("NFKC").toLowerCase();
+        if (identity.coordinates) {
+            const { lat, lng } = identity.coordinates;
+            return `place:${name}@${lat.toFixed(
+                this.COORDINATE_PRECISION
+            )},${lng.toFixed(this.COORDINATE_PRECISION)}`;
+        }
+        return `place:${name}`;
+    },
+
+    /**
+     * 場所ID（0x…:0x…）の後半を10進数のcidに変換
+     * @param {string} featureId - 場所ID
+     * @returns {string|null} - cid
+     */
+    featureIdToCid(featureId) {
+        const [, cidHex] = featureId.split(":");
+        try {
+            return BigInt(cidHex).toString();
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * URLエンコードされた文字列を安全にデコード
+     * @param {string} value - 文字列
+     * @returns {string} - デコード結果（失敗時は元の文字列）
+     */
+    safeDecode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return value;
+        }
+    },
+};
+
+// Service Worker環境で公開
+if (typeof self !== "undefined") {
+    self.MRA_PLACE_IDENTITY = PLACE_IDENTITY;
+}
+
+// ブラウザ環境で公開
+if (typeof window !== "undefined") {
+    window.MRA_PLACE_IDENTITY = PLACE_IDENTITY;
+}